@@ -1,20 +1,68 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/sessions');
+const { isApiKey, scopeFor, findActiveApiKey, touchApiKey } = require('../utils/apiKeys');
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
+// API keys act as their owner with the owner's current role, limited to the
+// key's scopes
+const authenticateApiKey = (key, req, res, next) => {
+  findActiveApiKey(key)
+    .then(apiKey => {
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+      }
+      const scope = scopeFor(req);
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `API key is missing the ${scope} scope` });
+      }
+      req.user = {
+        id: apiKey.user._id.toString(),
+        username: apiKey.user.username,
+        role: apiKey.user.role,
+        apiKey: { id: apiKey._id.toString(), name: apiKey.name, scopes: apiKey.scopes }
+      };
+      return touchApiKey(apiKey).then(() => next());
+    })
+    .catch(error => {
+      console.error('API key check error:', error);
+      res.status(500).json({ error: error.message });
+    });
+};
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key'];
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (isApiKey(token)) {
+    return authenticateApiKey(token, req, res, next);
+  }
+
   jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
+    // Event stream tickets (routes/events.js) carry an audience and only
+    // open the stream
+    if (err || user.aud) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
-    req.user = user;
-    next();
+    // Access tokens carry their session, which logout or revocation ends
+    if (!user.sid) {
+      return res.status(401).json({ error: 'Session required; please log in again' });
+    }
+    isSessionActive(user.sid)
+      .then(active => {
+        if (!active) {
+          return res.status(401).json({ error: 'Session has been revoked' });
+        }
+        req.user = user;
+        next();
+      })
+      .catch(error => {
+        console.error('Session check error:', error);
+        res.status(500).json({ error: error.message });
+      });
   });
 };
 
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A named key for scripts and CI. The key itself is shown once when created;
+// only its SHA-256 hash is stored (utils/apiKeys.js). Requests made with it
+// act as `user`, limited to `scopes`.
+const apiKeySchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true, 
+    trim: true 
+  },
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true, 
+    index: true 
+  },
+  keyHash: { 
+    type: String, 
+    required: true, 
+    unique: true 
+  },
+  // Start of the key, so it can be recognised in lists
+  prefix: { 
+    type: String, 
+    required: true 
+  },
+  scopes: [{ 
+    type: String 
+  }],
+  expiresAt: { 
+    type: Date 
+  },
+  lastUsedAt: { 
+    type: Date 
+  },
+  revokedAt: { 
+    type: Date 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
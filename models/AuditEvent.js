@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// One entry per API mutation or auth event, written by utils/audit.js
+const auditEventSchema = new mongoose.Schema({
+  actor: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    index: true 
+  },
+  actorUsername: { 
+    type: String, 
+    index: true 
+  },
+  action: { 
+    type: String, 
+    required: true, 
+    index: true 
+  },
+  targetType: { 
+    type: String 
+  },
+  targetId: { 
+    type: String 
+  },
+  targetName: { 
+    type: String 
+  },
+  ip: { 
+    type: String 
+  },
+  userAgent: { 
+    type: String 
+  },
+  before: { 
+    type: mongoose.Schema.Types.Mixed, 
+    default: null 
+  },
+  after: { 
+    type: mongoose.Schema.Types.Mixed, 
+    default: null 
+  },
+  metadata: { 
+    type: mongoose.Schema.Types.Mixed 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now, 
+    index: true 
+  }
+}); 
+
+// Audit events are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], rejectChange);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A batch of proposed token changes. Anyone signed in can open one; an admin
+// reviews the diff and approves (applying every change at once) or rejects it.
+const changeRequestSchema = new mongoose.Schema({
+  title: { 
+    type: String, 
+    required: true 
+  },
+  rationale: { 
+    type: String, 
+    required: true 
+  },
+  status: { 
+    type: String, 
+    enum: ['open', 'approved', 'rejected', 'withdrawn'], 
+    default: 'open', 
+    index: true 
+  },
+  changes: [{
+    _id: false,
+    action: { type: String, enum: ['create', 'update', 'delete'], required: true },
+    // Token to update or delete
+    token: { type: mongoose.Schema.Types.ObjectId, ref: 'DesignToken' },
+    tokenName: { type: String },
+    // Fields to create, or the fields to change for an update
+    data: { type: mongoose.Schema.Types.Mixed },
+    // Snapshot of the token when the change was proposed, to spot later edits
+    before: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  comments: [{
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    authorUsername: { type: String },
+    body: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  createdByUsername: { 
+    type: String 
+  },
+  reviewedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  reviewedByUsername: { 
+    type: String 
+  },
+  reviewedAt: { 
+    type: Date 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('ChangeRequest', changeRequestSchema);
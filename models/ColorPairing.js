@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A foreground color token used on a background color token (e.g.
+// text-primary on surface), checked by the contrast report
+const colorPairingSchema = new mongoose.Schema({
+  foreground: { 
+    type: String, 
+    required: true, 
+    index: true 
+  },
+  background: { 
+    type: String, 
+    required: true, 
+    index: true 
+  },
+  description: { 
+    type: String 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+colorPairingSchema.index({ foreground: 1, background: 1 }, { unique: true });
+
+module.exports = mongoose.model('ColorPairing', colorPairingSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A UI component in the design system and the design tokens it consumes.
+// Tokens are referenced by name, like token references and contrast pairings.
+const componentSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true, 
+    unique: true, 
+    index: true 
+  },
+  description: { 
+    type: String 
+  },
+  status: { 
+    type: String, 
+    enum: ['draft', 'beta', 'stable', 'deprecated'], 
+    default: 'draft', 
+    index: true 
+  },
+  // Tokens used by every variant
+  tokens: [{ 
+    type: String, 
+    index: true 
+  }],
+  variants: [{
+    name: { type: String, required: true },
+    description: { type: String },
+    // Tokens used only by this variant
+    tokens: [{ type: String }]
+  }],
+  props: [{
+    name: { type: String, required: true },
+    type: { type: String },
+    required: { type: Boolean, default: false },
+    defaultValue: { type: String },
+    description: { type: String }
+  }],
+  owners: [{ 
+    type: String 
+  }],
+  docsLinks: [{
+    label: { type: String },
+    url: { type: String, required: true }
+  }],
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+componentSchema.index({ 'variants.tokens': 1 });
+
+module.exports = mongoose.model('Component', componentSchema);
@@ -1,10 +1,11 @@
 const mongoose = require('mongoose');
 
 const designTokenSchema = new mongoose.Schema({
+  // Names are how tokens reference each other ({group.name}), so they are unique
   name: { 
     type: String, 
     required: true, 
-    index: true 
+    unique: true 
   },
   category: { 
     type: String, 
@@ -15,9 +16,28 @@ const designTokenSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  // Structured form of a literal value, e.g. { value: 16, unit: 'px' } for spacing.
+  // Null for aliases and for categories without a value schema
+  parsedValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   description: { 
     type: String 
   },
+  // Value per mode name (e.g. dark); modes without a value use `value`
+  modeValues: {
+    type: Map,
+    of: String
+  },
+  // DTCG $type, e.g. color, dimension, fontFamily
+  type: {
+    type: String
+  },
+  // DTCG $extensions, kept so imports round-trip
+  extensions: {
+    type: mongoose.Schema.Types.Mixed
+  },
   tags: [{ 
     type: String, 
     index: true 
@@ -35,6 +55,10 @@ const designTokenSchema = new mongoose.Schema({
   type: Date, 
   default: Date.now() 
   }
+}, {
+  // Every save bumps __v and fails with a VersionError if the stored token
+  // changed since it was loaded; __v is also the token's ETag
+  optimisticConcurrency: true
 });
 
 // Text search index
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A bulk token import processed in the background (utils/importJobs.js).
+// `results` has the same per-row report as POST /api/tokens/upload.
+const importJobSchema = new mongoose.Schema({
+  status: { 
+    type: String, 
+    enum: ['queued', 'running', 'completed', 'failed'], 
+    default: 'queued', 
+    index: true 
+  },
+  mode: { 
+    type: String, 
+    enum: ['create', 'upsert', 'replace'], 
+    default: 'create' 
+  },
+  // Rows read from the uploaded file
+  rowCount: { 
+    type: Number, 
+    default: 0 
+  },
+  // Creates, updates and deletes to write, and how many are done
+  progress: { 
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 }
+  },
+  results: { 
+    success: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    updated: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    deleted: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    skipped: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    errors: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    // Modes created for the themes of a Tokens Studio file
+    modes: { type: [String], default: [] }
+  },
+  // Why a failed job stopped
+  error: { 
+    type: String 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  startedAt: { 
+    type: Date 
+  },
+  finishedAt: { 
+    type: Date 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// An emailed invitation to join with a pre-assigned role. The link carries a
+// one-time token; only its hash is stored, and resending replaces it.
+const invitationSchema = new mongoose.Schema({
+  email: { 
+    type: String, 
+    required: true, 
+    lowercase: true, 
+    trim: true, 
+    index: true 
+  },
+  role: { 
+    type: String, 
+    enum: ['admin', 'designer', 'developer'], 
+    required: true 
+  },
+  tokenHash: { 
+    type: String, 
+    required: true, 
+    unique: true 
+  },
+  invitedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  expiresAt: { 
+    type: Date, 
+    required: true 
+  },
+  sentCount: { 
+    type: Number, 
+    default: 0 
+  },
+  lastSentAt: { 
+    type: Date 
+  },
+  acceptedAt: { 
+    type: Date 
+  },
+  acceptedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  revokedAt: { 
+    type: Date 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A named theme collection (e.g. light, dark, high-contrast) that tokens can
+// provide values for
+const modeSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true, 
+    unique: true, 
+    index: true 
+  },
+  description: { 
+    type: String 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('Mode', modeSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// An immutable snapshot of every token, published under a semver version
+const releaseSchema = new mongoose.Schema({
+  version: { 
+    type: String, 
+    required: true, 
+    unique: true, 
+    index: true 
+  },
+  changelog: { 
+    type: String 
+  },
+  tokens: [{ 
+    type: mongoose.Schema.Types.Mixed 
+  }],
+  modes: [{ 
+    type: String 
+  }],
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+// Releases are write-once
+const rejectChange = function(next) {
+  next(new Error('Releases are immutable'));
+};
+
+releaseSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+releaseSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+
+module.exports = mongoose.model('Release', releaseSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id (`sid`) and the
+// refresh token is `<session id>.<secret>`; only a hash of the current secret
+// is stored, and it changes on every refresh (utils/sessions.js).
+const sessionSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true, 
+    index: true 
+  },
+  refreshTokenHash: { 
+    type: String, 
+    required: true 
+  },
+  // The secret it replaced, to recognise a copied refresh token
+  previousRefreshTokenHash: { 
+    type: String 
+  },
+  userAgent: { 
+    type: String 
+  },
+  ip: { 
+    type: String 
+  },
+  lastUsedAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  // Expired sessions are removed by MongoDB's TTL monitor
+  expiresAt: { 
+    type: Date, 
+    required: true, 
+    index: { expireAfterSeconds: 0 } 
+  },
+  // Set by logout, revocation or reuse of an old refresh token
+  revokedAt: { 
+    type: Date 
+  },
+  revokedReason: { 
+    type: String 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
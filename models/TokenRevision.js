@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One entry per create/update/delete/revert of a design token. `before` and
+// `after` are snapshots of the tracked fields (null when the token did not
+// exist), so history survives deleting the token itself.
+const tokenRevisionSchema = new mongoose.Schema({
+  token: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'DesignToken', 
+    required: true, 
+    index: true 
+  },
+  tokenName: { 
+    type: String, 
+    required: true 
+  },
+  revision: { 
+    type: Number, 
+    required: true 
+  },
+  action: { 
+    type: String, 
+    enum: ['create', 'update', 'delete', 'revert'], 
+    required: true 
+  },
+  before: { 
+    type: mongoose.Schema.Types.Mixed, 
+    default: null 
+  },
+  after: { 
+    type: mongoose.Schema.Types.Mixed, 
+    default: null 
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  revertedFrom: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'TokenRevision' 
+  },
+  // Set when the change was applied from an approved change request
+  changeRequest: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'ChangeRequest', 
+    index: true 
+  },
+  changedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  changedByUsername: { 
+    type: String 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+tokenRevisionSchema.index({ token: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('TokenRevision', tokenRevisionSchema);
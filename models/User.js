@@ -22,6 +22,26 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'designer', 'developer'], 
     default: 'designer' 
   },
+  // Set once the user opens the link emailed at registration (or accepts an
+  // invitation, which proves the same)
+  emailVerified: { 
+    type: Boolean, 
+    default: false 
+  },
+  emailVerifiedAt: { 
+    type: Date 
+  },
+  // Deactivated accounts cannot sign in or use their API keys
+  active: { 
+    type: Boolean, 
+    default: true 
+  },
+  deactivatedAt: { 
+    type: Date 
+  },
+  lastLoginAt: { 
+    type: Date 
+  },
   createdAt: { 
     type: Date, 
     default: Date.now() 
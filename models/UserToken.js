@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens emailed to a user: password reset and email verification
+// links. Only a hash of the token is stored (utils/userTokens.js).
+const userTokenSchema = new mongoose.Schema({
+  user: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true, 
+    index: true 
+  },
+  purpose: { 
+    type: String, 
+    enum: ['password_reset', 'email_verification'], 
+    required: true 
+  },
+  tokenHash: { 
+    type: String, 
+    required: true, 
+    unique: true 
+  },
+  // Expired tokens are removed by MongoDB's TTL monitor
+  expiresAt: { 
+    type: Date, 
+    required: true, 
+    index: { expireAfterSeconds: 0 } 
+  },
+  usedAt: { 
+    type: Date 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// An admin-managed subscription: matching events are POSTed to `url`,
+// signed with `secret` (see utils/webhooks.js)
+const webhookSchema = new mongoose.Schema({
+  url: { 
+    type: String, 
+    required: true 
+  },
+  // Event types from utils/events.js, or '*' for all of them
+  events: [{ 
+    type: String 
+  }],
+  secret: { 
+    type: String, 
+    required: true, 
+    select: false 
+  },
+  description: { 
+    type: String 
+  },
+  active: { 
+    type: Boolean, 
+    default: true 
+  },
+  createdBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  updatedAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
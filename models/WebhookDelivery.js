@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt made to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Webhook', 
+    required: true, 
+    index: true 
+  },
+  event: { 
+    type: String, 
+    required: true 
+  },
+  eventId: { 
+    type: String, 
+    required: true 
+  },
+  payload: { 
+    type: mongoose.Schema.Types.Mixed, 
+    required: true 
+  },
+  status: { 
+    type: String, 
+    enum: ['pending', 'succeeded', 'failed'], 
+    default: 'pending' 
+  },
+  attempts: [{
+    _id: false,
+    attempt: Number,
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+    at: Date
+  }],
+  nextAttemptAt: { 
+    type: Date 
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
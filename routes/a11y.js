@@ -0,0 +1,184 @@
+const express = require('express');
+const ColorPairing = require('../models/ColorPairing');
+const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { buildValueMap, resolveToken } = require('../utils/tokenReferences');
+const { parseColor } = require('../utils/color');
+const { WCAG_THRESHOLDS, checkContrast } = require('../utils/contrast');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const isColorToken = (token) => token.category === 'color' || token.type === 'color';
+
+const pairingName = (pairing) => `${pairing.foreground} on ${pairing.background}`;
+const pairingSnapshot = ({ foreground, background, description }) => ({ foreground, background, description });
+
+// Resolved, parsed color of a token, or an error message
+const resolveColor = (name, tokensByName, values, cache) => {
+  if (!tokensByName.has(name)) {
+    return { error: `Unknown token '${name}'` };
+  }
+
+  let value;
+  try {
+    value = resolveToken(name, values, cache);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const color = parseColor(value);
+  return color ? { value, color } : { error: `Token '${name}' does not resolve to a color (${value})` };
+};
+
+// Get all pairings
+router.get('/pairings', authenticateToken, async (req, res) => {
+  try {
+    const pairings = await ColorPairing.find().sort({ foreground: 1, background: 1 });
+    res.json({ pairings });
+  } catch (error) {
+    console.error('Get pairings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create pairing
+router.post('/pairings', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { foreground, background, description } = req.body;
+
+    if (!foreground || !background) {
+      return res.status(400).json({ error: 'Foreground and background are required' });
+    }
+
+    for (const name of [foreground, background]) {
+      const token = await DesignToken.findOne({ name }).lean();
+      if (!token) {
+        return res.status(400).json({ error: `Unknown token '${name}'` });
+      }
+      if (!isColorToken(token)) {
+        return res.status(400).json({ error: `Token '${name}' is not a color token` });
+      }
+    }
+
+    const existingPairing = await ColorPairing.findOne({ foreground, background });
+    if (existingPairing) {
+      return res.status(400).json({ error: `Pairing '${foreground}' on '${background}' already exists` });
+    }
+
+    const pairing = new ColorPairing({ foreground, background, description, createdBy: req.user.id });
+    await pairing.save();
+    await recordAudit(req, {
+      action: 'pairing.create',
+      target: { type: 'pairing', id: pairing._id, name: pairingName(pairing) },
+      after: pairingSnapshot(pairing)
+    });
+
+    res.status(201).json(pairing);
+  } catch (error) {
+    console.error('Create pairing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete pairing
+router.delete('/pairings/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid pairing ID format' });
+    }
+
+    const pairing = await ColorPairing.findByIdAndDelete(req.params.id);
+    if (!pairing) {
+      return res.status(404).json({ error: 'Pairing not found' });
+    }
+    await recordAudit(req, {
+      action: 'pairing.delete',
+      target: { type: 'pairing', id: pairing._id, name: pairingName(pairing) },
+      before: pairingSnapshot(pairing)
+    });
+
+    res.json({ message: 'Pairing deleted successfully' });
+  } catch (error) {
+    console.error('Delete pairing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Contrast report for every pairing, in the default values and every mode
+// (or only ?mode=). `level` (AA, AAA) and `size` (normal, large) decide what
+// counts as a violation; ?violations=true returns only those.
+router.get('/contrast', authenticateToken, async (req, res) => {
+  try {
+    const { mode, level = 'AA', size = 'normal', violations } = req.query;
+
+    if (!Object.hasOwn(WCAG_THRESHOLDS, level)) {
+      return res.status(400).json({ error: `Unsupported level '${level}'. Expected one of: ${Object.keys(WCAG_THRESHOLDS).join(', ')}` });
+    }
+
+    if (!Object.hasOwn(WCAG_THRESHOLDS[level], size)) {
+      return res.status(400).json({ error: `Unsupported size '${size}'. Expected one of: ${Object.keys(WCAG_THRESHOLDS[level]).join(', ')}` });
+    }
+
+    const modeNames = (await Mode.find({}, 'name').sort({ createdAt: 1 }).lean()).map(m => m.name);
+    if (mode && !modeNames.includes(mode)) {
+      return res.status(400).json({ error: `Unknown mode '${mode}'` });
+    }
+
+    const tokens = await DesignToken.find({}, 'name category type value modeValues').lean();
+    const tokensByName = new Map(tokens.map(token => [token.name, token]));
+    const pairings = await ColorPairing.find().sort({ foreground: 1, background: 1 }).lean();
+
+    const results = [];
+    (mode ? [mode] : [null, ...modeNames]).forEach(modeName => {
+      const values = buildValueMap(tokens, modeName);
+      const cache = new Map();
+
+      pairings.forEach(pairing => {
+        const result = {
+          pairing: pairing._id,
+          foreground: pairing.foreground,
+          background: pairing.background,
+          description: pairing.description,
+          mode: modeName
+        };
+
+        const foreground = resolveColor(pairing.foreground, tokensByName, values, cache);
+        const background = resolveColor(pairing.background, tokensByName, values, cache);
+
+        if (foreground.error || background.error) {
+          results.push({ ...result, passes: false, error: foreground.error || background.error });
+          return;
+        }
+
+        const contrast = checkContrast(foreground.color, background.color);
+        results.push({
+          ...result,
+          foregroundValue: foreground.color.hex,
+          backgroundValue: background.color.hex,
+          ...contrast,
+          passes: contrast.wcag[level][size]
+        });
+      });
+    });
+
+    const failing = results.filter(result => !result.passes).length;
+
+    res.json({
+      level,
+      size,
+      summary: {
+        total: results.length,
+        passing: results.length - failing,
+        failing
+      },
+      results: violations === 'true' ? results.filter(result => !result.passes) : results
+    });
+  } catch (error) {
+    console.error('Contrast report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { toCsv } = require('../utils/audit');
+const { findNonStringParam } = require('../utils/query');
+
+const router = express.Router();
+
+// Query for ?actor (username or user id), ?action (comma-separated; `token.*`
+// matches every token action), ?targetType, ?targetId, ?from and ?to (dates).
+// Returns { error } when a filter is invalid.
+const buildAuditQuery = (filters) => {
+  const invalidFilter = findNonStringParam(filters, ['actor', 'action', 'targetType', 'targetId', 'from', 'to']);
+  if (invalidFilter) {
+    return { error: `Filter '${invalidFilter}' must be a single string` };
+  }
+  const { actor, action, targetType, targetId, from, to } = filters;
+
+  const query = {};
+
+  if (actor) {
+    query.$or = actor.match(/^[0-9a-fA-F]{24}$/)
+      ? [{ actor }, { actorUsername: actor }]
+      : [{ actorUsername: actor }];
+  }
+
+  if (action) {
+    const actions = action.split(',').map(name => name.trim()).filter(Boolean);
+    query.action = {
+      $in: actions.map(name => (name.endsWith('.*')
+        ? new RegExp(`^${name.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`)
+        : name))
+    };
+  }
+
+  if (targetType) {
+    query.targetType = targetType;
+  }
+
+  if (targetId) {
+    query.targetId = targetId;
+  }
+
+  for (const [bound, operator] of [[from, '$gte'], [to, '$lte']]) {
+    if (!bound) {
+      continue;
+    }
+    const date = new Date(bound);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid date '${bound}'` };
+    }
+    query.createdAt = { ...query.createdAt, [operator]: date };
+  }
+
+  return { query };
+};
+
+// Get audit events, newest first. ?format=csv downloads every matching event.
+router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { format = 'json', page = 1, limit = 50 } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: `Unsupported audit format '${format}'. Expected one of: json, csv` });
+    }
+
+    const { query, error } = buildAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (format === 'csv') {
+      const events = await AuditEvent.find(query).sort({ createdAt: -1 }).lean();
+      res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+      res.type('text/csv');
+      return res.send(toCsv(events));
+    }
+
+    const events = await AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditEvent.countDocuments(query);
+
+    res.json({
+      events,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
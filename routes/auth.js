@@ -2,18 +2,45 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Invitation = require('../models/Invitation');
+const { authenticateToken } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { SessionError, createSession, refreshSession, revokeSession, revokeUserSessions, isSessionActive } = require('../utils/sessions');
+const { DEFAULT_ROLE, emailInUse, registrationMode } = require('../utils/users');
+const { findPendingInvitation } = require('../utils/invitations');
+const { withTransaction } = require('../utils/transactions');
+const { MailError, isValidEmail } = require('../utils/mailer');
+const {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  passwordResetLimits,
+  consumeUserToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} = require('../utils/userTokens');
+const { SCOPES, DEFAULT_EXPIRY_DAYS, MAX_EXPIRY_DAYS, generateApiKey } = require('../utils/apiKeys');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
-// Register
+// Register. Every new account gets DEFAULT_ROLE whatever the body says;
+// admins change roles through /api/users.
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password } = req.body;
+
+    if (registrationMode() === 'invite') {
+      return res.status(403).json({ error: 'Registration is by invitation only' });
+    }
 
     if (!username || !email || !password) {
       return res.status(400).json({ error: 'Username, email, and password are required' });
     }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
 
     const existingUser = await User.findOne({ 
       $or: [{ email }, { username }] 
@@ -28,22 +55,28 @@ router.post('/register', async (req, res) => {
       username,
       email,
       password: hashedPassword,
-      role: role || 'designer'
+      role: DEFAULT_ROLE
     });
 
     await user.save();
 
-    const token = jwt.sign(
-      { id: user._id.toString(), username: user.username, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // A failed email should not fail the registration; the user can ask for another
+    await sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    const { tokens } = await createSession(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.register',
+      actor: { id: user._id.toString(), username: user.username },
+      target: { type: 'user', id: user._id, name: user.username },
+      after: { username: user.username, email: user.email, role: user.role }
+    });
 
     console.log('User registered successfully:', email);
     res.status(201).json({
       message: 'User created successfully',
-      token,
-      user: { id: user._id, username: user.username, email: user.email, role: user.role }
+      ...tokens,
+      user: { id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.emailVerified }
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -51,6 +84,91 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Look up an invitation link, for the accept screen
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({ invitation: { email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt } });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept an invitation: creates the account with the invited email and role
+// and signs it in. Works whatever REGISTRATION_MODE is.
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, username, password } = req.body;
+
+    if (!token || !username || !password) {
+      return res.status(400).json({ error: 'Token, username, and password are required' });
+    }
+
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+    if (await User.exists({ username }) || await emailInUse(invitation.email)) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // Claiming the invitation first makes the link single-use even when it
+    // is submitted twice at once
+    const user = await withTransaction(async (session, onRollback) => {
+      const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, acceptedAt: null, revokedAt: null },
+        { acceptedAt: new Date() },
+        { new: true, session }
+      );
+      if (!claimed) {
+        return null;
+      }
+      onRollback(() => Invitation.updateOne({ _id: claimed._id }, { acceptedAt: null }));
+
+      const [created] = await User.create([{
+        username,
+        email: claimed.email,
+        password: hashedPassword,
+        role: claimed.role,
+        // The invitation link was sent to this address
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      }], { session });
+      onRollback(() => User.deleteOne({ _id: created._id }));
+      await Invitation.updateOne({ _id: claimed._id }, { acceptedBy: created._id }, { session });
+      return created;
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    const { tokens } = await createSession(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.accept_invite',
+      actor: { id: user._id.toString(), username: user.username },
+      target: { type: 'user', id: user._id, name: user.username },
+      after: { username: user.username, email: user.email, role: user.role },
+      metadata: { invitation: invitation._id.toString(), invitedBy: invitation.invitedBy.toString() }
+    });
+
+    res.status(201).json({
+      message: 'Invitation accepted',
+      ...tokens,
+      user: { id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.emailVerified }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Login
 router.post('/login', async (req, res) => {
   try {
@@ -62,6 +180,11 @@ router.post('/login', async (req, res) => {
 
     const user = await User.findOne({ email });
     if (!user) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        target: { type: 'user', name: email },
+        metadata: { reason: 'unknown email' }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -73,24 +196,39 @@ router.post('/login', async (req, res) => {
 
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        target: { type: 'user', id: user._id, name: user.username },
+        metadata: { reason: 'wrong password' }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // ENSURE we use the ObjectId correctly
-    const token = jwt.sign(
-      { 
-        id: user._id.toString(), // Convert ObjectId to string
-        username: user.username, 
-        role: user.role 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (!user.active) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        target: { type: 'user', id: user._id, name: user.username },
+        metadata: { reason: 'deactivated' }
+      });
+      return res.status(403).json({ error: 'Account is deactivated' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { session, tokens } = await createSession(user, req);
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: { id: user._id.toString(), username: user.username },
+      target: { type: 'user', id: user._id, name: user.username },
+      metadata: { session: session._id.toString() }
+    });
 
     res.json({
       message: 'Login successful',
-      token,
-      user: { id: user._id, username: user.username, email: user.email, role: user.role }
+      ...tokens,
+      user: { id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.emailVerified }
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -109,6 +247,9 @@ router.get('/me', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: decoded.sid ? 'Session has been revoked' : 'Session required; please log in again' });
+    }
     
     // Try to get user from database
     const user = await User.findById(decoded.id);
@@ -117,7 +258,7 @@ router.get('/me', async (req, res) => {
     }
 
     res.json({
-      user: { id: user._id, username: user.username, email: user.email, role: user.role }
+      user: { id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.emailVerified }
     });
   } catch (error) {
     res.status(403).json({ error: 'Invalid token' });
@@ -134,6 +275,9 @@ router.get('/verify', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: decoded.sid ? 'Session has been revoked' : 'Session required; please log in again' });
+    }
     
     // Try to get user from database
     const user = await User.findById(decoded.id);
@@ -146,7 +290,8 @@ router.get('/verify', async (req, res) => {
         _id: user._id, 
         username: user.username, 
         email: user.email, 
-        role: user.role 
+        role: user.role, 
+        emailVerified: user.emailVerified 
       }
     });
   } catch (error) {
@@ -155,51 +300,399 @@ router.get('/verify', async (req, res) => {
   }
 });
 
-// Test
-router.get('/test', (req, res) => {
-  res.json({
-    message: 'Auth routes are working!',
-    database: 'MongoDB with User model',
-    testCredentials: [
-      { email: 'admin@example.com', password: 'password123', role: 'admin' },
-      { email: 'designer@example.com', password: 'password', role: 'designer' },
-      { email: 'dev@example.com', password: 'dev123', role: 'developer' }
-    ],
-    instructions: [
-      '1. First register a user with POST /api/auth/register',
-      '2. Then login with POST /api/auth/login',
-      '3. Or use the test credentials above'
-    ]
+// Create the reset link and email it after the response has gone out
+const queuePasswordReset = (user, req) => {
+  setImmediate(async () => {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      console.error('Password reset email error:', error);
+    }
+    await recordAudit(req, {
+      action: 'auth.password_reset_requested',
+      actor: { id: user._id.toString(), username: user.username },
+      target: { type: 'user', id: user._id, name: user.username }
+    });
   });
+};
+
+// Email a password reset link. The response is the same, and takes as long,
+// whether or not the email belongs to an account, so it cannot be used to
+// find accounts. Requests are throttled per IP and per email (429).
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const retryAfter = passwordResetLimits.ip.hit(req.ip)
+      || passwordResetLimits.email.hit(String(email).trim().toLowerCase());
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many password reset requests; try again later' });
+    }
+
+    const user = await User.findOne({ email: String(email) });
+    if (user && user.active) {
+      queuePasswordReset(user, req);
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-router.post('/create-admin', async (req, res) => {
+// Set a new password with a reset link. Every session of the user is ended.
+router.post('/reset-password', async (req, res) => {
   try {
-    // Check if admin already exists
-    const existingAdmin = await User.findOne({ email: 'admin@example.com' });
-    if (existingAdmin) {
-      return res.json({ 
-        message: 'Admin user already exists', 
-        user: { 
-          id: existingAdmin._id, 
-          username: existingAdmin.username, 
-          email: existingAdmin.email, 
-          role: existingAdmin.role 
-        } 
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const userToken = await consumeUserToken(token, PASSWORD_RESET);
+    const user = userToken && await User.findById(userToken.user);
+    if (!user || !user.active) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // The link was opened from the user's inbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    const sessions = await revokeUserSessions(user._id, 'password reset');
+
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      actor: { id: user._id.toString(), username: user.username },
+      target: { type: 'user', id: user._id, name: user.username },
+      metadata: { sessionsRevoked: sessions }
+    });
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Confirm an email address with the link sent at registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const userToken = await consumeUserToken(token, EMAIL_VERIFICATION);
+    const user = userToken && await User.findById(userToken.user);
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'auth.email_verified',
+        actor: { id: user._id.toString(), username: user.username },
+        target: { type: 'user', id: user._id, name: user.username }
       });
     }
 
-    // Create admin user
-    const hashedPassword = await bcrypt.hash('admin123', 10);
+    res.json({ message: 'Email verified', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send the current user a new verification link
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    if (error instanceof MailError) {
+      return res.status(502).json({ error: `Failed to send verification email: ${error.message}` });
+    }
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Swap a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const { user, tokens } = await refreshSession(refreshToken, req);
+
+    res.json({
+      ...tokens,
+      user: { id: user._id, username: user.username, email: user.email, role: user.role, emailVerified: user.emailVerified }
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End the session the access token belongs to
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await revokeSession({ _id: req.user.sid }, 'logout');
+    }
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      target: { type: 'session', id: req.user.sid }
+    });
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const formatSession = (session, currentId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentId
+});
+
+// Signed-in devices of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({ sessions: sessions.map(session => formatSession(session, req.user.sid)) });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const modifiedCount = await revokeUserSessions(req.user.id, 'revoked by user', req.user.sid);
+
+    await recordAudit(req, {
+      action: 'auth.sessions_revoked',
+      target: { type: 'user', id: req.user.id, name: req.user.username },
+      metadata: { revoked: modifiedCount }
+    });
+
+    res.json({ message: `${modifiedCount} sessions revoked`, revoked: modifiedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid session ID format' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session, 'revoked by user');
+    await recordAudit(req, {
+      action: 'auth.session_revoked',
+      target: { type: 'session', id: session._id },
+      metadata: { userAgent: session.userAgent, ip: session.ip }
+    });
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  user: apiKey.user && apiKey.user.username ? { id: apiKey.user._id, username: apiKey.user.username } : apiKey.user,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+// Create an API key for the current user. The key is only returned here.
+router.post('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required' });
+    }
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}` });
+    }
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: String(name).trim(),
+      user: req.user.id,
+      keyHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    await recordAudit(req, {
+      action: 'auth.api_key_created',
+      target: { type: 'api_key', id: apiKey._id, name: apiKey.name },
+      metadata: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API keys of the current user, and the scopes a key can be given. Admins
+// can pass ?all=true to see everyone's keys.
+router.get('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' && req.user.role === 'admin' ? {} : { user: req.user.id };
+    if (req.query.includeRevoked !== 'true') {
+      filter.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(filter)
+      .populate('user', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      apiKeys: apiKeys.map(formatApiKey),
+      scopes: Object.entries(SCOPES).map(([scope, description]) => ({ scope, description }))
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an API key. Admins can revoke anyone's key.
+router.delete('/api-keys/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid API key ID format' });
+    }
+
+    const filter = { _id: req.params.id, revokedAt: null };
+    if (req.user.role !== 'admin') {
+      filter.user = req.user.id;
+    }
+    const apiKey = await ApiKey.findOneAndUpdate(filter, { revokedAt: new Date() }, { new: true });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'auth.api_key_revoked',
+      target: { type: 'api_key', id: apiKey._id, name: apiKey.name },
+      metadata: { prefix: apiKey.prefix }
+    });
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create the first admin of a new installation. Off unless
+// ALLOW_CREATE_ADMIN=true, and then only while there are no accounts at all.
+router.post('/create-admin', async (req, res) => {
+  try {
+    if (process.env.ALLOW_CREATE_ADMIN !== 'true') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (await User.exists({})) {
+      return res.status(403).json({ error: 'Accounts already exist; ask an admin to invite you' });
+    }
+
+    const { username, email, password } = req.body;
+    if (!username || !email || !password) {
+      return res.status(400).json({ error: 'Username, email, and password are required' });
+    }
+
     const adminUser = new User({
-      username: 'admin',
-      email: 'admin@example.com',
-      password: hashedPassword,
+      username,
+      email,
+      password: await bcrypt.hash(password, 10),
       role: 'admin'
     });
 
     await adminUser.save();
-    res.json({ 
+    await recordAudit(req, {
+      action: 'auth.create_admin',
+      actor: { id: adminUser._id.toString(), username: adminUser.username },
+      target: { type: 'user', id: adminUser._id, name: adminUser.username },
+      after: { username: adminUser.username, email: adminUser.email, role: adminUser.role }
+    });
+    res.status(201).json({ 
       message: 'Admin user created successfully', 
       user: { 
         id: adminUser._id, 
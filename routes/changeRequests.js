@@ -0,0 +1,351 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ChangeRequest = require('../models/ChangeRequest');
+const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { TokenConflictError, planChanges, applyChanges, mergeTokenUpdate, buildNewToken } = require('../utils/tokenChanges');
+const { snapshotToken, diffSnapshots } = require('../utils/revisions');
+const { withTransaction } = require('../utils/transactions');
+const { recordAudit } = require('../utils/audit');
+const { publishTokenEvent } = require('../utils/events');
+
+const router = express.Router();
+
+const loadPlanInputs = async () => {
+  const tokens = await DesignToken.find().lean();
+  const modes = await Mode.find({}, 'name').lean();
+  return { tokens, modes: modes.map(mode => mode.name) };
+};
+
+// Field-level diff of every change against the live tokens. `outdated` is set
+// when the token was edited after the change was proposed.
+const buildDiff = (changeRequest, tokens) => changeRequest.changes.map((change, index) => {
+  const current = change.token
+    ? tokens.find(token => token._id.toString() === change.token.toString())
+    : null;
+  const before = current ? snapshotToken(current) : null;
+
+  let after = null;
+  if (change.action === 'create') {
+    after = snapshotToken(buildNewToken(change.data || {}));
+  } else if (change.action === 'update' && current) {
+    after = snapshotToken({ ...current, ...mergeTokenUpdate(current, change.data || {}) });
+  }
+
+  return {
+    index,
+    action: change.action,
+    tokenName: change.tokenName,
+    changes: diffSnapshots(before, after),
+    outdated: Boolean(change.before) && (!before || diffSnapshots(change.before, before).length > 0)
+  };
+});
+
+const findOpenRequest = async (req, res) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ error: 'Invalid change request ID format' });
+    return null;
+  }
+
+  const changeRequest = await ChangeRequest.findById(req.params.id);
+  if (!changeRequest) {
+    res.status(404).json({ error: 'Change request not found' });
+    return null;
+  }
+
+  if (changeRequest.status !== 'open') {
+    res.status(409).json({ error: `Change request is already ${changeRequest.status}` });
+    return null;
+  }
+
+  return changeRequest;
+};
+
+// Get all change requests, newest first
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    const changeRequests = await ChangeRequest.find(query)
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({ changeRequests });
+  } catch (error) {
+    console.error('Get change requests error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single change request with its diff and any problems applying it now
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid change request ID format' });
+    }
+
+    const changeRequest = await ChangeRequest.findById(req.params.id)
+      .populate('createdBy', 'username');
+
+    if (!changeRequest) {
+      return res.status(404).json({ error: 'Change request not found' });
+    }
+
+    const { tokens, modes } = await loadPlanInputs();
+    const response = { ...changeRequest.toObject(), diff: buildDiff(changeRequest, tokens) };
+
+    if (changeRequest.status === 'open') {
+      response.errors = planChanges(tokens, modes, changeRequest.changes).errors;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Get change request error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Propose a batch of token changes (any signed-in user)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { title, rationale, changes } = req.body;
+
+    if (!title || !rationale) {
+      return res.status(400).json({ error: 'Title and rationale are required' });
+    }
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return res.status(400).json({ error: 'At least one change is required' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.user.id)) {
+      return res.status(401).json({ error: 'Invalid user authentication - please log in again' });
+    }
+
+    const { tokens, modes } = await loadPlanInputs();
+    const { errors } = planChanges(tokens, modes, changes);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Some changes cannot be applied', errors });
+    }
+
+    const changeRequest = new ChangeRequest({
+      title,
+      rationale,
+      changes: changes.map(change => {
+        const current = change.token ? tokens.find(token => token._id.toString() === String(change.token)) : null;
+        return {
+          action: change.action,
+          token: current ? current._id : undefined,
+          tokenName: current ? current.name : change.data.name,
+          data: change.action === 'delete' ? undefined : change.data,
+          before: current ? snapshotToken(current) : null
+        };
+      }),
+      createdBy: req.user.id,
+      createdByUsername: req.user.username
+    });
+
+    await changeRequest.save();
+    await recordAudit(req, {
+      action: 'change_request.create',
+      target: { type: 'change_request', id: changeRequest._id, name: changeRequest.title },
+      after: changeRequest.changes.map(({ action, tokenName, data }) => ({ action, tokenName, data }))
+    });
+    await changeRequest.populate('createdBy', 'username');
+
+    res.status(201).json(changeRequest);
+  } catch (error) {
+    console.error('Create change request error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Comment on a change request
+router.post('/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid change request ID format' });
+    }
+
+    if (!req.body.body) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+
+    const changeRequest = await ChangeRequest.findById(req.params.id);
+    if (!changeRequest) {
+      return res.status(404).json({ error: 'Change request not found' });
+    }
+
+    changeRequest.comments.push({
+      author: mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined,
+      authorUsername: req.user.username,
+      body: req.body.body
+    });
+    changeRequest.updatedAt = new Date();
+    await changeRequest.save();
+
+    res.status(201).json(changeRequest);
+  } catch (error) {
+    console.error('Comment on change request error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve and apply every change, or none of them
+router.post('/:id/approve', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const changeRequest = await findOpenRequest(req, res);
+    if (!changeRequest) {
+      return;
+    }
+
+    const { tokens, modes } = await loadPlanInputs();
+    const { errors } = planChanges(tokens, modes, changeRequest.changes);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Change request can no longer be applied', errors });
+    }
+
+    const review = {
+      status: 'approved',
+      reviewedBy: mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined,
+      reviewedByUsername: req.user.username,
+      reviewedAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const results = await withTransaction(async (session, onRollback) => {
+      // Only one reviewer can move the request out of 'open'
+      const claimed = await ChangeRequest.findOneAndUpdate(
+        { _id: changeRequest._id, status: 'open' },
+        review,
+        { new: true, session }
+      );
+      if (!claimed) {
+        return null;
+      }
+      onRollback(() => ChangeRequest.updateOne({ _id: changeRequest._id }, { status: 'open' }));
+
+      return applyChanges(changeRequest.changes, {
+        user: { id: changeRequest.createdBy.toString(), username: changeRequest.createdByUsername },
+        changeRequest: changeRequest._id,
+        session,
+        onRollback
+      });
+    });
+
+    if (!results) {
+      return res.status(409).json({ error: 'Change request was reviewed by someone else' });
+    }
+
+    // Announced only once every change is in
+    results.forEach(({ action, token, before, after }) => publishTokenEvent(action, token._id, { before, after }, req.user));
+
+    await recordAudit(req, {
+      action: 'change_request.approve',
+      target: { type: 'change_request', id: changeRequest._id, name: changeRequest.title },
+      metadata: { applied: results.map(({ action, token }) => ({ action, tokenId: token._id, tokenName: token.name })) }
+    });
+
+    if (req.body.comment) {
+      await ChangeRequest.updateOne(
+        { _id: changeRequest._id },
+        { $push: { comments: { author: review.reviewedBy, authorUsername: req.user.username, body: req.body.comment } } }
+      );
+    }
+
+    res.json({
+      changeRequest: await ChangeRequest.findById(changeRequest._id).populate('createdBy', 'username'),
+      results: results.map(({ action, token }) => ({ action, tokenId: token._id, tokenName: token.name }))
+    });
+  } catch (error) {
+    if (error instanceof TokenConflictError) {
+      return res.status(409).json({ error: `Change request can no longer be applied: ${error.message}` });
+    }
+    console.error('Approve change request error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reject with an optional comment
+router.post('/:id/reject', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const changeRequest = await findOpenRequest(req, res);
+    if (!changeRequest) {
+      return;
+    }
+
+    const reviewedBy = mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined;
+    const update = {
+      $set: {
+        status: 'rejected',
+        reviewedBy,
+        reviewedByUsername: req.user.username,
+        reviewedAt: new Date(),
+        updatedAt: new Date()
+      }
+    };
+    if (req.body.comment) {
+      update.$push = { comments: { author: reviewedBy, authorUsername: req.user.username, body: req.body.comment } };
+    }
+
+    // Claimed atomically so a concurrent approve or withdraw cannot also win
+    const rejected = await ChangeRequest.findOneAndUpdate(
+      { _id: changeRequest._id, status: 'open' },
+      update,
+      { new: true }
+    );
+    if (!rejected) {
+      return res.status(409).json({ error: 'Change request was reviewed by someone else' });
+    }
+
+    await recordAudit(req, {
+      action: 'change_request.reject',
+      target: { type: 'change_request', id: rejected._id, name: rejected.title }
+    });
+    res.json(rejected);
+  } catch (error) {
+    console.error('Reject change request error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Withdraw an open request (author only)
+router.post('/:id/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const changeRequest = await findOpenRequest(req, res);
+    if (!changeRequest) {
+      return;
+    }
+
+    if (changeRequest.createdBy.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const withdrawn = await ChangeRequest.findOneAndUpdate(
+      { _id: changeRequest._id, status: 'open' },
+      { status: 'withdrawn', updatedAt: new Date() },
+      { new: true }
+    );
+    if (!withdrawn) {
+      return res.status(409).json({ error: 'Change request was reviewed before it could be withdrawn' });
+    }
+
+    await recordAudit(req, {
+      action: 'change_request.withdraw',
+      target: { type: 'change_request', id: withdrawn._id, name: withdrawn.title }
+    });
+
+    res.json(withdrawn);
+  } catch (error) {
+    console.error('Withdraw change request error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
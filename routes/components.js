@@ -0,0 +1,266 @@
+const express = require('express');
+const Component = require('../models/Component');
+const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { buildDependencyGraph, findDependents } = require('../utils/dependencyGraph');
+const { publishEvent } = require('../utils/events');
+const { recordAudit } = require('../utils/audit');
+const { findNonStringParam } = require('../utils/query');
+
+const router = express.Router();
+
+const STATUSES = Component.schema.path('status').enumValues;
+
+// Editable fields, as recorded in the audit log
+const componentSnapshot = (component) => {
+  const { name, description, status, tokens, variants, props, owners, docsLinks } = component.toObject();
+  return { name, description, status, tokens, variants, props, owners, docsLinks };
+};
+
+// Names of every token a component uses, across all variants
+const componentTokenNames = (component) => [...new Set([
+  ...(component.tokens || []),
+  ...(component.variants || []).flatMap(variant => variant.tokens || [])
+])];
+
+// Problems with the editable fields of a component, or null when valid
+const validateComponent = async (data) => {
+  if (data.status !== undefined && !STATUSES.includes(data.status)) {
+    return `Invalid status '${data.status}'. Expected one of: ${STATUSES.join(', ')}`;
+  }
+
+  if ((data.variants || []).some(variant => !variant || !variant.name)) {
+    return 'Every variant needs a name';
+  }
+
+  if ((data.props || []).some(prop => !prop || !prop.name)) {
+    return 'Every prop needs a name';
+  }
+
+  if ((data.docsLinks || []).some(link => !link || !/^https?:\/\//.test(link.url || ''))) {
+    return 'Docs links need an http(s) url';
+  }
+
+  const names = componentTokenNames(data);
+  const existing = await DesignToken.find({ name: { $in: names } }, 'name').lean();
+  const existingNames = new Set(existing.map(token => token.name));
+  const unknownTokens = names.filter(name => !existingNames.has(name));
+  if (unknownTokens.length > 0) {
+    return `Unknown token: ${unknownTokens.join(', ')}`;
+  }
+
+  return null;
+};
+
+// The token and every token that depends on it, in any mode
+const findAffectedTokens = async (name) => {
+  const tokens = await DesignToken.find({}, 'name category value modeValues').lean();
+  const modes = await Mode.find({}, 'name').lean();
+
+  const graph = buildDependencyGraph(tokens, modes.map(mode => mode.name));
+  return [name, ...findDependents(name, graph).transitive];
+};
+
+// Get all components, optionally by status, search or the token they use.
+// ?token=radius-md also finds components using aliases of radius-md.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const invalidParam = findNonStringParam(req.query, ['status', 'search', 'token']);
+    if (invalidParam) {
+      return res.status(400).json({ error: `Parameter '${invalidParam}' must be a single string` });
+    }
+
+    const { status, search, token } = req.query;
+
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (search) {
+      query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    let affectedTokens;
+    if (token) {
+      if (!(await DesignToken.exists({ name: token }))) {
+        return res.status(404).json({ error: `Token '${token}' not found` });
+      }
+      affectedTokens = await findAffectedTokens(token);
+      query.$or = [
+        { tokens: { $in: affectedTokens } },
+        { 'variants.tokens': { $in: affectedTokens } }
+      ];
+    }
+
+    const components = await Component.find(query)
+      .populate('createdBy', 'username')
+      .sort({ name: 1 });
+
+    if (!token) {
+      return res.json({ components });
+    }
+
+    res.json({
+      token,
+      affectedTokens,
+      components: components.map(component => ({
+        ...component.toObject(),
+        affectedBy: componentTokenNames(component).filter(name => affectedTokens.includes(name))
+      }))
+    });
+  } catch (error) {
+    console.error('Get components error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single component
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid component ID format' });
+    }
+
+    const component = await Component.findById(req.params.id)
+      .populate('createdBy', 'username');
+
+    if (!component) {
+      return res.status(404).json({ error: 'Component not found' });
+    }
+
+    res.json(component);
+  } catch (error) {
+    console.error('Get component error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create component
+router.post('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, description, status, tokens, variants, props, owners, docsLinks } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const existingComponent = await Component.findOne({ name });
+    if (existingComponent) {
+      return res.status(400).json({ error: `Component '${name}' already exists` });
+    }
+
+    const validationError = await validateComponent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const component = new Component({
+      name,
+      description,
+      status,
+      tokens: tokens || [],
+      variants: variants || [],
+      props: props || [],
+      owners: owners || [],
+      docsLinks: docsLinks || [],
+      createdBy: req.user.id
+    });
+
+    await component.save();
+    await component.populate('createdBy', 'username');
+    publishEvent('component.created', { component: component.toObject() }, req.user);
+    await recordAudit(req, {
+      action: 'component.create',
+      target: { type: 'component', id: component._id, name: component.name },
+      after: componentSnapshot(component)
+    });
+
+    res.status(201).json(component);
+  } catch (error) {
+    console.error('Create component error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update component
+router.put('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid component ID format' });
+    }
+
+    const component = await Component.findById(req.params.id);
+    if (!component) {
+      return res.status(404).json({ error: 'Component not found' });
+    }
+
+    const { name, description, status, tokens, variants, props, owners, docsLinks } = req.body;
+
+    if (name && name !== component.name && await Component.exists({ name })) {
+      return res.status(400).json({ error: `Component '${name}' already exists` });
+    }
+
+    const validationError = await validateComponent(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const before = componentSnapshot(component);
+    Object.assign(component, {
+      name: name || component.name,
+      description: description !== undefined ? description : component.description,
+      status: status || component.status,
+      tokens: tokens || component.tokens,
+      variants: variants || component.variants,
+      props: props || component.props,
+      owners: owners || component.owners,
+      docsLinks: docsLinks || component.docsLinks,
+      updatedAt: new Date()
+    });
+
+    await component.save();
+    await component.populate('createdBy', 'username');
+    publishEvent('component.updated', { component: component.toObject() }, req.user);
+    await recordAudit(req, {
+      action: 'component.update',
+      target: { type: 'component', id: component._id, name: component.name },
+      before,
+      after: componentSnapshot(component)
+    });
+
+    res.json(component);
+  } catch (error) {
+    console.error('Update component error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete component
+router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid component ID format' });
+    }
+
+    const component = await Component.findByIdAndDelete(req.params.id);
+    if (!component) {
+      return res.status(404).json({ error: 'Component not found' });
+    }
+    publishEvent('component.deleted', { component: component.toObject() }, req.user);
+    await recordAudit(req, {
+      action: 'component.delete',
+      target: { type: 'component', id: component._id, name: component.name },
+      before: componentSnapshot(component)
+    });
+
+    res.json({ message: 'Component deleted successfully' });
+  } catch (error) {
+    console.error('Delete component error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
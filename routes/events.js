@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { subscribe } = require('../utils/events');
+const { isSessionActive } = require('../utils/sessions');
+const { isApiKeyActive } = require('../utils/apiKeys');
+
+const router = express.Router();
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+const HEARTBEAT_MS = 25000;
+const STREAM_TICKET_AUDIENCE = 'event-stream';
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+// How often an open stream re-checks the credentials it was opened with
+const authCheckInterval = () => Number(process.env.EVENT_STREAM_CHECK_MS) || 30000;
+
+// Ids of tickets already used, until they expire (ms)
+const usedTickets = new Map();
+
+const claimTicket = (jti, expiresAt) => {
+  const now = Date.now();
+  usedTickets.forEach((expiry, id) => {
+    if (expiry <= now) {
+      usedTickets.delete(id);
+    }
+  });
+  if (usedTickets.has(jti)) {
+    return false;
+  }
+  usedTickets.set(jti, expiresAt);
+  return true;
+};
+
+// EventSource cannot send headers, so browsers open the stream with
+// ?ticket= from POST /ticket: single use, valid for a minute and accepted
+// nowhere else. Other clients send the usual Authorization header.
+const authenticateStream = (req, res, next) => {
+  const { ticket } = req.query;
+  if (!ticket) {
+    return authenticateToken(req, res, next);
+  }
+
+  jwt.verify(String(ticket), JWT_SECRET, { audience: STREAM_TICKET_AUDIENCE }, (err, claims) => {
+    if (err || !claims.jti || !claimTicket(claims.jti, claims.exp * 1000)) {
+      return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+    }
+    const { id, username, role, sid } = claims;
+    req.user = { id, username, role, sid };
+    next();
+  });
+};
+
+// Whether the credentials a stream was opened with still hold: the session or
+// API key is live and the account is active with the same role
+const isStreamAuthorized = async (user) => {
+  if (user.apiKey) {
+    return isApiKeyActive(user.apiKey.id);
+  }
+  if (user.sid && !(await isSessionActive(user.sid))) {
+    return false;
+  }
+  if (!/^[0-9a-fA-F]{24}$/.test(String(user.id))) {
+    return false;
+  }
+  const account = await User.findById(user.id, 'active role').lean();
+  return Boolean(account && account.active && account.role === user.role);
+};
+
+// Issue a ticket for opening the event stream
+router.post('/ticket', authenticateToken, (req, res) => {
+  const { id, username, role, sid } = req.user;
+  const ticket = jwt.sign({ id, username, role, sid }, JWT_SECRET, {
+    audience: STREAM_TICKET_AUDIENCE,
+    expiresIn: STREAM_TICKET_TTL_SECONDS,
+    jwtid: crypto.randomUUID()
+  });
+  res.json({ ticket, expiresIn: STREAM_TICKET_TTL_SECONDS });
+});
+
+// Server-Sent Events stream of every published event (token, component and
+// release changes). Each message is `event: <type>` with the event as JSON.
+// The stream ends with a `session.ended` event once logout, revocation,
+// deactivation or a role change invalidates the credentials it opened with.
+router.get('/', authenticateStream, async (req, res) => {
+  try {
+    if (!(await isStreamAuthorized(req.user))) {
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+  } catch (error) {
+    console.error('Event stream auth error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  // Comment lines keep idle connections open through load balancers
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  const authCheck = setInterval(() => {
+    isStreamAuthorized(req.user)
+      .then(authorized => {
+        if (!authorized && !res.writableEnded) {
+          res.write(`event: session.ended\ndata: ${JSON.stringify({ reason: 'Session has ended' })}\n\n`);
+          res.end();
+        }
+      })
+      .catch(error => console.error('Event stream auth check error:', error));
+  }, authCheckInterval());
+
+  // Fires when the client disconnects and when the stream is ended above
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(authCheck);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
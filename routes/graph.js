@@ -0,0 +1,55 @@
+const express = require('express');
+const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const { authenticateToken } = require('../middleware/auth');
+const { buildDependencyGraph, filterGraph, toDot, toMermaid } = require('../utils/dependencyGraph');
+const { findNonStringParam } = require('../utils/query');
+
+const router = express.Router();
+
+const GRAPH_FORMATS = {
+  dot: { render: toDot, contentType: 'text/vnd.graphviz', extension: 'dot' },
+  mermaid: { render: toMermaid, contentType: 'text/plain', extension: 'mmd' }
+};
+
+// Token dependency graph as JSON, or as a Graphviz DOT / Mermaid file.
+// `category` (comma-separated) keeps only those tokens and the edges between them.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const invalidParam = findNonStringParam(req.query, ['format', 'category']);
+    if (invalidParam) {
+      return res.status(400).json({ error: `Parameter '${invalidParam}' must be a single string` });
+    }
+
+    const { format = 'json', category } = req.query;
+
+    if (format !== 'json' && !Object.hasOwn(GRAPH_FORMATS, format)) {
+      return res.status(400).json({
+        error: `Unsupported graph format '${format}'. Expected one of: json, ${Object.keys(GRAPH_FORMATS).join(', ')}`
+      });
+    }
+
+    const tokens = await DesignToken.find({}, 'name category value modeValues').sort({ name: 1 }).lean();
+    const modes = await Mode.find({}, 'name').sort({ createdAt: 1 }).lean();
+
+    let graph = buildDependencyGraph(tokens, modes.map(mode => mode.name));
+    if (category) {
+      const categories = category.split(',');
+      graph = filterGraph(graph, tokens.filter(token => categories.includes(token.category)).map(token => token.name));
+    }
+
+    if (format === 'json') {
+      return res.json(graph);
+    }
+
+    const { render, contentType, extension } = GRAPH_FORMATS[format];
+    res.attachment(`tokens.${extension}`);
+    res.type(contentType);
+    res.send(render(graph));
+  } catch (error) {
+    console.error('Get graph error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const { Readable } = require('stream');
+const express = require('express');
+const ImportJob = require('../models/ImportJob');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { UPLOAD_MODES, readUploadBody } = require('../utils/tokenUpload');
+const { readNdjson, startImportJob } = require('../utils/importJobs');
+
+const router = express.Router();
+
+// Whole-file bodies can be far larger than the app-wide limit. The same cap
+// applies to NDJSON and JSON; read per request, like IMPORT_BATCH_SIZE.
+const importLimit = () => process.env.IMPORT_JSON_LIMIT || '50mb';
+
+// JSON bodies are parsed; NDJSON is read as text and split into rows later
+const parseImportBody = (req, res, next) => {
+  const limit = importLimit();
+  express.json({ limit })(req, res, (error) => (
+    error ? next(error) : express.text({ type: 'application/x-ndjson', limit })(req, res, next)
+  ));
+};
+
+// Multipart form uploads are not supported; send the file as the body
+const IMPORT_CONTENT_TYPES = ['application/x-ndjson', 'application/json'];
+
+// { rows, errors, modes } from an NDJSON stream (one token per line) or a JSON
+// body in one of the upload formats; null when the body is neither
+const readRows = async (req) => {
+  if (req.is('application/x-ndjson')) {
+    return { ...(await readNdjson(Readable.from([typeof req.body === 'string' ? req.body : '']))), modes: [] };
+  }
+
+  const { rows, modes } = readUploadBody(req.body, req.query.format);
+  return Array.isArray(rows) ? { rows, errors: [], modes } : null;
+};
+
+// Start an import job. Accepts NDJSON (Content-Type: application/x-ndjson),
+// or as application/json { "tokens": [...] }, a DTCG document or a Tokens
+// Studio file, and ?mode=create|upsert|replace. Other content types get 415.
+// Returns 202 with the job id straight away; poll GET /api/imports/:jobId.
+router.post('/', authenticateToken, requireRole(['admin']), parseImportBody, async (req, res) => {
+  try {
+    if (!req.is(IMPORT_CONTENT_TYPES)) {
+      return res.status(415).json({
+        error: `Unsupported content type '${req.get('content-type') || 'none'}'. Expected one of: ${IMPORT_CONTENT_TYPES.join(', ')}`
+      });
+    }
+
+    const mode = req.query.mode || 'create';
+    if (!UPLOAD_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid upload mode '${mode}'. Expected one of: ${UPLOAD_MODES.join(', ')}` });
+    }
+
+    const input = await readRows(req);
+    if (!input) {
+      return res.status(400).json({ error: 'Invalid format. Send NDJSON (one token per line) or { "tokens": [...] }' });
+    }
+    if (input.rows.length === 0) {
+      return res.status(400).json({ error: 'No tokens found in the file' });
+    }
+
+    const job = await startImportJob({ ...input, mode, req });
+
+    res.status(202)
+      .location(`/api/imports/${job._id}`)
+      .json({ jobId: job._id, status: job.status, mode: job.mode, rowCount: job.rowCount });
+  } catch (error) {
+    console.error('Start import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent import jobs without their row reports
+router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+
+    const jobs = await ImportJob.find()
+      .select('-results')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1);
+
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Job status, progress and the per-row success/skip/error report
+router.get('/:jobId', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!req.params.jobId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid import job ID format' });
+    }
+
+    const job = await ImportJob.findById(req.params.jobId).populate('createdBy', 'username');
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bodies over IMPORT_JSON_LIMIT get 413 rather than the app's generic 500
+router.use((error, req, res, next) => {
+  if (error.type !== 'entity.too.large') {
+    return next(error);
+  }
+  res.status(413).json({ error: `Import is larger than the ${importLimit()} limit` });
+});
+
+module.exports = router;
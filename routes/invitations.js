@@ -0,0 +1,166 @@
+const express = require('express');
+const Invitation = require('../models/Invitation');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { MailError, isValidEmail } = require('../utils/mailer');
+const { ROLES, DEFAULT_ROLE, emailInUse } = require('../utils/users');
+const { issueInviteToken, sendInvitation, formatInvitation } = require('../utils/invitations');
+
+const router = express.Router();
+
+// Query for each status filter
+const statusQuery = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { revokedAt: { $ne: null } };
+    default:
+      return {};
+  }
+};
+
+const findInvitation = async (req, res) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ error: 'Invalid invitation ID format' });
+    return null;
+  }
+
+  const invitation = await Invitation.findById(req.params.id);
+  if (!invitation) {
+    res.status(404).json({ error: 'Invitation not found' });
+    return null;
+  }
+
+  return invitation;
+};
+
+// List invitations, optionally by status (pending, expired, accepted, revoked)
+router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const invitations = await Invitation.find(statusQuery(req.query.status))
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({ invitations: invitations.map(formatInvitation) });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite someone by email. The invitation is kept even if the email cannot be
+// sent, so it can be resent.
+router.post('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const role = req.body.role || DEFAULT_ROLE;
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (await emailInUse(email)) {
+      return res.status(400).json({ error: 'A user with this email already exists' });
+    }
+    if (await Invitation.exists({ email, ...statusQuery('pending') })) {
+      return res.status(400).json({ error: 'This email already has a pending invitation; resend it instead' });
+    }
+
+    const invitation = new Invitation({ email, role, invitedBy: req.user.id });
+    const token = issueInviteToken(invitation);
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      target: { type: 'invitation', id: invitation._id, name: email },
+      after: { email, role }
+    });
+
+    let emailError = null;
+    try {
+      await sendInvitation(invitation, token, req);
+    } catch (error) {
+      if (!(error instanceof MailError)) throw error;
+      console.error('Invitation email error:', error);
+      emailError = error.message;
+    }
+
+    res.status(201).json({
+      message: emailError ? 'Invitation created, but the email could not be sent' : 'Invitation sent',
+      invitation: formatInvitation(invitation),
+      emailSent: !emailError,
+      ...(emailError ? { emailError } : {})
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a new link with a fresh expiry; the previous link stops working
+router.post('/:id/resend', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const invitation = await findInvitation(req, res);
+    if (!invitation) return;
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ error: `Invitation has been ${invitation.acceptedAt ? 'accepted' : 'revoked'}` });
+    }
+
+    const token = issueInviteToken(invitation);
+    await invitation.save();
+    await sendInvitation(invitation, token, req);
+
+    await recordAudit(req, {
+      action: 'invitation.resend',
+      target: { type: 'invitation', id: invitation._id, name: invitation.email },
+      metadata: { sentCount: invitation.sentCount }
+    });
+
+    res.json({ message: 'Invitation resent', invitation: formatInvitation(invitation) });
+  } catch (error) {
+    if (error instanceof MailError) {
+      return res.status(502).json({ error: `Failed to send invitation: ${error.message}` });
+    }
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an invitation so its link no longer works
+router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const invitation = await findInvitation(req, res);
+    if (!invitation) return;
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ error: 'Invitation has already been accepted' });
+    }
+
+    if (!invitation.revokedAt) {
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      await recordAudit(req, {
+        action: 'invitation.revoke',
+        target: { type: 'invitation', id: invitation._id, name: invitation.email }
+      });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const Mode = require('../models/Mode');
+const DesignToken = require('../models/DesignToken');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Mode names become keys of DesignToken.modeValues and CSS selectors
+const MODE_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+const modeSnapshot = (mode) => ({ name: mode.name, description: mode.description });
+
+// Get all modes
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const modes = await Mode.find().sort({ createdAt: 1 });
+    res.json({ modes });
+  } catch (error) {
+    console.error('Get modes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create mode
+router.post('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!MODE_NAME_PATTERN.test(name)) {
+      return res.status(400).json({ error: 'Mode names may only contain letters, numbers, dashes and underscores' });
+    }
+
+    const existingMode = await Mode.findOne({ name });
+    if (existingMode) {
+      return res.status(400).json({ error: `Mode '${name}' already exists` });
+    }
+
+    const mode = new Mode({ name, description, createdBy: req.user.id });
+    await mode.save();
+    await recordAudit(req, {
+      action: 'mode.create',
+      target: { type: 'mode', id: mode._id, name: mode.name },
+      after: modeSnapshot(mode)
+    });
+
+    res.status(201).json(mode);
+  } catch (error) {
+    console.error('Create mode error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update mode, renaming the matching token values along with it
+router.put('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid mode ID format' });
+    }
+
+    const { name, description } = req.body;
+
+    const mode = await Mode.findById(req.params.id);
+    if (!mode) {
+      return res.status(404).json({ error: 'Mode not found' });
+    }
+    const before = modeSnapshot(mode);
+
+    if (name && name !== mode.name) {
+      if (!MODE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({ error: 'Mode names may only contain letters, numbers, dashes and underscores' });
+      }
+
+      const existingMode = await Mode.findOne({ name });
+      if (existingMode) {
+        return res.status(400).json({ error: `Mode '${name}' already exists` });
+      }
+
+      await DesignToken.updateMany(
+        { [`modeValues.${mode.name}`]: { $exists: true } },
+        { $rename: { [`modeValues.${mode.name}`]: `modeValues.${name}` } }
+      );
+      mode.name = name;
+    }
+
+    if (description !== undefined) {
+      mode.description = description;
+    }
+
+    await mode.save();
+    await recordAudit(req, {
+      action: 'mode.update',
+      target: { type: 'mode', id: mode._id, name: mode.name },
+      before,
+      after: modeSnapshot(mode)
+    });
+    res.json(mode);
+  } catch (error) {
+    console.error('Update mode error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete mode and every token value for it
+router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid mode ID format' });
+    }
+
+    const mode = await Mode.findById(req.params.id);
+    if (!mode) {
+      return res.status(404).json({ error: 'Mode not found' });
+    }
+
+    await DesignToken.updateMany(
+      { [`modeValues.${mode.name}`]: { $exists: true } },
+      { $unset: { [`modeValues.${mode.name}`]: '' } }
+    );
+    await Mode.findByIdAndDelete(req.params.id);
+    await recordAudit(req, {
+      action: 'mode.delete',
+      target: { type: 'mode', id: mode._id, name: mode.name },
+      before: modeSnapshot(mode)
+    });
+
+    res.json({ message: 'Mode deleted successfully' });
+  } catch (error) {
+    console.error('Delete mode error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const Release = require('../models/Release');
+const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { ExportNameError, FORMATS, renderExport } = require('../utils/exporters');
+const { CASES } = require('../utils/naming');
+const { snapshotToken } = require('../utils/revisions');
+const { diffTokenSets } = require('../utils/releaseDiff');
+const semver = require('../utils/semver');
+const { publishEvent } = require('../utils/events');
+const { recordAudit } = require('../utils/audit');
+const { findNonStringParam } = require('../utils/query');
+
+const router = express.Router();
+
+// Token snapshot stored in a release
+const releaseSnapshot = (token) => {
+  const snapshot = snapshotToken(token);
+  delete snapshot.createdBy;
+  return snapshot;
+};
+
+const loadLiveTokens = async () => {
+  const tokens = await DesignToken.find().sort({ category: 1, name: 1 }).lean();
+  return tokens.map(releaseSnapshot);
+};
+
+const findLatestRelease = async () => {
+  const releases = await Release.find({}, 'version').lean();
+  return releases.sort((a, b) => semver.compare(b.version, a.version))[0] || null;
+};
+
+// Get all releases, newest version first (without token snapshots)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const releases = await Release.find()
+      .select('-tokens')
+      .populate('createdBy', 'username')
+      .lean();
+
+    releases.sort((a, b) => semver.compare(b.version, a.version));
+    res.json({ releases });
+  } catch (error) {
+    console.error('Get releases error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cut a release from the live tokens
+router.post('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { version, changelog } = req.body;
+
+    if (!version) {
+      return res.status(400).json({ error: 'Version is required' });
+    }
+
+    if (!semver.isValid(version)) {
+      return res.status(400).json({ error: `Invalid semver version '${version}'` });
+    }
+
+    const latest = await findLatestRelease();
+    if (latest && semver.compare(version, latest.version) <= 0) {
+      return res.status(400).json({
+        error: `Version must be greater than the latest release (${latest.version})`
+      });
+    }
+
+    const tokens = await loadLiveTokens();
+    const modes = await Mode.find().sort({ createdAt: 1 }).lean();
+
+    const release = new Release({
+      version,
+      changelog,
+      tokens,
+      modes: modes.map(mode => mode.name),
+      createdBy: req.user.id
+    });
+
+    await release.save();
+    await release.populate('createdBy', 'username');
+
+    const previous = latest ? await Release.findOne({ version: latest.version }).lean() : null;
+    const diff = diffTokenSets(previous ? previous.tokens : [], tokens);
+
+    publishEvent('release.published', {
+      version: release.version,
+      changelog: release.changelog,
+      tokenCount: tokens.length,
+      modes: release.modes,
+      diff
+    }, req.user);
+    await recordAudit(req, {
+      action: 'release.create',
+      target: { type: 'release', id: release._id, name: release.version },
+      metadata: {
+        changelog: release.changelog,
+        tokenCount: tokens.length,
+        previousVersion: latest ? latest.version : null
+      }
+    });
+
+    res.status(201).json({ release, diff });
+  } catch (error) {
+    console.error('Create release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare two releases, or a release with the live tokens when `to` is omitted
+router.get('/diff', authenticateToken, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ error: 'The from version is required' });
+    }
+
+    const fromRelease = await Release.findOne({ version: from }).lean();
+    if (!fromRelease) {
+      return res.status(404).json({ error: `Release ${from} not found` });
+    }
+
+    let toTokens;
+    if (to && to !== 'current') {
+      const toRelease = await Release.findOne({ version: to }).lean();
+      if (!toRelease) {
+        return res.status(404).json({ error: `Release ${to} not found` });
+      }
+      toTokens = toRelease.tokens;
+    } else {
+      toTokens = await loadLiveTokens();
+    }
+
+    const diff = diffTokenSets(fromRelease.tokens, toTokens);
+
+    res.json({
+      from,
+      to: to || 'current',
+      ...diff,
+      suggestedVersion: diff.suggestedBump ? semver.bump(from, diff.suggestedBump) : from
+    });
+  } catch (error) {
+    console.error('Diff releases error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single release with its tokens
+router.get('/:version', authenticateToken, async (req, res) => {
+  try {
+    const release = await Release.findOne({ version: req.params.version })
+      .populate('createdBy', 'username');
+
+    if (!release) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+
+    res.json(release);
+  } catch (error) {
+    console.error('Get release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export a past release in any export format
+router.get('/:version/export', authenticateToken, async (req, res) => {
+  try {
+    const invalidParam = findNonStringParam(req.query, ['format', 'case', 'prefix', 'mode']);
+    if (invalidParam) {
+      return res.status(400).json({ error: `Parameter '${invalidParam}' must be a single string` });
+    }
+
+    const { format = 'json', case: nameCase, prefix, mode } = req.query;
+
+    if (!Object.hasOwn(FORMATS, format)) {
+      return res.status(400).json({
+        error: `Unsupported export format '${format}'. Expected one of: ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+
+    if (nameCase && !Object.hasOwn(CASES, nameCase)) {
+      return res.status(400).json({
+        error: `Unsupported name case '${nameCase}'. Expected one of: ${Object.keys(CASES).join(', ')}`
+      });
+    }
+
+    // px size of 1rem when converting units for native platforms
+    const remBase = req.query.remBase === undefined ? undefined : Number(req.query.remBase);
+    if (remBase !== undefined && !(remBase > 0)) {
+      return res.status(400).json({ error: 'remBase must be a positive number' });
+    }
+
+    const release = await Release.findOne({ version: req.params.version }).lean();
+    if (!release) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+
+    if (mode && !release.modes.includes(mode)) {
+      return res.status(400).json({ error: `Unknown mode '${mode}'` });
+    }
+
+    const file = await renderExport(format, release.tokens, {
+      nameCase,
+      prefix,
+      mode,
+      modes: release.modes,
+      remBase,
+      cssVariables: req.query.cssVariables === 'true',
+      filename: `tokens-${release.version}`
+    });
+
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.send(file.content);
+  } catch (error) {
+    if (error instanceof ExportNameError) {
+      return res.status(400).json({ error: error.message, collisions: error.collisions });
+    }
+    console.error('Export release error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
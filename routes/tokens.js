@@ -1,10 +1,122 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const TokenRevision = require('../models/TokenRevision');
+const Component = require('../models/Component');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { buildValueMap, resolveToken } = require('../utils/tokenReferences');
+const {
+  buildModeValueMaps,
+  findModeReferenceError,
+  findModeValueError,
+  parseLiteralValue,
+  withCandidate,
+  findUnknownModes,
+  compactModeValues,
+  mergeModeValues,
+  renameTokenUsages,
+  applyChanges,
+  TokenConflictError
+} = require('../utils/tokenChanges');
+const { buildDependencyGraph, findDependents } = require('../utils/dependencyGraph');
+const { ExportNameError, FORMATS, renderExport } = require('../utils/exporters');
+const { CASES } = require('../utils/naming');
+const { valueForMode } = require('../utils/modes');
+const { TRACKED_FIELDS, snapshotToken, diffSnapshots, revertState, recordRevision } = require('../utils/revisions');
+const { recordAudit } = require('../utils/audit');
+const { publishEvent, publishTokenEvent } = require('../utils/events');
+const { withTransaction } = require('../utils/transactions');
+const { UPLOAD_MODES, readUploadBody, planUpload, createModes } = require('../utils/tokenUpload');
+const { findNonStringParam } = require('../utils/query');
 
 const router = express.Router();
 
+// Name, value and mode values of every token, used for reference checks
+const loadAllTokens = () => DesignToken.find({}, 'name value modeValues').lean();
+
+const loadModeNames = async () => {
+  const modes = await Mode.find({}, 'name').lean();
+  return modes.map(mode => mode.name);
+};
+
+// Check a token as it would be saved, replacing the token called
+// `previousName` if given. Returns an error message, or null when valid.
+const validateTokenChange = async (candidate, previousName) => {
+  const modes = await loadModeNames();
+  const unknownModes = findUnknownModes(candidate.modeValues, modes);
+  if (unknownModes.length > 0) {
+    return `Unknown mode: ${unknownModes.join(', ')}`;
+  }
+
+  const allTokens = await loadAllTokens();
+  if (previousName && previousName !== candidate.name) {
+    const { direct } = findDependents(previousName, buildDependencyGraph(allTokens, modes));
+    if (direct.length > 0) {
+      return `Cannot rename '${previousName}': it is referenced by ${direct.map(dependent => dependent.name).join(', ')}`;
+    }
+  }
+
+  const valueMaps = buildModeValueMaps(withCandidate(allTokens, candidate, previousName), modes);
+  return findModeReferenceError(candidate.name, valueMaps) || findModeValueError(candidate, valueMaps);
+};
+
+// Whether a token other than `exceptId` is called `name`
+const isNameTaken = (name, exceptId) => DesignToken.exists(exceptId ? { name, _id: { $ne: exceptId } } : { name });
+
+// Duplicate key error from the unique index on name, when two saves race
+const isDuplicateName = (error) => error && error.code === 11000;
+
+// ETag of the stored version of a token
+const tokenETag = (token) => `"${token.__v}"`;
+
+// Whether the client edited the current version: the If-Match header (or a
+// `version` field in the body) must name it. Requests without either pass.
+const isCurrentVersion = (req, token) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    return ifMatch.split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === tokenETag(token));
+  }
+  if (req.body.version !== undefined) {
+    return Number(req.body.version) === token.__v;
+  }
+  return true;
+};
+
+const loadDependencyGraph = async () => buildDependencyGraph(
+  await DesignToken.find({}, 'name category value modeValues').lean(),
+  await loadModeNames()
+);
+
+const findComponentsUsing = (names) => Component.find({
+  $or: [{ tokens: { $in: names } }, { 'variants.tokens': { $in: names } }]
+}, 'name status').sort({ name: 1 }).lean();
+
+// Revisions can be addressed by id or by revision number
+const findRevision = (tokenId, ref) => (/^\d+$/.test(ref)
+  ? TokenRevision.findOne({ token: tokenId, revision: Number(ref) })
+  : TokenRevision.findOne({ token: tokenId, _id: ref.match(/^[0-9a-fA-F]{24}$/) ? ref : null }));
+
+// Plain token object, with the value for `mode` and/or `resolvedValue` attached
+const presentToken = (token, { mode, values, cache } = {}) => {
+  const data = token.toObject({ flattenMaps: true });
+  if (mode) {
+    data.value = valueForMode(token, mode);
+    data.mode = mode;
+  }
+  if (values) {
+    try {
+      data.resolvedValue = resolveToken(token.name, values, cache);
+    } catch (error) {
+      data.resolvedValue = null;
+      data.resolutionError = error.message;
+    }
+  }
+  return data;
+};
+
 // Get all tokens
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -14,9 +126,15 @@ router.get('/', authenticateToken, async (req, res) => {
       page = 1, 
       limit = 20,
       sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      resolve,
+      mode
     } = req.query;
 
+    if (mode && !(await loadModeNames()).includes(mode)) {
+      return res.status(400).json({ error: `Unknown mode '${mode}'` });
+    }
+
     let query = {};
     
     if (category) {
@@ -38,8 +156,17 @@ router.get('/', authenticateToken, async (req, res) => {
 
     const total = await DesignToken.countDocuments(query);
 
+    let results = tokens;
+    if (resolve === 'true' || mode) {
+      const options = { mode, cache: new Map() };
+      if (resolve === 'true') {
+        options.values = buildValueMap(await loadAllTokens(), mode);
+      }
+      results = tokens.map(token => presentToken(token, options));
+    }
+
     res.json({
-      tokens,
+      tokens: results,
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / limit),
@@ -52,6 +179,72 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Export tokens as ready-to-ship files (CSS, SCSS, Less, JS, TS, JSON, Tailwind config, iOS and Android bundles)
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const invalidParam = findNonStringParam(req.query, ['format', 'category', 'tag', 'case', 'prefix', 'mode']);
+    if (invalidParam) {
+      return res.status(400).json({ error: `Parameter '${invalidParam}' must be a single string` });
+    }
+
+    const { format = 'json', category, tag, case: nameCase, prefix, mode } = req.query;
+
+    if (!Object.hasOwn(FORMATS, format)) {
+      return res.status(400).json({
+        error: `Unsupported export format '${format}'. Expected one of: ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+
+    if (nameCase && !Object.hasOwn(CASES, nameCase)) {
+      return res.status(400).json({
+        error: `Unsupported name case '${nameCase}'. Expected one of: ${Object.keys(CASES).join(', ')}`
+      });
+    }
+
+    // px size of 1rem when converting units for native platforms
+    const remBase = req.query.remBase === undefined ? undefined : Number(req.query.remBase);
+    if (remBase !== undefined && !(remBase > 0)) {
+      return res.status(400).json({ error: 'remBase must be a positive number' });
+    }
+
+    const modes = await loadModeNames();
+    if (mode && !modes.includes(mode)) {
+      return res.status(400).json({ error: `Unknown mode '${mode}'` });
+    }
+
+    // Comma-separated lists are accepted, e.g. ?category=color,spacing
+    let query = {};
+    if (category) {
+      query.category = { $in: category.split(',') };
+    }
+    if (tag) {
+      query.tags = { $in: tag.split(',') };
+    }
+
+    const tokens = await DesignToken.find(query).sort({ category: 1, name: 1 }).lean();
+    const allTokens = await loadAllTokens();
+    const file = await renderExport(format, tokens, {
+      nameCase,
+      prefix,
+      allTokens,
+      mode,
+      modes,
+      remBase,
+      cssVariables: req.query.cssVariables === 'true'
+    });
+
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.send(file.content);
+  } catch (error) {
+    if (error instanceof ExportNameError) {
+      return res.status(400).json({ error: error.message, collisions: error.collisions });
+    }
+    console.error('Export tokens error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get single token
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -67,6 +260,14 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Design token not found' });
     }
 
+    res.set('ETag', tokenETag(token));
+
+    const { resolve, mode } = req.query;
+    if (resolve === 'true' || mode) {
+      const values = resolve === 'true' ? buildValueMap(await loadAllTokens(), mode) : undefined;
+      return res.json(presentToken(token, { mode, values }));
+    }
+
     res.json(token);
   } catch (error) {
     console.error('Get token by id error:', error);
@@ -74,10 +275,174 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Tokens that use this token (directly, and through other tokens) and the
+// components affected by a change to it
+router.get('/:id/dependents', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid token ID format' });
+    }
+
+    const token = await DesignToken.findById(req.params.id);
+    if (!token) {
+      return res.status(404).json({ error: 'Design token not found' });
+    }
+
+    const { direct, transitive } = findDependents(token.name, await loadDependencyGraph());
+    const components = await findComponentsUsing([token.name, ...transitive]);
+
+    res.json({
+      token: token.name,
+      dependents: direct,
+      transitive,
+      components
+    });
+  } catch (error) {
+    console.error('Get dependents error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revision history of a token, newest first (kept after the token is deleted)
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid token ID format' });
+    }
+
+    const revisions = await TokenRevision.find({ token: req.params.id })
+      .populate('changedBy', 'username')
+      .sort({ revision: -1 });
+
+    if (revisions.length === 0 && !(await DesignToken.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Design token not found' });
+    }
+
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Get token history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Field-level diff between the token state after two revisions
+// (?from and ?to are revision ids or numbers; ?to defaults to the latest)
+router.get('/:id/history/diff', authenticateToken, async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid token ID format' });
+    }
+
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'The from revision is required' });
+    }
+
+    const fromRevision = await findRevision(req.params.id, from);
+    const toRevision = to
+      ? await findRevision(req.params.id, to)
+      : await TokenRevision.findOne({ token: req.params.id }).sort({ revision: -1 });
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: { id: fromRevision._id, revision: fromRevision.revision, action: fromRevision.action },
+      to: { id: toRevision._id, revision: toRevision.revision, action: toRevision.action },
+      changes: diffSnapshots(fromRevision.after, toRevision.after)
+    });
+  } catch (error) {
+    console.error('Diff token history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revert a token to the state of an earlier revision, recreating it if deleted
+router.post('/:id/revert/:revisionId', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid token ID format' });
+    }
+
+    const revision = await findRevision(req.params.id, req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const target = revertState(revision);
+    let token = await DesignToken.findById(req.params.id);
+
+    if (await isNameTaken(target.name, req.params.id)) {
+      return res.status(400).json({ error: `Token '${target.name}' already exists` });
+    }
+
+    const validationError = await validateTokenChange(target, token ? token.name : undefined);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const before = snapshotToken(token);
+    if (!token) {
+      token = new DesignToken({ _id: req.params.id, createdBy: target.createdBy || req.user.id });
+    }
+
+    TRACKED_FIELDS.filter(field => field !== 'createdBy').forEach(field => {
+      token[field] = target[field] === null ? undefined : target[field];
+    });
+    token.parsedValue = parseLiteralValue(token);
+    token.updatedAt = new Date();
+
+    try {
+      await token.save();
+    } catch (error) {
+      // Saved by someone else between loading and saving
+      if (error instanceof mongoose.Error.VersionError) {
+        const current = await DesignToken.findById(token._id).populate('createdBy', 'username');
+        if (current) {
+          res.set('ETag', tokenETag(current));
+        }
+        return res.status(409).json({ error: 'This token was changed by someone else while saving', current });
+      }
+      if (isDuplicateName(error)) {
+        return res.status(400).json({ error: `Token '${target.name}' already exists` });
+      }
+      throw error;
+    }
+    if (before) {
+      await renameTokenUsages(before.name, token.name);
+    }
+    const after = snapshotToken(token);
+    await recordRevision({
+      token,
+      action: 'revert',
+      before,
+      after,
+      user: req.user,
+      revertedFrom: revision._id
+    });
+    publishTokenEvent(before ? 'update' : 'create', token._id, { before, after }, req.user);
+    await recordAudit(req, {
+      action: 'token.revert',
+      target: { type: 'token', id: token._id, name: token.name },
+      before,
+      after,
+      metadata: { revision: revision.revision }
+    });
+    await token.populate('createdBy', 'username');
+
+    res.json(token);
+  } catch (error) {
+    console.error('Revert token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create token
 router.post('/', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { name, category, value, description, tags } = req.body;
+    const { name, category, value, description, tags, type } = req.body;
+    const modeValues = compactModeValues(req.body.modeValues);
 
     if (!name || !category || !value) {
       return res.status(400).json({ error: 'Name, category, and value are required' });
@@ -92,16 +457,43 @@ router.post('/', authenticateToken, requireRole(['admin']), async (req, res) =>
       return res.status(401).json({ error: 'Invalid user authentication - please log in again' });
     }
 
+    if (await isNameTaken(name)) {
+      return res.status(409).json({ error: `Token '${name}' already exists` });
+    }
+
+    const validationError = await validateTokenChange({ name, category, value, type, modeValues });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
     const token = new DesignToken({
       name,
       category,
       value,
       description,
       tags: tags || [],
+      type,
+      modeValues,
+      parsedValue: parseLiteralValue({ category, value, type }),
       createdBy: userId
     });
 
-    await token.save();
+    try {
+      await token.save();
+    } catch (error) {
+      if (isDuplicateName(error)) {
+        return res.status(409).json({ error: `Token '${name}' already exists` });
+      }
+      throw error;
+    }
+    const after = snapshotToken(token);
+    await recordRevision({ token, action: 'create', after, user: req.user });
+    publishTokenEvent('create', token._id, { after }, req.user);
+    await recordAudit(req, {
+      action: 'token.create',
+      target: { type: 'token', id: token._id, name: token.name },
+      after
+    });
     await token.populate('createdBy', 'username');
 
     res.status(201).json(token);
@@ -112,74 +504,147 @@ router.post('/', authenticateToken, requireRole(['admin']), async (req, res) =>
 });
 
 // Bulk upload tokens from JSON
+// Accepts { "tokens": [...] }, a DTCG document or a Tokens Studio file (detected,
+// or forced with ?format=dtcg|tokens-studio). Tokens Studio themes become modes.
+// ?mode=create|upsert|replace, ?dryRun=true returns the plan without writing,
+// ?atomic=true applies every change or none
 router.post('/upload', authenticateToken, requireRole(['admin']), async (req, res) => {
   try {
-    const { tokens } = req.body;
+    const { rows, modes } = readUploadBody(req.body, req.query.format);
 
-    if (!tokens || !Array.isArray(tokens)) {
+    if (!rows || !Array.isArray(rows)) {
       return res.status(400).json({ error: 'Invalid format. Expected { "tokens": [...] }' });
     }
 
-    const results = {
-      success: [],
-      errors: [],
-      skipped: []
-    };
+    const mode = req.query.mode || 'create';
+    if (!UPLOAD_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid upload mode '${mode}'. Expected one of: ${UPLOAD_MODES.join(', ')}` });
+    }
+    const dryRun = req.query.dryRun === 'true';
+    const atomic = req.query.atomic === 'true';
+
+    // Tokens in the same file may reference each other
+    const plan = await planUpload(rows, { mode, atomic, user: req.user, modes });
+
+    if (dryRun) {
+      const planned = (action) => plan.changes
+        .filter(entry => entry.change.action === action)
+        .map(entry => ({
+          index: entry.index,
+          id: entry.change.token,
+          name: (entry.after || entry.before).name,
+          changes: diffSnapshots(entry.before, entry.after)
+        }));
+
+      return res.json({
+        dryRun: true,
+        mode,
+        atomic,
+        plan: {
+          create: planned('create'),
+          update: planned('update'),
+          delete: planned('delete'),
+          skip: plan.skipped,
+          modes: plan.newModes
+        },
+        errors: plan.errors
+      });
+    }
 
-    for (let i = 0; i < tokens.length; i++) {
-      const tokenData = tokens[i];
-      
-      try {
-        // Validate required fields
-        if (!tokenData.name || !tokenData.category || !tokenData.value) {
-          results.errors.push({
-            index: i,
-            data: tokenData,
-            error: 'Missing required fields: name, category, value'
-          });
-          continue;
-        }
+    if (plan.errors.some(error => error.index === null) || (atomic && plan.errors.length > 0)) {
+      return res.status(400).json({
+        error: atomic ? 'Upload has errors; nothing was saved' : 'Upload would break tokens that are not in the file',
+        errors: plan.errors
+      });
+    }
 
-        // Check if token already exists
-        const existingToken = await DesignToken.findOne({ name: tokenData.name });
-        if (existingToken) {
-          results.skipped.push({
-            index: i,
-            data: tokenData,
-            reason: `Token '${tokenData.name}' already exists`
-          });
-          continue;
-        }
+    const applied = [];
+    const errors = [...plan.errors];
+    let createdModes = [];
+    const apply = (changes) => withTransaction((session, onRollback) => applyChanges(
+      changes.map(entry => entry.change),
+      { user: req.user, session, onRollback }
+    ));
 
-        // Create new token
-        const token = new DesignToken({
-          name: tokenData.name,
-          category: tokenData.category,
-          value: tokenData.value,
-          description: tokenData.description || '',
-          tags: Array.isArray(tokenData.tags) ? tokenData.tags : [],
-          createdBy: req.user.id
+    if (atomic) {
+      try {
+        const results = await withTransaction(async (session, onRollback) => {
+          createdModes = await createModes(plan.newModes, { user: req.user, session, onRollback });
+          return applyChanges(plan.changes.map(entry => entry.change), { user: req.user, session, onRollback });
         });
+        results.forEach((result, i) => applied.push({ entry: plan.changes[i], result }));
+      } catch (error) {
+        if (error instanceof TokenConflictError) {
+          return res.status(409).json({ error: `Upload conflicted with another change and was rolled back: ${error.message}` });
+        }
+        console.error('Atomic upload error:', error);
+        return res.status(500).json({ error: `Upload failed and was rolled back: ${error.message}` });
+      }
+    } else {
+      // Tokens may have values for the new modes, so create those first
+      createdModes = await withTransaction((session, onRollback) => createModes(plan.newModes, { user: req.user, session, onRollback }));
+      for (const entry of plan.changes) {
+        try {
+          const [result] = await apply([entry]);
+          applied.push({ entry, result });
+        } catch (error) {
+          errors.push({ index: entry.index, data: entry.data, error: error.message });
+        }
+      }
+    }
 
-        await token.save();
-        await token.populate('createdBy', 'username');
+    const results = {
+      success: [],
+      updated: [],
+      deleted: [],
+      errors,
+      skipped: plan.skipped,
+      modes: createdModes.map(mode => mode.name)
+    };
 
-        results.success.push({
-          index: i,
-          token: token
-        });
+    for (const { entry, result } of applied) {
+      if (result.action === 'delete') {
+        results.deleted.push({ token: { _id: result.token._id, name: result.before.name } });
+        continue;
+      }
 
-      } catch (error) {
-        results.errors.push({
-          index: i,
-          data: tokenData,
-          error: error.message
-        });
+      await result.token.populate('createdBy', 'username');
+      if (result.action === 'create') {
+        results.success.push({ index: entry.index, token: result.token });
+      } else {
+        results.updated.push({ index: entry.index, token: result.token, changes: diffSnapshots(result.before, result.after) });
       }
     }
 
+    // One event for the whole upload rather than one per token
+    const names = (list) => list.map(({ token }) => token.name);
+    publishEvent('tokens.uploaded', {
+      mode,
+      created: names(results.success),
+      updated: names(results.updated),
+      deleted: names(results.deleted),
+      skipped: results.skipped.length,
+      errors: results.errors.length
+    }, req.user);
+    await recordAudit(req, {
+      action: 'token.upload',
+      target: { type: 'token' },
+      after: names(results.success),
+      metadata: {
+        mode,
+        atomic,
+        created: results.success.length,
+        updated: results.updated.length,
+        deleted: results.deleted.length,
+        skipped: results.skipped.length,
+        errors: results.errors.length,
+        modes: results.modes
+      }
+    });
+
     res.status(201).json({
-      message: `Upload complete. ${results.success.length} created, ${results.skipped.length} skipped, ${results.errors.length} errors`,
+      message: `Upload complete. ${results.success.length} created, ${results.updated.length} updated, ` +
+        `${results.deleted.length} deleted, ${results.skipped.length} skipped, ${results.errors.length} errors`,
       results
     });
 
@@ -197,7 +662,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid token ID format' });
     }
 
-    const { name, category, value, description, tags } = req.body;
+    const { name, category, value, description, tags, type, modeValues } = req.body;
 
     const token = await DesignToken.findById(req.params.id);
     if (!token) {
@@ -209,18 +674,73 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
+    // Stale edit: send back the current copy so the client can merge or overwrite
+    if (!isCurrentVersion(req, token)) {
+      await token.populate('createdBy', 'username');
+      res.set('ETag', tokenETag(token));
+      return res.status(412).json({ error: 'This token was changed by someone else since you loaded it', current: token });
+    }
+
+    // Mode values are merged; an empty value removes the mode override
+    const newModeValues = mergeModeValues(token, modeValues);
+
+    const candidate = {
+      name: name || token.name,
+      category: category || token.category,
+      value: value || token.value,
+      type: type !== undefined ? type : token.type,
+      modeValues: newModeValues
+    };
+    if (candidate.name !== token.name && await isNameTaken(candidate.name, token._id)) {
+      return res.status(409).json({ error: `Token '${candidate.name}' already exists` });
+    }
+    const validationError = await validateTokenChange(candidate, token.name);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const before = snapshotToken(token);
     Object.assign(token, {
       name: name || token.name,
       category: category || token.category,
       value: value || token.value,
       description: description !== undefined ? description : token.description,
       tags: tags || token.tags,
+      type: type !== undefined ? type : token.type,
+      modeValues: newModeValues,
+      parsedValue: parseLiteralValue(candidate),
       updatedAt: new Date()
     });
 
-    await token.save();
+    try {
+      await token.save();
+    } catch (error) {
+      // Saved by someone else between loading and saving
+      if (error instanceof mongoose.Error.VersionError) {
+        const current = await DesignToken.findById(token._id).populate('createdBy', 'username');
+        if (current) {
+          res.set('ETag', tokenETag(current));
+        }
+        return res.status(409).json({ error: 'This token was changed by someone else while saving', current });
+      }
+      if (isDuplicateName(error)) {
+        return res.status(409).json({ error: `Token '${candidate.name}' already exists` });
+      }
+      throw error;
+    }
+    await renameTokenUsages(before.name, token.name);
+    const after = snapshotToken(token);
+    await recordRevision({ token, action: 'update', before, after, user: req.user });
+    publishTokenEvent('update', token._id, { before, after }, req.user);
+    await recordAudit(req, {
+      action: 'token.update',
+      target: { type: 'token', id: token._id, name: token.name },
+      before,
+      after
+    });
     await token.populate('createdBy', 'username');
 
+    res.set('ETag', tokenETag(token));
     res.json(token);
   } catch (error) {
     console.error('Update token error:', error);
@@ -240,7 +760,35 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
       return res.status(404).json({ error: 'Design token not found' });
     }
 
+    // Tokens and components still using the token block the delete unless ?force=true
+    if (req.query.force !== 'true') {
+      const { direct } = findDependents(token.name, await loadDependencyGraph());
+      const components = await findComponentsUsing([token.name]);
+
+      if (direct.length > 0 || components.length > 0) {
+        const usages = [
+          direct.length > 0 ? `tokens ${direct.map(dependent => dependent.name).join(', ')}` : '',
+          components.length > 0 ? `components ${components.map(component => component.name).join(', ')}` : ''
+        ].filter(Boolean);
+
+        return res.status(409).json({
+          error: `Cannot delete '${token.name}': it is used by ${usages.join(' and ')}. Use ?force=true to delete anyway`,
+          dependents: direct,
+          components
+        });
+      }
+    }
+
     await DesignToken.findByIdAndDelete(req.params.id);
+    const before = snapshotToken(token);
+    await recordRevision({ token, action: 'delete', before, user: req.user });
+    publishTokenEvent('delete', token._id, { before }, req.user);
+    await recordAudit(req, {
+      action: 'token.delete',
+      target: { type: 'token', id: token._id, name: token.name },
+      before,
+      metadata: { force: req.query.force === 'true' }
+    });
     res.json({ message: 'Design token deleted successfully' });
   } catch (error) {
     console.error('Delete token error:', error);
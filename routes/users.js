@@ -0,0 +1,218 @@
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { revokeUserSessions } = require('../utils/sessions');
+const { ROLES, ACTIVE_FILTER, escapeRegExp, isLastActiveAdmin, formatUser } = require('../utils/users');
+
+const router = express.Router();
+
+const findUser = async (req, res) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ error: 'Invalid user ID format' });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  return user;
+};
+
+const isSelf = (req, user) => user._id.toString() === String(req.user.id);
+
+// List users, searching username and email, filtered by role or status
+router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (status === 'active') {
+      Object.assign(query, ACTIVE_FILTER);
+    } else if (status === 'deactivated') {
+      query.active = false;
+    }
+
+    const users = await User.find(query)
+      .sort({ username: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users: users.map(formatUser),
+      roles: ROLES,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get user
+router.get('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    res.json({ user: formatUser(user) });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a user's role. Their sessions are ended so new tokens carry the new role.
+router.put('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+    if (user.role === role) {
+      return res.json({ message: 'Role unchanged', user: formatUser(user) });
+    }
+
+    const before = { role: user.role };
+    user.role = role;
+    await user.save();
+    await revokeUserSessions(user._id, 'role changed');
+
+    await recordAudit(req, {
+      action: 'user.update',
+      target: { type: 'user', id: user._id, name: user.username },
+      before,
+      after: { role }
+    });
+
+    res.json({ message: 'Role updated', user: formatUser(user) });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deactivate a user: ends their sessions and stops their API keys working
+router.post('/:id/deactivate', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+    if (!user.active) {
+      return res.status(400).json({ error: 'User is already deactivated' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+
+    user.active = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    const sessions = await revokeUserSessions(user._id, 'user deactivated');
+
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      target: { type: 'user', id: user._id, name: user.username },
+      before: { active: true },
+      after: { active: false },
+      metadata: { sessionsRevoked: sessions }
+    });
+
+    res.json({ message: 'User deactivated', user: formatUser(user) });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reactivate a user. Their API keys work again; they sign in afresh.
+router.post('/:id/reactivate', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    if (user.active) {
+      return res.status(400).json({ error: 'User is already active' });
+    }
+
+    user.active = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      target: { type: 'user', id: user._id, name: user.username },
+      before: { active: false },
+      after: { active: true }
+    });
+
+    res.json({ message: 'User reactivated', user: formatUser(user) });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a user with their sessions and API keys. Tokens, revisions and audit
+// entries they made are kept.
+router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+
+    await User.deleteOne({ _id: user._id });
+    await Session.deleteMany({ user: user._id });
+    await ApiKey.deleteMany({ user: user._id });
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      target: { type: 'user', id: user._id, name: user.username },
+      before: { username: user.username, email: user.email, role: user.role, active: user.active }
+    });
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { EVENT_TYPES, createEvent } = require('../utils/events');
+const { generateSecret, deliverEvent } = require('../utils/webhooks');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Problems with the editable fields of a webhook, or null when valid
+const validateWebhook = ({ url, events }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return `Invalid url '${url}'`;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Webhook url must use http or https';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'At least one event is required';
+    }
+    const unknownEvents = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+    if (unknownEvents.length > 0) {
+      return `Unknown event: ${unknownEvents.join(', ')}. Expected '*' or one of: ${EVENT_TYPES.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// Audit payload; the secret is never recorded
+const webhookSnapshot = ({ url, events, description, active }) => ({ url, events: [...events], description, active });
+
+const findWebhook = async (req, res, fields) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ error: 'Invalid webhook ID format' });
+    return null;
+  }
+
+  const webhook = await Webhook.findById(req.params.id).select(fields);
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+
+  return webhook;
+};
+
+// Get all webhooks and the events they can subscribe to
+router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({ webhooks, events: EVENT_TYPES });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create webhook. The signing secret is only returned here.
+router.post('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const { url, events, description, active, secret } = req.body;
+
+    if (!url || !events) {
+      return res.status(400).json({ error: 'Url and events are required' });
+    }
+
+    const validationError = validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const webhook = new Webhook({
+      url,
+      events,
+      description,
+      active: active !== undefined ? Boolean(active) : true,
+      secret: secret || generateSecret(),
+      createdBy: req.user.id
+    });
+
+    await webhook.save();
+    await webhook.populate('createdBy', 'username');
+    await recordAudit(req, {
+      action: 'webhook.create',
+      target: { type: 'webhook', id: webhook._id, name: webhook.url },
+      after: webhookSnapshot(webhook)
+    });
+
+    res.status(201).json(webhook.toObject());
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update webhook; `rotateSecret: true` issues and returns a new secret
+router.put('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res, '+secret');
+    if (!webhook) {
+      return;
+    }
+
+    const validationError = validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { url, events, description, active, rotateSecret } = req.body;
+    const before = webhookSnapshot(webhook);
+
+    Object.assign(webhook, {
+      url: url || webhook.url,
+      events: events || webhook.events,
+      description: description !== undefined ? description : webhook.description,
+      active: active !== undefined ? Boolean(active) : webhook.active,
+      updatedAt: new Date()
+    });
+    if (rotateSecret) {
+      webhook.secret = generateSecret();
+    }
+
+    await webhook.save();
+    await webhook.populate('createdBy', 'username');
+    await recordAudit(req, {
+      action: rotateSecret ? 'webhook.rotate_secret' : 'webhook.update',
+      target: { type: 'webhook', id: webhook._id, name: webhook.url },
+      before,
+      after: webhookSnapshot(webhook)
+    });
+
+    const response = webhook.toObject();
+    if (!rotateSecret) {
+      delete response.secret;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete webhook and its delivery log
+router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      target: { type: 'webhook', id: webhook._id, name: webhook.url },
+      before: webhookSnapshot(webhook)
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delivery log, newest first
+router.get('/:id/deliveries', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+
+    const { status, limit = 50 } = req.query;
+    const query = { webhook: webhook._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1);
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a `webhook.test` event to this webhook only and return the first attempt
+router.post('/:id/test', authenticateToken, requireRole(['admin']), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res, '+secret');
+    if (!webhook) {
+      return;
+    }
+
+    const event = createEvent('webhook.test', {
+      message: 'Test event from the design token manager',
+      webhook: webhook._id.toString()
+    }, req.user);
+    const delivery = await deliverEvent(webhook, event);
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -6,13 +6,42 @@ const path = require('path');
 // Import routes
 const authRoutes = require('./routes/auth');
 const tokenRoutes = require('./routes/tokens');
+const modeRoutes = require('./routes/modes');
+const releaseRoutes = require('./routes/releases');
+const a11yRoutes = require('./routes/a11y');
+const componentRoutes = require('./routes/components');
+const graphRoutes = require('./routes/graph');
+const changeRequestRoutes = require('./routes/changeRequests');
+const auditRoutes = require('./routes/audit');
+const webhookRoutes = require('./routes/webhooks');
+const eventRoutes = require('./routes/events');
+const importRoutes = require('./routes/imports');
+const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
+const { startWebhookDispatcher, resumePendingDeliveries } = require('./utils/webhooks');
+const { failInterruptedImports } = require('./utils/importJobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/designsystem';
 
+// Behind a reverse proxy, TRUST_PROXY (hops such as 1, `true`, or proxy
+// addresses) lets req.ip be the client address from X-Forwarded-For. req.ip is
+// recorded in the audit log and keys the password reset throttle, so unset
+// the header is ignored rather than trusted from anyone.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy || '')) {
+  app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy);
+}
+
 // Middleware
 app.use(cors());
+// Imports read large bodies themselves, so mount them before the default-size JSON parser
+app.use('/api/imports', importRoutes);
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -29,6 +58,16 @@ const connectDB = async () => {
     });
     
     console.log('Connected to MongoDB successfully');
+
+    const pendingDeliveries = await resumePendingDeliveries();
+    if (pendingDeliveries > 0) {
+      console.log(`Resuming ${pendingDeliveries} pending webhook deliveries`);
+    }
+
+    const interruptedImports = await failInterruptedImports();
+    if (interruptedImports > 0) {
+      console.log(`Marked ${interruptedImports} interrupted import jobs as failed`);
+    }
   } catch (error) {
     console.error('MongoDB connection failed:', error.message);
     console.log('App will continue running without database');
@@ -84,7 +123,21 @@ app.get('/health', (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/invitations', invitationRoutes);
 app.use('/api/tokens', tokenRoutes);
+app.use('/api/modes', modeRoutes);
+app.use('/api/releases', releaseRoutes);
+app.use('/api/a11y', a11yRoutes);
+app.use('/api/components', componentRoutes);
+app.use('/api/graph', graphRoutes);
+app.use('/api/change-requests', changeRequestRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', eventRoutes);
+
+// Deliver token and release events to webhook subscribers
+startWebhookDispatcher();
 
 // Serve frontend
 app.get('/', (req, res) => {
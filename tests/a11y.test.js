@@ -0,0 +1,149 @@
+const request = require('supertest');
+const express = require('express');
+const a11yRoutes = require('../routes/a11y');
+const ColorPairing = require('../models/ColorPairing');
+const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const { signSessionToken, newUserId } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/a11y', a11yRoutes);
+
+describe('Accessibility Routes', () => {
+  let adminUser;
+  let adminToken;
+  let designerToken;
+
+  beforeEach(async () => {
+    adminUser = new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedpassword',
+      role: 'admin'
+    });
+    await adminUser.save();
+
+    adminToken = await signSessionToken({ id: adminUser._id, username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
+
+    await Mode.create({ name: 'dark' });
+    await DesignToken.insertMany([
+      { name: 'surface', category: 'color', value: '#FFFFFF', modeValues: { dark: '#111827' }, createdBy: adminUser._id },
+      { name: 'text-primary', category: 'color', value: '#111827', modeValues: { dark: '#F9FAFB' }, createdBy: adminUser._id },
+      { name: 'text-muted', category: 'color', value: '#9CA3AF', createdBy: adminUser._id },
+      { name: 'spacing-md', category: 'spacing', value: '16px', createdBy: adminUser._id }
+    ]);
+  });
+
+  test('should create pairings between color tokens as admin', async () => {
+    const response = await request(app)
+      .post('/api/a11y/pairings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ foreground: 'text-primary', background: 'surface' })
+      .expect(201);
+
+    expect(response.body).toHaveProperty('foreground', 'text-primary');
+
+    await request(app)
+      .post('/api/a11y/pairings')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .send({ foreground: 'text-muted', background: 'surface' })
+      .expect(403);
+  });
+
+  test('should reject pairings with unknown or non-color tokens', async () => {
+    let response = await request(app)
+      .post('/api/a11y/pairings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ foreground: 'text-missing', background: 'surface' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('error', "Unknown token 'text-missing'");
+
+    response = await request(app)
+      .post('/api/a11y/pairings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ foreground: 'text-primary', background: 'spacing-md' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('error', "Token 'spacing-md' is not a color token");
+  });
+
+  test('should report contrast for every pairing in every mode', async () => {
+    await ColorPairing.insertMany([
+      { foreground: 'text-primary', background: 'surface' },
+      { foreground: 'text-muted', background: 'surface' }
+    ]);
+
+    const response = await request(app)
+      .get('/api/a11y/contrast')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(200);
+
+    expect(response.body.summary).toEqual({ total: 4, passing: 3, failing: 1 });
+
+    const muted = response.body.results.find(result => result.foreground === 'text-muted' && result.mode === null);
+    expect(muted).toMatchObject({ ratio: 2.54, passes: false, backgroundValue: '#FFFFFF' });
+    expect(muted.wcag.AA).toEqual({ normal: false, large: false });
+    expect(muted.apca).toHaveProperty('lc');
+
+    const dark = response.body.results.find(result => result.foreground === 'text-primary' && result.mode === 'dark');
+    expect(dark).toMatchObject({ foregroundValue: '#F9FAFB', backgroundValue: '#111827', passes: true });
+  });
+
+  test('should list only violations at the requested level', async () => {
+    await ColorPairing.create({ foreground: 'text-muted', background: 'text-primary' });
+
+    let response = await request(app)
+      .get('/api/a11y/contrast?mode=dark&level=AA&size=large&violations=true')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(200);
+
+    expect(response.body.results).toHaveLength(1);
+
+    response = await request(app)
+      .get('/api/a11y/contrast?level=AAA')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(200);
+
+    expect(response.body.results[0]).toMatchObject({ mode: null, ratio: 6.99, passes: false });
+
+    await request(app)
+      .get('/api/a11y/contrast?level=A')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/a11y/contrast?level=constructor')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/a11y/contrast?size=__proto__')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(400);
+  });
+
+  test('should audit pairing changes', async () => {
+    const created = await request(app)
+      .post('/api/a11y/pairings')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ foreground: 'text-primary', background: 'surface' })
+      .expect(201);
+
+    await request(app)
+      .delete(`/api/a11y/pairings/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const events = await AuditEvent.find({ targetType: 'pairing' }).sort({ createdAt: 1, _id: 1 });
+    expect(events.map(event => event.action)).toEqual(['pairing.create', 'pairing.delete']);
+    expect(events[0].targetName).toBe('text-primary on surface');
+    expect(events[1].before).toMatchObject({ foreground: 'text-primary', background: 'surface' });
+  });
+});
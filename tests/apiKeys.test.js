@@ -0,0 +1,36 @@
+const { SCOPES, isApiKey, hashApiKey, generateApiKey, scopeFor } = require('../utils/apiKeys');
+
+describe('API keys', () => {
+  test('should generate prefixed keys and store only a hash', () => {
+    const { key, keyHash, prefix } = generateApiKey();
+
+    expect(isApiKey(key)).toBe(true);
+    expect(key).toMatch(/^dsm_[A-Za-z0-9_-]{32}$/);
+    expect(keyHash).toBe(hashApiKey(key));
+    expect(keyHash).not.toContain(key.slice(4));
+    expect(key.startsWith(prefix)).toBe(true);
+    expect(generateApiKey().key).not.toBe(key);
+  });
+
+  test('should not treat JWTs as API keys', () => {
+    expect(isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBe(false);
+    expect(isApiKey(undefined)).toBe(false);
+  });
+
+  test('should derive the scope from the router and method', () => {
+    expect(scopeFor({ baseUrl: '/api/tokens', path: '/', method: 'GET' })).toBe('tokens:read');
+    expect(scopeFor({ baseUrl: '/api/tokens', path: '/abc/history', method: 'GET' })).toBe('tokens:read');
+    expect(scopeFor({ baseUrl: '/api/tokens', path: '/upload', method: 'POST' })).toBe('tokens:write');
+    expect(scopeFor({ baseUrl: '/api/change-requests', path: '/abc/approve', method: 'POST' })).toBe('change-requests:write');
+  });
+
+  test('should require export:read for exports', () => {
+    expect(scopeFor({ baseUrl: '/api/tokens', path: '/export', method: 'GET' })).toBe('export:read');
+    expect(scopeFor({ baseUrl: '/api/releases', path: '/1.2.0/export', method: 'GET' })).toBe('export:read');
+  });
+
+  test('should not offer a scope for auth routes', () => {
+    expect(SCOPES[scopeFor({ baseUrl: '/api/auth', path: '/api-keys', method: 'POST' })]).toBeUndefined();
+    expect(SCOPES[scopeFor({ baseUrl: '/api/auth', path: '/me', method: 'GET' })]).toBeUndefined();
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const auditRoutes = require('../routes/audit');
+const authRoutes = require('../routes/auth');
+const tokenRoutes = require('../routes/tokens');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const { toCsv } = require('../utils/audit');
+const { signSessionToken, newUserId } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/audit', auditRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/tokens', tokenRoutes);
+
+describe('Audit Log', () => {
+  let adminUser;
+  let adminToken;
+  let designerToken;
+
+  beforeEach(async () => {
+    adminUser = await new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: await bcrypt.hash('admin123', 10),
+      role: 'admin'
+    }).save();
+
+    adminToken = await signSessionToken({ id: adminUser._id.toString(), username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
+  });
+
+  test('should record logins, failed logins and token edits', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'audit-test')
+      .send({ email: 'admin@example.com', password: 'admin123' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'wrong' })
+      .expect(401);
+
+    const created = await request(app)
+      .post('/api/tokens')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'primary-blue', category: 'color', value: '#3B82F6' })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/tokens/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ value: '#2563EB' })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.events.map(event => event.action).sort()).toEqual([
+      'auth.login',
+      'auth.login_failed',
+      'token.create',
+      'token.update'
+    ]);
+
+    const login = response.body.events.find(event => event.action === 'auth.login');
+    expect(login).toMatchObject({ actorUsername: 'admin', userAgent: 'audit-test' });
+    expect(login.ip).toBeTruthy();
+
+    const update = response.body.events.find(event => event.action === 'token.update');
+    expect(update).toMatchObject({ targetType: 'token', targetName: 'primary-blue' });
+    expect(update.before.value).toBe('#3B82F6');
+    expect(update.after.value).toBe('#2563EB');
+  });
+
+  test('should filter by actor, action and date range', async () => {
+    await AuditEvent.create([
+      { action: 'token.create', actorUsername: 'admin', createdAt: new Date('2024-01-10') },
+      { action: 'token.delete', actorUsername: 'admin', createdAt: new Date('2024-02-10') },
+      { action: 'auth.login', actorUsername: 'designer', createdAt: new Date('2024-02-11') }
+    ]);
+
+    const get = (query) => request(app)
+      .get(`/api/audit?${query}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    let response = await get('actor=admin&action=token.*').expect(200);
+    expect(response.body.events.map(event => event.action)).toEqual(['token.delete', 'token.create']);
+
+    response = await get('from=2024-02-01&to=2024-02-28').expect(200);
+    expect(response.body.pagination.total).toBe(2);
+
+    response = await get('action=auth.login,token.create').expect(200);
+    expect(response.body.pagination.total).toBe(2);
+
+    await get('from=yesterday').expect(400);
+
+    // Operator objects and repeated parameters are not strings
+    await get('actor[$ne]=nobody').expect(400);
+    await get('action=token.create&action=token.delete').expect(400);
+    await get('targetType[$exists]=true').expect(400);
+  });
+
+  test('should export CSV for admins only', async () => {
+    await AuditEvent.create({
+      action: 'token.update',
+      actorUsername: 'admin',
+      targetName: 'primary-blue',
+      before: { value: '#3B82F6' }
+    });
+
+    await request(app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(403);
+
+    const response = await request(app)
+      .get('/api/audit?format=csv')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/audit-log-.*\.csv/);
+    expect(response.text.split('\n')[1]).toContain('"{""value"":""#3B82F6""}"');
+  });
+
+  test('should not allow changing recorded events', async () => {
+    const event = await AuditEvent.create({ action: 'auth.login', actorUsername: 'admin' });
+
+    await expect(AuditEvent.updateOne({ _id: event._id }, { action: 'auth.logout' })).rejects.toThrow('append-only');
+    await expect(AuditEvent.deleteOne({ _id: event._id })).rejects.toThrow('append-only');
+
+    event.action = 'auth.logout';
+    await expect(event.save()).rejects.toThrow('append-only');
+  });
+});
+
+describe('Audit CSV', () => {
+  test('should quote cells and neutralise formulas', () => {
+    const csv = toCsv([{
+      createdAt: new Date('2024-01-10T00:00:00Z'),
+      actorUsername: 'admin',
+      action: 'token.create',
+      targetName: '=HYPERLINK("x")'
+    }]);
+
+    const [header, row] = csv.split('\n');
+    expect(header.split(',')).toContain('actorUsername');
+    expect(row).toContain('"2024-01-10T00:00:00.000Z","admin"');
+    expect(row).toContain('"\'=HYPERLINK(""x"")"');
+  });
+});
@@ -1,8 +1,16 @@
 // tests/auth.test.js - Authentication Tests
 const request = require('supertest');
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const authRoutes = require('../routes/auth');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { SCOPES } = require('../utils/apiKeys');
+const UserToken = require('../models/UserToken');
+const { sentMail } = require('../utils/mailer');
+const { passwordResetLimits } = require('../utils/userTokens');
+const AuditEvent = require('../models/AuditEvent');
+const { waitFor } = require('./helpers');
 
 // Create test app
 const app = express();
@@ -51,6 +59,18 @@ describe('Authentication Routes', () => {
       expect(response.body).toHaveProperty('error', 'Username, email, and password are required');
     });
 
+    test('should not register user with an invalid email', async () => {
+      for (const email of ['not-an-email', 'ana@example.com\r\nBcc: eve@example.com', 'Eve <eve@example.com>', { $ne: null }]) {
+        const response = await request(app)
+          .post('/api/auth/register')
+          .send({ username: 'testuser', email, password: 'password123' })
+          .expect(400);
+
+        expect(response.body).toHaveProperty('error', 'A valid email is required');
+      }
+      expect(await User.countDocuments()).toBe(0);
+    });
+
     test('should not register user with duplicate email', async () => {
       // Create first user
       const userData = {
@@ -270,4 +290,400 @@ describe('Authentication Routes', () => {
       expect(response.body.token.split('.')).toHaveLength(3); 
     });
   });
-});
\ No newline at end of file
+
+  describe('Sessions', () => {
+    let login;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', email: 'test@example.com', password: 'password123' });
+
+      login = (await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'laptop')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200)).body;
+    });
+
+    const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+    test('should return a refresh token with a short-lived access token', () => {
+      const decoded = jwt.decode(login.token);
+
+      expect(login.refreshToken).toMatch(/^[0-9a-f]{24}\./);
+      expect(decoded.sid).toBe(login.refreshToken.split('.')[0]);
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
+    test('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.refreshToken })
+        .expect(200);
+
+      expect(response.body.refreshToken).not.toBe(login.refreshToken);
+      expect(response.body.user.username).toBe('testuser');
+      await request(app).get('/api/auth/verify').set(auth(response.body.token)).expect(200);
+    });
+
+    test('should revoke the session when an old refresh token is reused', async () => {
+      const refreshed = (await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.refreshToken })
+        .expect(200)).body;
+
+      const reused = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.refreshToken })
+        .expect(401);
+      expect(reused.body.error).toContain('already been used');
+
+      await request(app).post('/api/auth/refresh').send({ refreshToken: refreshed.refreshToken }).expect(401);
+      const rejected = await request(app).get('/api/auth/sessions').set(auth(refreshed.token)).expect(401);
+      expect(rejected.body.error).toBe('Session has been revoked');
+    });
+
+    test('should reject unknown refresh tokens', async () => {
+      await request(app).post('/api/auth/refresh').send({}).expect(400);
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: `${login.refreshToken.split('.')[0]}.nope` })
+        .expect(401);
+      expect(response.body.error).toBe('Invalid refresh token');
+
+      // A guess does not end the session
+      await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken }).expect(200);
+    });
+
+    test('should end the session on logout', async () => {
+      await request(app).post('/api/auth/logout').set(auth(login.token)).expect(200);
+
+      await request(app).get('/api/auth/verify').set(auth(login.token)).expect(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken }).expect(401);
+    });
+
+    test('should list and revoke sessions per device', async () => {
+      const phone = (await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'phone')
+        .send({ email: 'test@example.com', password: 'password123' })).body;
+
+      const list = await request(app).get('/api/auth/sessions').set(auth(login.token)).expect(200);
+      expect(list.body.sessions).toHaveLength(2);
+      expect(list.body.sessions.find(session => session.current).userAgent).toBe('laptop');
+
+      const phoneSession = list.body.sessions.find(session => session.userAgent === 'phone');
+      await request(app).delete(`/api/auth/sessions/${phoneSession.id}`).set(auth(login.token)).expect(200);
+      await request(app).get('/api/auth/sessions').set(auth(phone.token)).expect(401);
+
+      const again = await request(app).get('/api/auth/sessions').set(auth(login.token)).expect(200);
+      expect(again.body.sessions.map(session => session.userAgent)).toEqual(['laptop']);
+    });
+
+    test('should sign out every other device', async () => {
+      const phone = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })).body;
+
+      const response = await request(app).delete('/api/auth/sessions').set(auth(login.token)).expect(200);
+
+      expect(response.body.revoked).toBe(1);
+      await request(app).get('/api/auth/sessions').set(auth(login.token)).expect(200);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: phone.refreshToken }).expect(401);
+    });
+  });
+
+  describe('API keys', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = (await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', email: 'test@example.com', password: 'password123' })
+        .expect(201)).body.token;
+    });
+
+    const auth = (value) => ({ Authorization: `Bearer ${value}` });
+
+    test('should create a key that is only shown once and stored as a hash', async () => {
+      const response = await request(app)
+        .post('/api/auth/api-keys')
+        .set(auth(token))
+        .send({ name: 'CI', scopes: ['tokens:read', 'export:read'], expiresInDays: 30 })
+        .expect(201);
+
+      expect(response.body.key).toMatch(/^dsm_/);
+      expect(response.body.apiKey).toMatchObject({ name: 'CI', scopes: ['tokens:read', 'export:read'] });
+      expect(response.body.key.startsWith(response.body.apiKey.prefix)).toBe(true);
+
+      const stored = await ApiKey.findById(response.body.apiKey.id);
+      expect(stored.keyHash).not.toBe(response.body.key);
+      expect(JSON.stringify(stored.toObject())).not.toContain(response.body.key);
+
+      const list = await request(app).get('/api/auth/api-keys').set(auth(token)).expect(200);
+      expect(list.body.apiKeys).toHaveLength(1);
+      expect(list.body.apiKeys[0]).not.toHaveProperty('key');
+      expect(list.body.apiKeys[0]).not.toHaveProperty('keyHash');
+    });
+
+    test('should validate name, scopes and expiry', async () => {
+      const create = (body) => request(app).post('/api/auth/api-keys').set(auth(token)).send(body);
+
+      expect((await create({ scopes: ['tokens:read'] }).expect(400)).body.error).toBe('Name is required');
+      expect((await create({ name: 'CI', scopes: [] }).expect(400)).body.error).toBe('At least one scope is required');
+      expect((await create({ name: 'CI', scopes: ['tokens:admin'] }).expect(400)).body.error).toBe('Unknown scopes: tokens:admin');
+      expect((await create({ name: 'CI', scopes: ['tokens:read'], expiresInDays: 0 }).expect(400)).body.error)
+        .toBe('expiresInDays must be between 1 and 365');
+    });
+
+    test('should revoke a key', async () => {
+      const created = (await request(app)
+        .post('/api/auth/api-keys')
+        .set(auth(token))
+        .send({ name: 'CI', scopes: ['tokens:read'] })
+        .expect(201)).body;
+
+      await request(app).delete(`/api/auth/api-keys/${created.apiKey.id}`).set(auth(token)).expect(200);
+      await request(app).delete(`/api/auth/api-keys/${created.apiKey.id}`).set(auth(token)).expect(404);
+
+      const list = await request(app).get('/api/auth/api-keys').set(auth(token)).expect(200);
+      expect(list.body.apiKeys).toHaveLength(0);
+      expect((await ApiKey.findById(created.apiKey.id)).revokedAt).toBeTruthy();
+    });
+
+    test('should not let an API key manage keys', async () => {
+      const created = (await request(app)
+        .post('/api/auth/api-keys')
+        .set(auth(token))
+        .send({ name: 'CI', scopes: Object.keys(SCOPES) })
+        .expect(201)).body;
+
+      await request(app)
+        .post('/api/auth/api-keys')
+        .set(auth(created.key))
+        .send({ name: 'Another', scopes: ['tokens:read'] })
+        .expect(403);
+    });
+
+    test('should not let users revoke keys of others', async () => {
+      const created = (await request(app)
+        .post('/api/auth/api-keys')
+        .set(auth(token))
+        .send({ name: 'CI', scopes: ['tokens:read'] })
+        .expect(201)).body;
+      const other = (await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'other', email: 'other@example.com', password: 'password123' })
+        .expect(201)).body.token;
+
+      await request(app).delete(`/api/auth/api-keys/${created.apiKey.id}`).set(auth(other)).expect(404);
+    });
+  });
+
+  describe('Registration lockdown', () => {
+    afterEach(() => {
+      delete process.env.REGISTRATION_MODE;
+    });
+
+    test('should ignore a role sent by the client', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'sneaky', email: 'sneaky@example.com', password: 'password123', role: 'admin' })
+        .expect(201);
+
+      expect(response.body.user.role).toBe('designer');
+      expect((await User.findOne({ username: 'sneaky' })).role).toBe('designer');
+    });
+
+    test('should reject self-registration in invite mode', async () => {
+      process.env.REGISTRATION_MODE = 'invite';
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', email: 'test@example.com', password: 'password123' })
+        .expect(403);
+
+      expect(response.body.error).toBe('Registration is by invitation only');
+      expect(await User.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('POST /api/auth/create-admin', () => {
+    const firstAdmin = { username: 'owner', email: 'owner@example.com', password: 'correct-horse' };
+
+    afterEach(() => {
+      delete process.env.ALLOW_CREATE_ADMIN;
+    });
+
+    test('should be off unless enabled', async () => {
+      await request(app).post('/api/auth/create-admin').send(firstAdmin).expect(404);
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    test('should only create the first account', async () => {
+      process.env.ALLOW_CREATE_ADMIN = 'true';
+
+      await request(app).post('/api/auth/create-admin').send({ username: 'owner' }).expect(400);
+
+      const response = await request(app).post('/api/auth/create-admin').send(firstAdmin).expect(201);
+      expect(response.body.user).toMatchObject({ username: 'owner', role: 'admin' });
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'owner@example.com', password: 'correct-horse' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/create-admin')
+        .send({ username: 'second', email: 'second@example.com', password: 'password123' })
+        .expect(403);
+      expect(await User.countDocuments({ role: 'admin' })).toBe(1);
+    });
+  });
+
+  describe('Password reset', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', email: 'test@example.com', password: 'password123' })
+        .expect(201);
+      sentMail.length = 0;
+      passwordResetLimits.ip.reset();
+      passwordResetLimits.email.reset();
+    });
+
+    // The email goes out after the response
+    const requestReset = async () => {
+      const sent = sentMail.length;
+      await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+      await waitFor(() => sentMail.length > sent);
+      return sentMail[sentMail.length - 1].text.match(/\?reset=([\w-]+)/)[1];
+    };
+
+    test('should answer the same for unknown emails without sending mail', async () => {
+      const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+      const known = await request(app).post('/api/auth/forgot-password').send({ email: 'test@example.com' }).expect(200);
+
+      expect(unknown.body).toEqual(known.body);
+      await waitFor(() => sentMail.length > 0);
+      expect(sentMail.map(mail => mail.to)).toEqual(['test@example.com']);
+      await waitFor(() => AuditEvent.exists({ action: 'auth.password_reset_requested' }));
+    });
+
+    test('should not send reset links built from the Host header when APP_URL is unset', async () => {
+      const appUrl = process.env.APP_URL;
+      delete process.env.APP_URL;
+      const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        await request(app)
+          .post('/api/auth/forgot-password')
+          .set('Host', 'evil.example.com')
+          .send({ email: 'test@example.com' })
+          .expect(200);
+
+        await waitFor(() => AuditEvent.exists({ action: 'auth.password_reset_requested' }));
+        expect(sentMail).toHaveLength(0);
+        expect(logged).toHaveBeenCalledWith('Password reset email error:', expect.objectContaining({ message: 'APP_URL must be set to send links by email' }));
+      } finally {
+        logged.mockRestore();
+        process.env.APP_URL = appUrl;
+      }
+    });
+
+    test('should throttle requests per email and per IP', async () => {
+      for (let i = 0; i < 3; i += 1) {
+        await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+      }
+      const limited = await request(app).post('/api/auth/forgot-password').send({ email: 'NOBODY@example.com' }).expect(429);
+      expect(limited.body.error).toBe('Too many password reset requests; try again later');
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+      // Other emails from the same client count toward the IP limit of 10
+      for (let i = 0; i < 6; i += 1) {
+        await request(app).post('/api/auth/forgot-password').send({ email: `other${i}@example.com` }).expect(200);
+      }
+      await request(app).post('/api/auth/forgot-password').send({ email: 'someone@example.com' }).expect(429);
+    });
+
+    test('should set a new password once and sign out every session', async () => {
+      const login = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' })
+        .expect(200)).body;
+      const token = await requestReset();
+
+      expect(await UserToken.findOne({ tokenHash: token })).toBeNull();
+
+      await request(app).post('/api/auth/reset-password').send({ token, password: 'new-password' }).expect(200);
+
+      await request(app).get('/api/auth/verify').set('Authorization', `Bearer ${login.token}`).expect(401);
+      await request(app).post('/api/auth/login').send({ email: 'test@example.com', password: 'password123' }).expect(401);
+      await request(app).post('/api/auth/login').send({ email: 'test@example.com', password: 'new-password' }).expect(200);
+
+      const reused = await request(app).post('/api/auth/reset-password').send({ token, password: 'other' }).expect(400);
+      expect(reused.body.error).toBe('Reset link is invalid or has expired');
+    });
+
+    test('should reject expired and superseded links', async () => {
+      const first = await requestReset();
+      const second = await requestReset();
+
+      await request(app).post('/api/auth/reset-password').send({ token: first, password: 'new-password' }).expect(400);
+
+      await UserToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+      await request(app).post('/api/auth/reset-password').send({ token: second, password: 'new-password' }).expect(400);
+    });
+  });
+
+  describe('Email verification', () => {
+    let registered;
+
+    beforeEach(async () => {
+      sentMail.length = 0;
+      registered = (await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'testuser', email: 'test@example.com', password: 'password123' })
+        .expect(201)).body;
+    });
+
+    const verificationToken = () => sentMail[sentMail.length - 1].text.match(/\?verify=([\w-]+)/)[1];
+
+    test('should email a verification link on registration', async () => {
+      expect(registered.user.emailVerified).toBe(false);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('test@example.com');
+
+      await request(app).post('/api/auth/verify-email').send({ token: verificationToken() }).expect(200);
+
+      const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${registered.token}`).expect(200);
+      expect(me.body.user.emailVerified).toBe(true);
+      expect((await User.findOne({ email: 'test@example.com' })).emailVerifiedAt).toBeTruthy();
+    });
+
+    test('should resend the link and invalidate the old one', async () => {
+      const first = verificationToken();
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${registered.token}`)
+        .expect(200);
+
+      const response = await request(app).post('/api/auth/verify-email').send({ token: first }).expect(400);
+      expect(response.body.error).toBe('Verification link is invalid or has expired');
+      await request(app).post('/api/auth/verify-email').send({ token: verificationToken() }).expect(200);
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${registered.token}`)
+        .expect(400);
+    });
+
+    test('should not accept a verification link as a reset link', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: verificationToken(), password: 'new-password' })
+        .expect(400);
+    });
+  });
+});
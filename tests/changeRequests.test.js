@@ -0,0 +1,235 @@
+const request = require('supertest');
+const express = require('express');
+const changeRequestRoutes = require('../routes/changeRequests');
+const ChangeRequest = require('../models/ChangeRequest');
+const DesignToken = require('../models/DesignToken');
+const TokenRevision = require('../models/TokenRevision');
+const User = require('../models/User');
+const { applyChanges, TokenConflictError } = require('../utils/tokenChanges');
+const { withTransaction } = require('../utils/transactions');
+const { signSessionToken } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/change-requests', changeRequestRoutes);
+
+describe('Change Request Routes', () => {
+  let adminUser;
+  let designerUser;
+  let adminToken;
+  let designerToken;
+  let primary;
+  let alias;
+
+  const propose = (changes, token = designerToken) => request(app)
+    .post('/api/change-requests')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title: 'Brand refresh', rationale: 'New brand colors', changes });
+
+  beforeEach(async () => {
+    adminUser = await new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedpassword',
+      role: 'admin'
+    }).save();
+
+    designerUser = await new User({
+      username: 'designer',
+      email: 'designer@example.com',
+      password: 'hashedpassword',
+      role: 'designer'
+    }).save();
+
+    adminToken = await signSessionToken({ id: adminUser._id, username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: designerUser._id, username: designerUser.username, role: designerUser.role });
+
+    [primary, alias] = await DesignToken.insertMany([
+      { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id },
+      { name: 'button-bg', category: 'color', value: '{primary-blue}', createdBy: adminUser._id }
+    ]);
+  });
+
+  test('should let a designer propose changes and an admin approve them', async () => {
+    const created = await propose([
+      { action: 'create', data: { name: 'accent', category: 'color', value: '#F59E0B' } },
+      { action: 'update', token: primary._id, data: { value: '#2563EB' } }
+    ]).expect(201);
+
+    expect(created.body).toHaveProperty('status', 'open');
+    expect(created.body.changes[1]).toHaveProperty('tokenName', 'primary-blue');
+    expect(created.body.changes[1].before).toHaveProperty('value', '#3B82F6');
+
+    // Nothing changes until the request is approved
+    expect(await DesignToken.exists({ name: 'accent' })).toBeNull();
+
+    const detail = await request(app)
+      .get(`/api/change-requests/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(detail.body.errors).toEqual([]);
+    expect(detail.body.diff[1].changes).toEqual([
+      { field: 'value', before: '#3B82F6', after: '#2563EB' }
+    ]);
+
+    const approved = await request(app)
+      .post(`/api/change-requests/${created.body._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ comment: 'Looks good' })
+      .expect(200);
+
+    expect(approved.body.changeRequest).toHaveProperty('status', 'approved');
+    expect(approved.body.changeRequest).toHaveProperty('reviewedByUsername', 'admin');
+    expect(approved.body.changeRequest.comments[0]).toHaveProperty('body', 'Looks good');
+    expect(approved.body.results.map(result => result.action)).toEqual(['create', 'update']);
+
+    const updated = await DesignToken.findById(primary._id);
+    expect(updated.value).toBe('#2563EB');
+
+    const accent = await DesignToken.findOne({ name: 'accent' });
+    expect(accent.createdBy.toString()).toBe(designerUser._id.toString());
+
+    const revisions = await TokenRevision.find({ changeRequest: created.body._id });
+    expect(revisions).toHaveLength(2);
+  });
+
+  test('should reject invalid proposals and changes that break other tokens', async () => {
+    let response = await propose([
+      { action: 'update', token: primary._id, data: { value: 'banana' } }
+    ]).expect(400);
+
+    expect(response.body.errors[0]).toMatchObject({ index: 0, token: 'primary-blue' });
+
+    response = await propose([
+      { action: 'delete', token: primary._id }
+    ]).expect(400);
+
+    expect(response.body.errors[0]).toMatchObject({ index: null, token: 'button-bg' });
+
+    // Deleting the alias with its target is fine
+    await propose([
+      { action: 'delete', token: alias._id },
+      { action: 'delete', token: primary._id }
+    ]).expect(201);
+  });
+
+  test('should only let admins approve or reject', async () => {
+    const created = await propose([
+      { action: 'update', token: primary._id, data: { description: 'Brand blue' } }
+    ]).expect(201);
+
+    await request(app)
+      .post(`/api/change-requests/${created.body._id}/approve`)
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(403);
+
+    const rejected = await request(app)
+      .post(`/api/change-requests/${created.body._id}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ comment: 'Not now' })
+      .expect(200);
+
+    expect(rejected.body).toHaveProperty('status', 'rejected');
+
+    // Reviewed requests cannot be approved afterwards
+    await request(app)
+      .post(`/api/change-requests/${created.body._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+
+    expect((await DesignToken.findById(primary._id)).description).toBeUndefined();
+  });
+
+  test('should let the author comment and withdraw', async () => {
+    const created = await propose([
+      { action: 'delete', token: alias._id }
+    ]).expect(201);
+
+    await request(app)
+      .post(`/api/change-requests/${created.body._id}/comments`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ body: 'Is button-bg still used?' })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/change-requests/${created.body._id}/withdraw`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(403);
+
+    const withdrawn = await request(app)
+      .post(`/api/change-requests/${created.body._id}/withdraw`)
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(200);
+
+    expect(withdrawn.body).toHaveProperty('status', 'withdrawn');
+    expect(withdrawn.body.comments).toHaveLength(1);
+
+    const list = await request(app)
+      .get('/api/change-requests?status=open')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(200);
+
+    expect(list.body.changeRequests).toHaveLength(0);
+    expect(await ChangeRequest.countDocuments()).toBe(1);
+  });
+
+  test('should let only one of concurrent reviews and withdrawals win', async () => {
+    const created = await propose([
+      { action: 'update', token: primary._id, data: { description: 'Brand blue' } }
+    ]).expect(201);
+
+    const responses = await Promise.all([
+      request(app)
+        .post(`/api/change-requests/${created.body._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ comment: 'Not now' }),
+      request(app)
+        .post(`/api/change-requests/${created.body._id}/withdraw`)
+        .set('Authorization', `Bearer ${designerToken}`)
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    const stored = await ChangeRequest.findById(created.body._id);
+    expect(stored.status).toBe(responses[0].status === 200 ? 'rejected' : 'withdrawn');
+  });
+
+  test('should roll back applied changes when a token disappears mid-apply', async () => {
+    const missing = new DesignToken({ name: 'gone', category: 'color', value: '#000000' });
+
+    await expect(withTransaction((session, onRollback) => applyChanges([
+      { action: 'create', data: { name: 'accent', category: 'color', value: '#F59E0B' } },
+      { action: 'update', token: missing._id, tokenName: 'gone', data: { value: '#111111' } }
+    ], { user: { id: adminUser._id.toString(), username: 'admin' }, session, onRollback })))
+      .rejects.toBeInstanceOf(TokenConflictError);
+
+    expect(await DesignToken.exists({ name: 'accent' })).toBeNull();
+    expect(await TokenRevision.countDocuments()).toBe(0);
+  });
+
+  test('should roll back when a token is saved by someone else mid-apply', async () => {
+    const token = await DesignToken.create({ name: 'primary', category: 'color', value: '#3B82F6', createdBy: adminUser._id });
+    const save = DesignToken.prototype.save;
+    const spy = jest.spyOn(DesignToken.prototype, 'save').mockImplementation(async function (...args) {
+      if (this._id.equals(token._id)) {
+        await DesignToken.updateOne({ _id: this._id }, { $inc: { __v: 1 } });
+      }
+      return save.apply(this, args);
+    });
+
+    try {
+      const applying = withTransaction((session, onRollback) => applyChanges([
+        { action: 'create', data: { name: 'accent', category: 'color', value: '#F59E0B' } },
+        { action: 'update', token: token._id, tokenName: 'primary', data: { value: '#111111' } }
+      ], { user: { id: adminUser._id.toString(), username: 'admin' }, session, onRollback }));
+
+      await expect(applying).rejects.toThrow("Token 'primary' was changed by someone else while saving");
+    } finally {
+      spy.mockRestore();
+    }
+    expect(await DesignToken.exists({ name: 'accent' })).toBeNull();
+    expect((await DesignToken.findById(token._id)).value).toBe('#3B82F6');
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const express = require('express');
+const componentRoutes = require('../routes/components');
+const Component = require('../models/Component');
+const DesignToken = require('../models/DesignToken');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const { signSessionToken, newUserId } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/components', componentRoutes);
+
+describe('Component Routes', () => {
+  let adminUser;
+  let adminToken;
+  let designerToken;
+
+  beforeEach(async () => {
+    adminUser = new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedpassword',
+      role: 'admin'
+    });
+    await adminUser.save();
+
+    adminToken = await signSessionToken({ id: adminUser._id, username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
+
+    await DesignToken.insertMany([
+      { name: 'radius-md', category: 'size', value: '8px', createdBy: adminUser._id },
+      { name: 'button-radius', category: 'size', value: '{radius-md}', createdBy: adminUser._id },
+      { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id }
+    ]);
+  });
+
+  test('should create a component with variants, props and docs as admin', async () => {
+    const response = await request(app)
+      .post('/api/components')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Button',
+        status: 'beta',
+        tokens: ['button-radius'],
+        variants: [{ name: 'primary', tokens: ['primary-blue'] }],
+        props: [{ name: 'size', type: 'string', defaultValue: 'md' }],
+        owners: ['design-systems'],
+        docsLinks: [{ label: 'Storybook', url: 'https://storybook.example.com/button' }]
+      })
+      .expect(201);
+
+    expect(response.body).toHaveProperty('status', 'beta');
+    expect(response.body.variants[0].tokens).toEqual(['primary-blue']);
+    expect(response.body.createdBy).toHaveProperty('username', 'admin');
+  });
+
+  test('should not create components without admin role', async () => {
+    await request(app)
+      .post('/api/components')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .send({ name: 'Card' })
+      .expect(403);
+  });
+
+  test('should reject unknown tokens and statuses', async () => {
+    let response = await request(app)
+      .post('/api/components')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Card', tokens: ['radius-md', 'shadow-lg'] })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('error', 'Unknown token: shadow-lg');
+
+    response = await request(app)
+      .post('/api/components')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Card', status: 'retired' })
+      .expect(400);
+
+    expect(response.body.error).toContain("Invalid status 'retired'");
+  });
+
+  test('should find components affected by a token through aliases', async () => {
+    await Component.insertMany([
+      { name: 'Button', tokens: ['button-radius'], createdBy: adminUser._id },
+      { name: 'Badge', variants: [{ name: 'info', tokens: ['radius-md'] }], createdBy: adminUser._id },
+      { name: 'Link', tokens: ['primary-blue'], createdBy: adminUser._id }
+    ]);
+
+    const response = await request(app)
+      .get('/api/components?token=radius-md')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(200);
+
+    expect(response.body.affectedTokens).toEqual(['radius-md', 'button-radius']);
+    expect(response.body.components.map(component => component.name)).toEqual(['Badge', 'Button']);
+    expect(response.body.components[1].affectedBy).toEqual(['button-radius']);
+  });
+
+  test('should reject repeated or bracketed query parameters', async () => {
+    const repeated = await request(app)
+      .get('/api/components?search=a&search=b')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(400);
+    expect(repeated.body.error).toBe("Parameter 'search' must be a single string");
+
+    await request(app)
+      .get('/api/components?status[$ne]=draft')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(400);
+  });
+
+  test('should update and delete components', async () => {
+    const component = await Component.create({ name: 'Card', createdBy: adminUser._id });
+
+    const response = await request(app)
+      .put(`/api/components/${component._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'stable', tokens: ['radius-md'] })
+      .expect(200);
+
+    expect(response.body).toHaveProperty('status', 'stable');
+    expect(response.body.tokens).toEqual(['radius-md']);
+
+    await request(app)
+      .delete(`/api/components/${component._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(await Component.findById(component._id)).toBeNull();
+
+    const events = await AuditEvent.find({ targetType: 'component' }).sort({ createdAt: 1, _id: 1 });
+    expect(events.map(event => event.action)).toEqual(['component.update', 'component.delete']);
+    expect(events[0].before).toHaveProperty('status', 'draft');
+    expect(events[0].after).toHaveProperty('status', 'stable');
+  });
+});
@@ -0,0 +1,35 @@
+const { parseColor } = require('../utils/color');
+const { checkContrast, wcagContrast, apcaContrast } = require('../utils/contrast');
+
+describe('Contrast checks', () => {
+  const black = parseColor('#000000');
+  const white = parseColor('#FFFFFF');
+
+  test('should compute WCAG 2.x contrast ratios', () => {
+    expect(wcagContrast(black, white)).toBeCloseTo(21, 5);
+    expect(wcagContrast(white, white)).toBe(1);
+    expect(checkContrast(parseColor('#767676'), white).ratio).toBe(4.54);
+  });
+
+  test('should flag each WCAG level and text size', () => {
+    const result = checkContrast(parseColor('#949494'), white);
+
+    expect(result.ratio).toBe(3.03);
+    expect(result.wcag).toEqual({
+      AA: { normal: false, large: true },
+      AAA: { normal: false, large: false }
+    });
+  });
+
+  test('should compute APCA lightness contrast with polarity', () => {
+    expect(apcaContrast(black, white)).toBeCloseTo(106.04, 1);
+    expect(apcaContrast(white, black)).toBeCloseTo(-107.88, 1);
+    expect(checkContrast(parseColor('#888888'), white).apca).toEqual({ lc: 63.1, normal: false, large: true });
+  });
+
+  test('should composite translucent colors before comparing', () => {
+    const result = checkContrast(parseColor('rgba(0, 0, 0, 0.5)'), white);
+
+    expect(result.ratio).toBe(3.98);
+  });
+});
@@ -0,0 +1,52 @@
+const {
+  buildDependencyGraph,
+  findDependents,
+  filterGraph,
+  toDot,
+  toMermaid
+} = require('../utils/dependencyGraph');
+
+describe('Token dependency graph', () => {
+  const tokens = [
+    { name: 'primary-blue', category: 'color', value: '#3B82F6' },
+    { name: 'color.brand.primary', category: 'color', value: '{primary-blue}' },
+    { name: 'button-bg', category: 'color', value: '{color.brand.primary}', modeValues: { dark: '#1E3A8A' } },
+    { name: 'focus-ring', category: 'border', value: '2px solid var(--color-brand-primary)' },
+    { name: 'card-shadow', category: 'shadow', value: '0 1px 2px var(--not-a-token)' }
+  ];
+
+  test('should detect {name} references and var(--name) usages', () => {
+    const graph = buildDependencyGraph(tokens, ['dark']);
+
+    expect(graph.nodes).toHaveLength(5);
+    expect(graph.edges).toEqual([
+      { from: 'color.brand.primary', to: 'primary-blue', kind: 'reference', modes: [null, 'dark'] },
+      { from: 'button-bg', to: 'color.brand.primary', kind: 'reference', modes: [null] },
+      { from: 'focus-ring', to: 'color.brand.primary', kind: 'var', modes: [null, 'dark'] }
+    ]);
+  });
+
+  test('should find direct and transitive dependents', () => {
+    const graph = buildDependencyGraph(tokens);
+
+    const { direct, transitive } = findDependents('primary-blue', graph);
+    expect(direct).toEqual([{ name: 'color.brand.primary', kind: 'reference', modes: [null] }]);
+    expect(transitive).toEqual(['color.brand.primary', 'button-bg', 'focus-ring']);
+    expect(findDependents('button-bg', graph).transitive).toEqual([]);
+  });
+
+  test('should render DOT and Mermaid', () => {
+    const graph = filterGraph(buildDependencyGraph(tokens), ['primary-blue', 'color.brand.primary', 'focus-ring']);
+
+    const dot = toDot(graph);
+    expect(dot).toContain('digraph tokens {');
+    expect(dot).toContain('"color.brand.primary" -> "primary-blue";');
+    expect(dot).toContain('"focus-ring" -> "color.brand.primary" [style=dashed];');
+
+    const mermaid = toMermaid(graph);
+    expect(mermaid).toContain('graph LR');
+    expect(mermaid).toContain('n1["color.brand.primary"]');
+    expect(mermaid).toContain('n1 --> n0');
+    expect(mermaid).toContain('n2 -.-> n1');
+  });
+});
@@ -0,0 +1,99 @@
+const { isDtcgDocument, fromDtcg, toDtcg } = require('../utils/dtcg');
+
+describe('DTCG format', () => {
+  const doc = {
+    color: {
+      $type: 'color',
+      brand: {
+        primary: { $value: '#3B82F6', $description: 'Primary brand color' },
+        secondary: { $value: '#10B981' }
+      },
+      button: {
+        bg: { $value: '{color.brand.primary}' }
+      }
+    },
+    spacing: {
+      md: { $value: '16px', $type: 'dimension' },
+      gap: { $value: '{spacing.md}' }
+    },
+    font: {
+      weight: {
+        bold: { $value: 700, $type: 'fontWeight' }
+      }
+    },
+    motion: {
+      ease: {
+        $value: [0.4, 0, 0.2, 1],
+        $type: 'cubicBezier',
+        $extensions: { 'com.example': { deprecated: false } }
+      }
+    }
+  };
+
+  test('should detect DTCG documents', () => {
+    expect(isDtcgDocument(doc)).toBe(true);
+    expect(isDtcgDocument({ tokens: [] })).toBe(false);
+    expect(isDtcgDocument({ color: { primary: '#fff' } })).toBe(false);
+  });
+
+  test('should flatten groups into names and categories', () => {
+    const tokens = fromDtcg(doc);
+    const primary = tokens.find(token => token.name === 'color.brand.primary');
+
+    expect(tokens).toHaveLength(7);
+    expect(primary).toEqual({
+      name: 'color.brand.primary',
+      category: 'color',
+      value: '#3B82F6',
+      description: 'Primary brand color',
+      type: 'color'
+    });
+  });
+
+  test('should inherit $type from groups and aliases', () => {
+    const tokens = fromDtcg(doc);
+    const byName = Object.fromEntries(tokens.map(token => [token.name, token]));
+
+    expect(byName['color.brand.secondary'].type).toBe('color');
+    expect(byName['color.button.bg'].type).toBe('color');
+    expect(byName['spacing.gap'].type).toBe('dimension');
+  });
+
+  test('should serialize non-string values', () => {
+    const tokens = fromDtcg(doc);
+    const ease = tokens.find(token => token.name === 'motion.ease');
+
+    expect(ease.value).toBe('[0.4,0,0.2,1]');
+    expect(ease.extensions).toEqual({ 'com.example': { deprecated: false } });
+  });
+
+  test('should round-trip import to export without losing tokens', () => {
+    const tokens = fromDtcg(doc);
+    const exported = toDtcg(tokens);
+
+    expect(fromDtcg(exported)).toEqual(tokens);
+    expect(exported.font.weight.bold).toEqual({ $value: 700, $type: 'fontWeight' });
+    expect(exported.motion.ease.$value).toEqual([0.4, 0, 0.2, 1]);
+    expect(exported.color.button.bg).toEqual({ $value: '{color.brand.primary}', $type: 'color' });
+  });
+
+  test('should export exactly what was imported when every token has its own $type', () => {
+    const explicit = {
+      color: {
+        primary: { $value: '#3B82F6', $type: 'color', $description: 'Primary' },
+        link: { $value: '{color.primary}', $type: 'color' }
+      },
+      radius: {
+        md: { $value: '8px', $type: 'dimension' }
+      }
+    };
+
+    expect(toDtcg(fromDtcg(explicit))).toEqual(explicit);
+  });
+
+  test('should derive $type from category for tokens created without one', () => {
+    const exported = toDtcg([{ name: 'primary-blue', category: 'color', value: '#3B82F6' }]);
+
+    expect(exported).toEqual({ 'primary-blue': { $value: '#3B82F6', $type: 'color' } });
+  });
+});
@@ -0,0 +1,137 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const eventRoutes = require('../routes/events');
+const User = require('../models/User');
+const { publishEvent, publishTokenEvent } = require('../utils/events');
+const { signSessionToken } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use('/api/events', eventRoutes);
+
+describe('Event stream', () => {
+  let server;
+  let baseUrl;
+  let user;
+  let authToken;
+
+  beforeAll(async () => {
+    process.env.EVENT_STREAM_CHECK_MS = '50';
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.EVENT_STREAM_CHECK_MS;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    user = await User.create({ username: 'designer', email: 'designer@example.com', password: 'hashedpassword', role: 'designer' });
+    authToken = await signSessionToken({ id: user._id.toString(), username: 'designer', role: 'designer' });
+  });
+
+  const issueTicket = async () => {
+    const response = await request(app)
+      .post('/api/events/ticket')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+    return response.body.ticket;
+  };
+
+  // Open the stream and collect messages until `count` events arrive
+  const readEvents = (path, count, onOpen) => new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}${path}`, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return resolve({ statusCode: res.statusCode });
+      }
+
+      let buffer = '';
+      const events = [];
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(message => {
+          const fields = Object.fromEntries(message.split('\n')
+            .filter(line => line && !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+          if (fields.event) {
+            events.push({ type: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+          }
+        });
+        if (events.length >= count) {
+          req.destroy();
+          resolve({ statusCode: res.statusCode, headers: res.headers, events });
+        }
+      });
+      onOpen();
+    });
+    req.on('error', reject);
+  });
+
+  test('should require authentication', async () => {
+    expect((await readEvents('/api/events', 1, () => {})).statusCode).toBe(401);
+    expect((await readEvents('/api/events?ticket=nope', 1, () => {})).statusCode).toBe(401);
+
+    // Access tokens never go in the URL
+    expect((await readEvents(`/api/events?access_token=${authToken}`, 1, () => {})).statusCode).toBe(401);
+    expect((await readEvents(`/api/events?ticket=${authToken}`, 1, () => {})).statusCode).toBe(401);
+  });
+
+  test('should only accept a stream ticket once, and only for the stream', async () => {
+    const ticket = await issueTicket();
+
+    await request(app)
+      .post('/api/events/ticket')
+      .set('Authorization', `Bearer ${ticket}`)
+      .expect(403);
+
+    const first = await readEvents(`/api/events?ticket=${ticket}`, 1, () => {
+      setImmediate(() => publishEvent('component.deleted', { component: { name: 'Button' } }));
+    });
+    expect(first.statusCode).toBe(200);
+    expect((await readEvents(`/api/events?ticket=${ticket}`, 1, () => {})).statusCode).toBe(401);
+  });
+
+  test('should end the stream once the account is deactivated', async () => {
+    const { events } = await readEvents(`/api/events?ticket=${await issueTicket()}`, 1, () => {
+      setImmediate(() => User.updateOne({ _id: user._id }, { active: false }).exec());
+    });
+
+    expect(events.map(event => event.type)).toEqual(['session.ended']);
+  });
+
+  test('should end the stream after a role change', async () => {
+    const { events } = await readEvents(`/api/events?ticket=${await issueTicket()}`, 1, () => {
+      setImmediate(() => User.updateOne({ _id: user._id }, { role: 'admin' }).exec());
+    });
+
+    expect(events.map(event => event.type)).toEqual(['session.ended']);
+  });
+
+  test('should stream published events with a ticket', async () => {
+    const { headers, events } = await readEvents(`/api/events?ticket=${await issueTicket()}`, 2, () => {
+      setImmediate(() => {
+        publishTokenEvent('update', 'abc123', {
+          before: { name: 'primary-blue', value: '#3B82F6' },
+          after: { name: 'primary-blue', value: '#2563EB' }
+        }, { id: '1', username: 'admin' });
+        publishEvent('component.deleted', { component: { name: 'Button' } });
+      });
+    });
+
+    expect(headers['content-type']).toMatch(/text\/event-stream/);
+    expect(events.map(event => event.type)).toEqual(['token.updated', 'component.deleted']);
+    expect(events[0].id).toBe(events[0].data.id);
+    expect(events[0].data).toMatchObject({
+      actor: { id: '1', username: 'admin' },
+      data: { token: { id: 'abc123', value: '#2563EB' } }
+    });
+    expect(events[0].data.data.changes).toEqual([{ field: 'value', before: '#3B82F6', after: '#2563EB' }]);
+  });
+});
@@ -0,0 +1,220 @@
+const { ExportNameError, renderExport } = require('../utils/exporters');
+const { formatName } = require('../utils/naming');
+
+describe('Token exporters', () => {
+  const tokens = [
+    { name: 'button-bg', category: 'color', value: '{primary-blue}', description: 'Button background', tags: [] },
+    { name: 'primary-blue', category: 'color', value: '#3B82F6', tags: ['brand'] },
+    { name: 'spacing.md', category: 'spacing', value: '16px', tags: [] }
+  ];
+
+  test('should transform names between cases', () => {
+    expect(formatName('color.brand.primary')).toBe('color-brand-primary');
+    expect(formatName('primary-blue', { nameCase: 'camel' })).toBe('primaryBlue');
+    expect(formatName('fontSizeLg', { nameCase: 'constant', prefix: 'ds' })).toBe('DS_FONT_SIZE_LG');
+  });
+
+  test('should keep non-ASCII names instead of dropping them', () => {
+    expect(formatName('brand.ü')).toBe('brand-u');
+    expect(formatName('größe.Ärger', { nameCase: 'camel' })).toBe('grosseArger');
+    expect(formatName('color.色')).toBe('color-u8272');
+    expect(formatName('color.青')).not.toBe(formatName('color.色'));
+  });
+
+  test('should report tokens that would share an output name', async () => {
+    const clashing = [
+      { name: 'brand.ü', category: 'color', value: '#FF0000', tags: [] },
+      { name: 'brand-u', category: 'color', value: '#00FF00', tags: [] }
+    ];
+
+    for (const format of ['css', 'scss', 'less', 'ios', 'android']) {
+      const error = await renderExport(format, clashing).catch(caught => caught);
+      expect(error).toBeInstanceOf(ExportNameError);
+      expect(error.collisions[0]).toEqual({ name: expect.stringMatching(/^brand.?u$/i), tokens: ['brand.ü', 'brand-u'] });
+    }
+
+    // Formats that keep the original names are unaffected
+    await expect(renderExport('json', clashing)).resolves.toHaveProperty('filename', 'tokens.json');
+  });
+
+  test('should render CSS custom properties with var() references', async () => {
+    const file = await renderExport('css', tokens, { prefix: 'ds' });
+
+    expect(file.filename).toBe('tokens.css');
+    expect(file.content).toContain(':root {');
+    expect(file.content).toContain('  --ds-primary-blue: #3B82F6;');
+    expect(file.content).toContain('  --ds-button-bg: var(--ds-primary-blue); /* Button background */');
+    expect(file.content).toContain('  --ds-spacing-md: 16px;');
+  });
+
+  test('should declare SCSS and Less variables before they are referenced', async () => {
+    const scss = await renderExport('scss', tokens);
+    expect(scss.content.indexOf('$primary-blue:')).toBeLessThan(scss.content.indexOf('$button-bg: $primary-blue;'));
+
+    const less = await renderExport('less', tokens);
+    expect(less.content).toContain('@button-bg: @primary-blue; // Button background');
+  });
+
+  test('should render JS and TS modules with resolved values', async () => {
+    const js = await renderExport('js', tokens);
+    expect(js.content).toContain('export const buttonBg = "#3B82F6";');
+    expect(js.content).toContain('export const tokens = { buttonBg, primaryBlue, spacingMd };');
+
+    const ts = await renderExport('ts', tokens);
+    expect(ts.content).toContain('} as const;');
+    expect(ts.content).toContain('export type TokenName = keyof typeof tokens;');
+  });
+
+  test('should keep descriptions inside their comments', async () => {
+    const hostile = [
+      { name: 'primary', category: 'color', value: '#3B82F6', description: '*/ ;require("child_process").execSync("id"); /*', tags: [] },
+      { name: 'accent', category: 'color', value: '#F59E0B', description: 'Line one\n$accent: red;\r\nLine two', tags: [] }
+    ];
+
+    const js = await renderExport('js', hostile);
+    expect(js.content).toContain('/** * / ;require("child_process").execSync("id"); /* */\nexport const primary = "#3B82F6";');
+    expect(js.content).toContain('/** Line one $accent: red; Line two */\nexport const accent = "#F59E0B";');
+
+    const css = await renderExport('css', hostile);
+    expect(css.content).toContain('  --primary: #3B82F6; /* * / ;require("child_process").execSync("id"); /* */');
+
+    for (const format of ['scss', 'less']) {
+      const { content } = await renderExport(format, hostile);
+      expect(content.split('\n')).toHaveLength(4);
+      expect(content).toContain('accent: #F59E0B; // Line one $accent: red; Line two\n');
+    }
+  });
+
+  test('should prefix JS reserved words and the module exports in JS and TS names', async () => {
+    const reserved = [
+      { name: 'default', category: 'color', value: '#000000', tags: [] },
+      { name: 'class', category: 'color', value: '#FFFFFF', tags: [] },
+      { name: 'tokens', category: 'color', value: '#FF0000', tags: [] }
+    ];
+
+    const js = await renderExport('js', reserved);
+    expect(js.content).toContain('export const _default = "#000000";');
+    expect(js.content).toContain('export const _class = "#FFFFFF";');
+    expect(js.content).toContain('export const _tokens = "#FF0000";');
+    expect(js.content).toContain('export const tokens = { _default, _class, _tokens };');
+
+    // The prefixed name can still clash with a token that already has it
+    const error = await renderExport('ts', [reserved[0], { name: '_default', category: 'color', value: '#111111', tags: [] }])
+      .catch(caught => caught);
+    expect(error).toBeInstanceOf(ExportNameError);
+  });
+
+  test('should resolve references to tokens outside the exported set', async () => {
+    const file = await renderExport('css', [tokens[0]], { allTokens: tokens });
+
+    expect(file.content).toContain('--button-bg: #3B82F6;');
+  });
+
+  test('should render JSON in the upload format', async () => {
+    const file = await renderExport('json', tokens);
+    const data = JSON.parse(file.content);
+
+    expect(data.tokens).toHaveLength(3);
+    expect(data.tokens[1]).toEqual({
+      name: 'primary-blue',
+      category: 'color',
+      value: '#3B82F6',
+      description: '',
+      tags: ['brand']
+    });
+  });
+
+  describe('modes', () => {
+    const themed = [
+      { name: 'surface', category: 'color', value: '#FFFFFF', modeValues: { dark: '#111827' } },
+      { name: 'card-bg', category: 'color', value: '{surface}' },
+      { name: 'spacing-md', category: 'spacing', value: '16px' }
+    ];
+
+    test('should render a [data-theme] block per mode in CSS', async () => {
+      const file = await renderExport('css', themed);
+
+      expect(file.content).toContain(':root {\n  --surface: #FFFFFF;');
+      expect(file.content).toContain('[data-theme="dark"] {\n  --surface: #111827;\n}');
+    });
+
+    test('should export a themes object with every value that changes in JS', async () => {
+      const file = await renderExport('js', themed);
+
+      expect(file.content).toContain('export const themes = {\n  "dark": { surface: "#111827", cardBg: "#111827" }\n};');
+    });
+
+    test('should export a single mode with fallback to default values', async () => {
+      const file = await renderExport('scss', themed, { mode: 'dark' });
+
+      expect(file.content).toContain('$surface: #111827;');
+      expect(file.content).toContain('$spacing-md: 16px;');
+    });
+
+    test('should export a Tokens Studio set and theme per mode', async () => {
+      const file = await renderExport('tokens-studio', themed);
+      const data = JSON.parse(file.content);
+
+      expect(file.filename).toBe('tokens.studio.json');
+      expect(data.global.surface).toEqual({ value: '#FFFFFF', type: 'color' });
+      expect(data.dark).toEqual({ surface: { value: '#111827', type: 'color' } });
+      expect(data.$themes).toEqual([
+        { id: 'dark', name: 'dark', selectedTokenSets: { global: 'source', dark: 'enabled' } }
+      ]);
+    });
+  });
+
+  describe('tailwind', () => {
+    const themed = [
+      { name: 'blue-500', category: 'color', value: '#3B82F6' },
+      { name: 'surface', category: 'color', value: '#FFFFFF', modeValues: { dark: '#111827' } },
+      { name: 'card-bg', category: 'color', value: '{surface}' },
+      { name: 'spacing-md', category: 'spacing', value: '16px' }
+    ];
+
+    // Evaluate the generated CommonJS module
+    const load = (content) => {
+      const module = { exports: {} };
+      new Function('module', content)(module);
+      return module.exports;
+    };
+
+    test('should render a theme.extend config with resolved values', async () => {
+      const file = await renderExport('tailwind', themed);
+      const config = load(file.content);
+
+      expect(file.filename).toBe('tokens.tailwind.config.js');
+      expect(config.theme.extend.colors).toEqual({ blue: { 500: '#3B82F6' }, surface: '#FFFFFF', 'card-bg': '#FFFFFF' });
+      expect(config.theme.extend.spacing).toEqual({ md: '16px' });
+      expect(config.plugins).toBeUndefined();
+    });
+
+    test('should declare CSS variables per mode with cssVariables', async () => {
+      const file = await renderExport('tailwind', themed, { cssVariables: true, prefix: 'ds' });
+      const config = load(file.content);
+      let base;
+      config.plugins[0]({ addBase: styles => { base = styles; } });
+
+      expect(config.theme.extend.colors['card-bg']).toBe('var(--ds-card-bg)');
+      expect(base[':root']['--ds-card-bg']).toBe('var(--ds-surface)');
+      expect(base['[data-theme="dark"]']).toEqual({ '--ds-surface': '#111827' });
+    });
+  });
+
+  test('should deliver native platform exports as zip files', async () => {
+    const ios = await renderExport('ios', tokens);
+    const android = await renderExport('android', tokens);
+
+    expect(ios.filename).toBe('tokens.ios.zip');
+    expect(ios.contentType).toBe('application/zip');
+    expect(ios.content.readUInt32LE(0)).toBe(0x04034B50);
+    expect(android.filename).toBe('tokens.android.zip');
+    expect(android.content.toString('latin1')).toContain('res/values/colors.xml');
+  });
+
+  test('should reject unknown formats', async () => {
+    await expect(renderExport('xml', tokens)).rejects.toThrow("Unsupported export format 'xml'");
+    await expect(renderExport('constructor', tokens)).rejects.toThrow("Unsupported export format 'constructor'");
+    await expect(renderExport('css', tokens, { nameCase: 'toString' })).rejects.toThrow("Unsupported name case 'toString'");
+  });
+});
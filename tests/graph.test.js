@@ -0,0 +1,81 @@
+const request = require('supertest');
+const express = require('express');
+const graphRoutes = require('../routes/graph');
+const DesignToken = require('../models/DesignToken');
+const User = require('../models/User');
+const { signSessionToken } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/graph', graphRoutes);
+
+describe('Graph Routes', () => {
+  let authToken;
+
+  beforeEach(async () => {
+    const user = new User({
+      username: 'designer',
+      email: 'designer@example.com',
+      password: 'hashedpassword',
+      role: 'designer'
+    });
+    await user.save();
+
+    authToken = await signSessionToken({ id: user._id, username: user.username, role: user.role });
+
+    await DesignToken.insertMany([
+      { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: user._id },
+      { name: 'button-bg', category: 'color', value: '{primary-blue}', createdBy: user._id },
+      { name: 'button-border', category: 'border', value: '1px solid var(--button-bg)', createdBy: user._id }
+    ]);
+  });
+
+  test('should return the dependency graph as JSON', async () => {
+    const response = await request(app)
+      .get('/api/graph')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.nodes).toHaveLength(3);
+    expect(response.body.edges).toEqual([
+      { from: 'button-bg', to: 'primary-blue', kind: 'reference', modes: [null] },
+      { from: 'button-border', to: 'button-bg', kind: 'var', modes: [null] }
+    ]);
+  });
+
+  test('should export DOT and Mermaid filtered by category', async () => {
+    let response = await request(app)
+      .get('/api/graph?format=dot&category=color')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toContain('tokens.dot');
+    expect(response.text).toContain('"button-bg" -> "primary-blue";');
+    expect(response.text).not.toContain('button-border');
+
+    response = await request(app)
+      .get('/api/graph?format=mermaid')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.text).toContain('graph LR');
+  });
+
+  test('should reject unknown formats', async () => {
+    await request(app)
+      .get('/api/graph?format=svg')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/graph?format=constructor')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/graph?category=color&category=spacing')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(400);
+  });
+});
@@ -0,0 +1,37 @@
+// Shared by the route tests (not a test file itself)
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Id for a user that only needs to exist in a token, e.g. a designer
+const newUserId = () => new mongoose.Types.ObjectId().toString();
+
+// Access token backed by a live session, like the ones login issues. The auth
+// middleware rejects tokens without one.
+const signSessionToken = async (payload, options = { expiresIn: '24h' }) => {
+  const session = await Session.create({
+    user: payload.id,
+    refreshTokenHash: 'not-used-in-tests',
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+  return jwt.sign({ ...payload, sid: session._id.toString() }, JWT_SECRET, options);
+};
+
+// Resolves once `condition()` holds, for work a route finishes after responding
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+module.exports = {
+  newUserId,
+  signSessionToken,
+  waitFor
+};
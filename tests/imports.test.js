@@ -0,0 +1,234 @@
+const { Readable } = require('stream');
+const request = require('supertest');
+const express = require('express');
+const importRoutes = require('../routes/imports');
+const DesignToken = require('../models/DesignToken');
+const TokenRevision = require('../models/TokenRevision');
+const ImportJob = require('../models/ImportJob');
+const User = require('../models/User');
+const { readNdjson } = require('../utils/importJobs');
+const { signSessionToken, newUserId } = require('./helpers');
+
+// Create test app (imports parse their own bodies, as in server.js)
+const app = express();
+app.use('/api/imports', importRoutes);
+
+const waitForJob = async (jobId, token, timeout = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeout) {
+    const response = await request(app)
+      .get(`/api/imports/${jobId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    if (['completed', 'failed'].includes(response.body.status)) {
+      return response.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting for import job');
+};
+
+describe('Import Routes', () => {
+  let adminUser;
+  let adminToken;
+  let designerToken;
+
+  beforeEach(async () => {
+    process.env.IMPORT_BATCH_SIZE = '2';
+
+    adminUser = await new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedpassword',
+      role: 'admin'
+    }).save();
+
+    adminToken = await signSessionToken({ id: adminUser._id.toString(), username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
+  });
+
+  afterEach(() => {
+    delete process.env.IMPORT_BATCH_SIZE;
+    delete process.env.IMPORT_JSON_LIMIT;
+  });
+
+  const ndjson = (rows) => rows.map(row => (typeof row === 'string' ? row : JSON.stringify(row))).join('\n');
+
+  test('should require an admin', async () => {
+    await request(app)
+      .post('/api/imports')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(ndjson([{ name: 'a', category: 'color', value: '#fff' }]))
+      .expect(403);
+  });
+
+  test('should import an NDJSON stream in batches and report every row', async () => {
+    await DesignToken.create({ name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id });
+
+    const response = await request(app)
+      .post('/api/imports?mode=upsert')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(ndjson([
+        { name: 'primary-blue', category: 'color', value: '#2563EB' },
+        { name: 'button-bg', category: 'color', value: '{primary-blue}' },
+        { name: 'spacing-md', category: 'spacing', value: '16px' },
+        '{ not json',
+        { name: 'motion-slow', category: 'duration', value: 'slow' }
+      ]))
+      .expect(202);
+
+    expect(response.body).toMatchObject({ status: 'queued', mode: 'upsert', rowCount: 5 });
+    expect(response.headers.location).toBe(`/api/imports/${response.body.jobId}`);
+
+    const job = await waitForJob(response.body.jobId, adminToken);
+
+    expect(job.status).toBe('completed');
+    expect(job.progress).toEqual({ total: 3, processed: 3 });
+    expect(job.results.success.map(row => row.index)).toEqual([1, 2]);
+    expect(job.results.updated).toEqual([expect.objectContaining({
+      index: 0,
+      changes: [{ field: 'value', before: '#3B82F6', after: '#2563EB' }]
+    })]);
+    expect(job.results.errors.map(row => row.index).sort()).toEqual([3, 4]);
+    expect(job.results.errors.find(row => row.index === 3).error).toMatch(/^Invalid JSON/);
+
+    const updated = await DesignToken.findOne({ name: 'primary-blue' });
+    expect(updated.value).toBe('#2563EB');
+    expect(updated.__v).toBe(1);
+    expect((await DesignToken.findOne({ name: 'spacing-md' })).parsedValue).toEqual({ value: 16, unit: 'px' });
+    expect(await TokenRevision.countDocuments({ token: updated._id })).toBe(1);
+    expect(await TokenRevision.countDocuments({ action: 'create' })).toBe(2);
+  });
+
+  test('should report updates and deletes of tokens edited while the job runs as conflicts', async () => {
+    const [edited, removed] = await DesignToken.create([
+      { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id },
+      { name: 'old-token', category: 'color', value: '#000000', createdBy: adminUser._id }
+    ]);
+
+    // Someone saves both tokens after the job planned its writes
+    const bulkWrite = DesignToken.bulkWrite.bind(DesignToken);
+    const spy = jest.spyOn(DesignToken, 'bulkWrite').mockImplementation(async (ops, options) => {
+      if (!ops[0].insertOne) {
+        await DesignToken.collection.updateMany({ _id: { $in: [edited._id, removed._id] } }, { $set: { description: 'Edited' }, $inc: { __v: 1 } });
+      }
+      return bulkWrite(ops, options);
+    });
+
+    try {
+      const response = await request(app)
+        .post('/api/imports?mode=replace')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(ndjson([
+          { name: 'primary-blue', category: 'color', value: '#2563EB' },
+          { name: 'spacing-md', category: 'spacing', value: '16px' }
+        ]))
+        .expect(202);
+
+      const job = await waitForJob(response.body.jobId, adminToken);
+
+      expect(job.status).toBe('completed');
+      expect(job.results.success.map(row => row.index)).toEqual([1]);
+      expect(job.results.updated).toEqual([]);
+      expect(job.results.deleted).toEqual([]);
+      expect(job.results.errors.map(row => row.error).sort()).toEqual([
+        "Token 'old-token' was changed or deleted by someone else during the import",
+        "Token 'primary-blue' was changed or deleted by someone else during the import"
+      ]);
+    } finally {
+      spy.mockRestore();
+    }
+
+    const kept = await DesignToken.findById(edited._id);
+    expect(kept.value).toBe('#3B82F6');
+    expect(kept.description).toBe('Edited');
+    expect(await DesignToken.exists({ _id: removed._id })).toBeTruthy();
+    expect(await TokenRevision.countDocuments({ token: { $in: [edited._id, removed._id] } })).toBe(0);
+  });
+
+  test('should answer 413 for NDJSON bodies over IMPORT_JSON_LIMIT', async () => {
+    process.env.IMPORT_JSON_LIMIT = '1kb';
+    const rows = Array.from({ length: 50 }, (value, i) => ({ name: `spacing-${i}`, category: 'spacing', value: `${i}px` }));
+
+    const response = await request(app)
+      .post('/api/imports')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(ndjson(rows))
+      .expect(413);
+
+    expect(response.body.error).toBe('Import is larger than the 1kb limit');
+    expect(await ImportJob.countDocuments()).toBe(0);
+  });
+
+  test('should accept a JSON body larger than the default limit', async () => {
+    const tokens = Array.from({ length: 1500 }, (value, i) => ({
+      name: `spacing-${i}`,
+      category: 'spacing',
+      value: `${i}px`,
+      description: 'Generated spacing step for the import test'
+    }));
+    process.env.IMPORT_BATCH_SIZE = '500';
+
+    const response = await request(app)
+      .post('/api/imports')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ tokens })
+      .expect(202);
+
+    const job = await waitForJob(response.body.jobId, adminToken, 20000);
+    expect(job.results.success).toHaveLength(1500);
+    expect(await DesignToken.countDocuments()).toBe(1500);
+  }, 30000);
+
+  test('should reject bad input', async () => {
+    let response = await request(app)
+      .post('/api/imports?mode=merge')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ tokens: [] })
+      .expect(400);
+    expect(response.body.error).toContain("Invalid upload mode 'merge'");
+
+    response = await request(app)
+      .post('/api/imports')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ tokens: [] })
+      .expect(400);
+    expect(response.body.error).toBe('No tokens found in the file');
+
+    response = await request(app)
+      .post('/api/imports')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .attach('file', Buffer.from('{"name":"primary-blue"}\n'), 'tokens.ndjson')
+      .expect(415);
+    expect(response.body.error).toMatch(/^Unsupported content type 'multipart\/form-data/);
+
+    await request(app)
+      .post('/api/imports')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('Content-Type', 'text/csv')
+      .send('name,value\n')
+      .expect(415);
+
+    await request(app)
+      .get('/api/imports/123')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+  });
+});
+
+describe('NDJSON reader', () => {
+  test('should read one row per line and report bad lines', async () => {
+    const { rows, errors } = await readNdjson(Readable.from([
+      '{"name":"a","category":"color",',
+      '"value":"#fff"}\n\n[1, 2]\r\n{"name":"b"}\n'
+    ]));
+
+    expect(rows).toEqual([{ name: 'a', category: 'color', value: '#fff' }, null, { name: 'b' }]);
+    expect(errors).toEqual([{ index: 1, data: '[1, 2]', error: 'Expected a JSON object' }]);
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const express = require('express');
+const invitationRoutes = require('../routes/invitations');
+const authRoutes = require('../routes/auth');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { sentMail } = require('../utils/mailer');
+const { signSessionToken } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/auth', authRoutes);
+
+describe('Invitation Routes', () => {
+  let adminToken;
+  let designerToken;
+
+  // The token from the link in the last email sent
+  const lastInviteToken = () => sentMail[sentMail.length - 1].text.match(/\?invite=([\w-]+)/)[1];
+
+  const invite = (body) => request(app)
+    .post('/api/invitations')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  beforeEach(async () => {
+    sentMail.length = 0;
+
+    const admin = await User.create({ username: 'admin', email: 'admin@example.com', password: 'hashedpassword', role: 'admin' });
+    const designer = await User.create({ username: 'designer', email: 'designer@example.com', password: 'hashedpassword', role: 'designer' });
+    adminToken = await signSessionToken({ id: admin._id, username: 'admin', role: 'admin' });
+    designerToken = await signSessionToken({ id: designer._id, username: 'designer', role: 'designer' });
+  });
+
+  test('should email an invitation link and store only a hash of its token', async () => {
+    const response = await invite({ email: 'Ana@Example.com', role: 'developer' }).expect(201);
+
+    expect(response.body.emailSent).toBe(true);
+    expect(response.body.invitation).toMatchObject({ email: 'ana@example.com', role: 'developer', status: 'pending', sentCount: 1 });
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe('ana@example.com');
+    expect(sentMail[0].text).toContain('https://tokens.example.com/?invite=');
+
+    const stored = await Invitation.findById(response.body.invitation.id);
+    expect(stored.tokenHash).not.toBe(lastInviteToken());
+  });
+
+  test('should let the invitee accept once with the invited role', async () => {
+    await invite({ email: 'ana@example.com', role: 'developer' }).expect(201);
+    const token = lastInviteToken();
+
+    const lookup = await request(app).get(`/api/auth/invitations/${token}`).expect(200);
+    expect(lookup.body.invitation).toMatchObject({ email: 'ana@example.com', role: 'developer' });
+
+    const accepted = await request(app)
+      .post('/api/auth/accept-invite')
+      .send({ token, username: 'ana', password: 'password123', role: 'admin' })
+      .expect(201);
+
+    expect(accepted.body.token).toBeTruthy();
+    expect(accepted.body.user).toMatchObject({ username: 'ana', email: 'ana@example.com', role: 'developer' });
+    expect((await Invitation.findOne({ email: 'ana@example.com' })).acceptedBy.toString()).toBe(accepted.body.user.id);
+
+    await request(app)
+      .post('/api/auth/accept-invite')
+      .send({ token, username: 'ana2', password: 'password123' })
+      .expect(404);
+  });
+
+  test('should accept invitations when self-registration is off', async () => {
+    process.env.REGISTRATION_MODE = 'invite';
+    try {
+      await invite({ email: 'ana@example.com' }).expect(201);
+
+      const accepted = await request(app)
+        .post('/api/auth/accept-invite')
+        .send({ token: lastInviteToken(), username: 'ana', password: 'password123' })
+        .expect(201);
+      expect(accepted.body.user.role).toBe('designer');
+    } finally {
+      delete process.env.REGISTRATION_MODE;
+    }
+  });
+
+  test('should reject expired links', async () => {
+    await invite({ email: 'ana@example.com' }).expect(201);
+    await Invitation.updateOne({ email: 'ana@example.com' }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await request(app).get(`/api/auth/invitations/${lastInviteToken()}`).expect(404);
+    expect(response.body.error).toBe('Invitation is invalid or has expired');
+  });
+
+  test('should replace the link and renew the expiry on resend', async () => {
+    const created = (await invite({ email: 'ana@example.com' }).expect(201)).body.invitation;
+    const firstToken = lastInviteToken();
+    await Invitation.updateOne({ _id: created.id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await request(app)
+      .post(`/api/invitations/${created.id}/resend`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.invitation).toMatchObject({ status: 'pending', sentCount: 2 });
+    expect(lastInviteToken()).not.toBe(firstToken);
+    await request(app).get(`/api/auth/invitations/${firstToken}`).expect(404);
+    await request(app).get(`/api/auth/invitations/${lastInviteToken()}`).expect(200);
+  });
+
+  test('should revoke invitations', async () => {
+    const created = (await invite({ email: 'ana@example.com' }).expect(201)).body.invitation;
+
+    await request(app)
+      .delete(`/api/invitations/${created.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app).get(`/api/auth/invitations/${lastInviteToken()}`).expect(404);
+    const list = await request(app).get('/api/invitations?status=revoked').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(list.body.invitations.map(invitation => invitation.email)).toEqual(['ana@example.com']);
+  });
+
+  test('should reject existing users, duplicate invitations and bad input', async () => {
+    expect((await invite({ email: 'DESIGNER@example.com' }).expect(400)).body.error).toBe('A user with this email already exists');
+    expect((await invite({ email: 'not-an-email' }).expect(400)).body.error).toBe('A valid email is required');
+    expect((await invite({ email: 'ana@example.com', role: 'owner' }).expect(400)).body.error)
+      .toBe('Role must be one of: admin, designer, developer');
+
+    await invite({ email: 'ana@example.com' }).expect(201);
+    await invite({ email: 'ana@example.com' }).expect(400);
+  });
+
+  test('should keep the invitation when the email cannot be sent', async () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+    try {
+      const response = await invite({ email: 'ana@example.com' }).expect(201);
+      expect(response.body.emailSent).toBe(false);
+      expect(response.body.emailError).toContain('Unknown MAIL_TRANSPORT');
+
+      await request(app)
+        .post(`/api/invitations/${response.body.invitation.id}/resend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(502);
+    } finally {
+      process.env.MAIL_TRANSPORT = 'memory';
+    }
+  });
+
+  test('should not send invitation links without APP_URL', async () => {
+    delete process.env.APP_URL;
+    try {
+      const response = await invite({ email: 'ana@example.com' }).expect(201);
+      expect(response.body.emailSent).toBe(false);
+      expect(response.body.emailError).toBe('APP_URL must be set to send links by email');
+      expect(sentMail).toHaveLength(0);
+    } finally {
+      process.env.APP_URL = 'https://tokens.example.com';
+    }
+  });
+
+  test('should be admin-only', async () => {
+    await request(app)
+      .post('/api/invitations')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .send({ email: 'ana@example.com' })
+      .expect(403);
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { MailError, sentMail, appUrl, buildMessage, sendSmtp, sendMail } = require('../utils/mailer');
+
+const message = { from: 'App <app@example.com>', to: 'ana@example.com', subject: 'Hi', text: 'Hello' };
+
+// Plain-text SMTP server, without STARTTLS, that answers each command from
+// `replies` (default 250)
+const startSmtpServer = (replies = {}) => new Promise(resolve => {
+  const received = { commands: [], data: '' };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            received.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        received.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (replies[verb]) {
+          socket.write(`${replies[verb]}\r\n`);
+        } else if (verb === 'EHLO') {
+          socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+        } else if (verb === 'STARTTLS') {
+          socket.write('502 not supported\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 accepted\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+});
+
+describe('Mailer', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    ['MAIL_TRANSPORT', 'APP_URL', 'NODE_ENV'].forEach(name => {
+      if (env[name] === undefined) delete process.env[name];
+      else process.env[name] = env[name];
+    });
+    delete process.env.MAIL_DIR;
+    sentMail.length = 0;
+  });
+
+  test('should build a message with an encoded subject', async () => {
+    const message = await buildMessage({ from: 'App <app@example.com>', to: 'ana@example.com', subject: 'Bienvenue à bord', text: 'Hello' });
+
+    expect(message).toContain('From: App <app@example.com>\r\n');
+    expect(message).toContain('To: ana@example.com\r\n');
+    expect(message).toMatch(/Subject: =\?UTF-8\?/);
+    expect(message).toMatch(/Message-ID: <[^>]+@example\.com>/);
+  });
+
+  test('should refuse a server without STARTTLS before sending credentials', async () => {
+    const { server, received, port } = await startSmtpServer();
+    try {
+      const sending = sendSmtp({ host: '127.0.0.1', port, user: 'mailer', pass: 'secret', allowInsecure: true }, message);
+
+      await expect(sending).rejects.toThrow(MailError);
+      expect(received.commands.some(line => /^AUTH/i.test(line))).toBe(false);
+      expect(received.commands.some(line => /^MAIL FROM/i.test(line))).toBe(false);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('should refuse plaintext delivery unless it is allowed', async () => {
+    const { server, received, port } = await startSmtpServer();
+    try {
+      await expect(sendSmtp({ host: '127.0.0.1', port }, message)).rejects.toThrow(MailError);
+      expect(received.commands.some(line => /^MAIL FROM/i.test(line))).toBe(false);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('should deliver in plaintext without credentials when allowed', async () => {
+    const { server, received, port } = await startSmtpServer();
+    try {
+      await sendSmtp({ host: '127.0.0.1', port, allowInsecure: true }, message);
+
+      expect(received.commands).toEqual(expect.arrayContaining([
+        'MAIL FROM:<app@example.com>',
+        'RCPT TO:<ana@example.com>',
+        'DATA'
+      ]));
+      expect(received.commands.some(line => /^AUTH/i.test(line))).toBe(false);
+      expect(received.data).toContain('To: ana@example.com');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('should fail when the server cannot be reached', async () => {
+    const { server, port } = await startSmtpServer();
+    await new Promise(resolve => server.close(resolve));
+
+    await expect(sendSmtp({ host: '127.0.0.1', port, allowInsecure: true }, message))
+      .rejects.toThrow(/^SMTP delivery failed/);
+  });
+
+  test('should reject recipients and subjects that could inject headers', async () => {
+    process.env.MAIL_TRANSPORT = 'memory';
+
+    await expect(sendMail({ to: 'ana@example.com\r\nBcc: eve@example.com', subject: 'Hi', text: 'Hello' })).rejects.toThrow(MailError);
+    await expect(sendMail({ to: 'ana@example.com,eve@example.com', subject: 'Hi', text: 'Hello' })).rejects.toThrow(MailError);
+    await expect(sendMail({ to: 'Eve <eve@example.com>', subject: 'Hi', text: 'Hello' })).rejects.toThrow(MailError);
+    await expect(sendMail({ to: 'ana@example.com', subject: 'Hi\r\nBcc: eve@example.com', text: 'Hello' })).rejects.toThrow(MailError);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  test('should keep messages in memory or write them to files', async () => {
+    process.env.MAIL_TRANSPORT = 'memory';
+    await sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' });
+    expect(sentMail).toEqual([expect.objectContaining({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' })]);
+
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    await sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' });
+    const files = fs.readdirSync(process.env.MAIL_DIR);
+    expect(files).toHaveLength(1);
+    expect(fs.readFileSync(path.join(process.env.MAIL_DIR, files[0]), 'utf8')).toContain('To: ana@example.com');
+    fs.rmSync(process.env.MAIL_DIR, { recursive: true });
+  });
+
+  test('should reject unknown transports', async () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    await expect(sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' })).rejects.toThrow(MailError);
+  });
+
+  test('should only default to the console transport in development and test', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      process.env.NODE_ENV = 'development';
+      await sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' });
+      expect(log).toHaveBeenCalledWith('Mail to ana@example.com: Hi\nHello');
+
+      process.env.NODE_ENV = 'production';
+      await expect(sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' }))
+        .rejects.toThrow('MAIL_TRANSPORT must be set outside development and test');
+      delete process.env.NODE_ENV;
+      await expect(sendMail({ to: 'ana@example.com', subject: 'Hi', text: 'Hello' })).rejects.toThrow(MailError);
+      expect(log).toHaveBeenCalledTimes(1);
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test('should build links from APP_URL only', () => {
+    process.env.APP_URL = 'https://tokens.example.com/';
+    expect(appUrl('/?invite=abc')).toBe('https://tokens.example.com/?invite=abc');
+
+    delete process.env.APP_URL;
+    expect(() => appUrl('/?reset=abc')).toThrow(MailError);
+    expect(() => appUrl('/?reset=abc')).toThrow('APP_URL must be set to send links by email');
+  });
+});
@@ -1,7 +1,9 @@
 const request = require('supertest');
 const express = require('express');
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
 const { authenticateToken, requireRole } = require('../middleware/auth');
+const { signSessionToken, newUserId } = require('./helpers');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
@@ -11,28 +13,16 @@ describe('Auth Middleware', () => {
   let adminToken;
   let designerToken;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     app = express();
     app.use(express.json());
 
     // tokens
-    testToken = jwt.sign(
-      { id: '123', username: 'testuser', role: 'user' },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    adminToken = jwt.sign(
-      { id: '456', username: 'admin', role: 'admin' },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    designerToken = jwt.sign(
-      { id: '789', username: 'designer', role: 'designer' },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    testToken = await signSessionToken({ id: newUserId(), username: 'testuser', role: 'user' });
+
+    adminToken = await signSessionToken({ id: newUserId(), username: 'admin', role: 'admin' });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
   });
 
   describe('authenticateToken', () => {
@@ -74,6 +64,34 @@ describe('Auth Middleware', () => {
 
       expect(response.body).toHaveProperty('error', 'Access token required');
     });
+
+    test('should reject tokens that do not belong to a session', async () => {
+      app.get('/test', authenticateToken, (req, res) => {
+        res.json({ user: req.user });
+      });
+
+      const sessionless = jwt.sign({ id: newUserId(), username: 'testuser', role: 'user' }, JWT_SECRET, { expiresIn: '24h' });
+      const response = await request(app)
+        .get('/test')
+        .set('Authorization', `Bearer ${sessionless}`)
+        .expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Session required; please log in again');
+    });
+
+    test('should reject tokens whose session was revoked', async () => {
+      app.get('/test', authenticateToken, (req, res) => {
+        res.json({ user: req.user });
+      });
+
+      await Session.updateOne({ _id: jwt.decode(testToken).sid }, { revokedAt: new Date() });
+      const response = await request(app)
+        .get('/test')
+        .set('Authorization', `Bearer ${testToken}`)
+        .expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Session has been revoked');
+    });
   });
 
   describe('requireRole', () => {
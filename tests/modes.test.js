@@ -0,0 +1,131 @@
+const request = require('supertest');
+const express = require('express');
+const modeRoutes = require('../routes/modes');
+const Mode = require('../models/Mode');
+const DesignToken = require('../models/DesignToken');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const { signSessionToken, newUserId } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/modes', modeRoutes);
+
+describe('Mode Routes', () => {
+  let adminUser;
+  let adminToken;
+  let designerToken;
+
+  beforeEach(async () => {
+    adminUser = new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedpassword',
+      role: 'admin'
+    });
+    await adminUser.save();
+
+    adminToken = await signSessionToken({ id: adminUser._id, username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
+  });
+
+  test('should create and list modes as admin', async () => {
+    await request(app)
+      .post('/api/modes')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'dark', description: 'Dark theme' })
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/modes')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .expect(200);
+
+    expect(response.body.modes).toHaveLength(1);
+    expect(response.body.modes[0]).toHaveProperty('name', 'dark');
+  });
+
+  test('should not create modes without admin role', async () => {
+    const response = await request(app)
+      .post('/api/modes')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .send({ name: 'dark' })
+      .expect(403);
+
+    expect(response.body).toHaveProperty('error', 'Insufficient permissions');
+  });
+
+  test('should reject invalid and duplicate mode names', async () => {
+    await Mode.create({ name: 'dark' });
+
+    await request(app)
+      .post('/api/modes')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'high.contrast' })
+      .expect(400);
+
+    const response = await request(app)
+      .post('/api/modes')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'dark' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('error', "Mode 'dark' already exists");
+  });
+
+  test('should rename and delete mode values on tokens', async () => {
+    const mode = await Mode.create({ name: 'dark' });
+    await DesignToken.create({
+      name: 'surface',
+      category: 'color',
+      value: '#FFFFFF',
+      modeValues: { dark: '#111827' },
+      createdBy: adminUser._id
+    });
+
+    await request(app)
+      .put(`/api/modes/${mode._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'night' })
+      .expect(200);
+
+    let token = await DesignToken.findOne({ name: 'surface' });
+    expect(token.modeValues.get('night')).toBe('#111827');
+    expect(token.modeValues.get('dark')).toBeUndefined();
+
+    await request(app)
+      .delete(`/api/modes/${mode._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    token = await DesignToken.findOne({ name: 'surface' });
+    expect(token.modeValues.get('night')).toBeUndefined();
+  });
+
+  test('should audit mode changes', async () => {
+    const created = await request(app)
+      .post('/api/modes')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'dark' })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/modes/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'night' })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/modes/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const events = await AuditEvent.find({ targetType: 'mode' }).sort({ createdAt: 1, _id: 1 });
+    expect(events.map(event => event.action)).toEqual(['mode.create', 'mode.update', 'mode.delete']);
+    expect(events[1].before).toHaveProperty('name', 'dark');
+    expect(events[1].after).toHaveProperty('name', 'night');
+    expect(events[2].actorUsername).toBe('admin');
+  });
+});
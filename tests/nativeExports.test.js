@@ -0,0 +1,119 @@
+const zlib = require('zlib');
+const { buildIosFiles, buildAndroidFiles } = require('../utils/nativeExports');
+const { createZip, crc32 } = require('../utils/zip');
+
+describe('Native platform exports', () => {
+  const entries = [
+    { name: 'surface', category: 'color', value: '#FFFFFF', darkValue: '#111827', description: 'Page background' },
+    { name: 'primary-blue', category: 'color', value: 'rgb(59 130 246 / 50%)', darkValue: 'rgb(59 130 246 / 50%)' },
+    { name: 'spacing.md', category: 'spacing', value: '1.5rem', darkValue: null },
+    { name: 'font.size.body', category: 'typography', value: '14px', darkValue: null },
+    { name: 'font.family', category: 'typography', value: 'Inter', darkValue: null },
+    { name: 'width.full', category: 'size', value: '100%', darkValue: null }
+  ];
+  const options = { header: 'Generated', remBase: 16 };
+  const file = (files, path) => files.find(item => item.path === path).content;
+
+  test('should render Swift colors with a dark variant and CGFloat constants', () => {
+    const swift = file(buildIosFiles(entries, options), 'DesignTokens.swift');
+
+    expect(swift).toContain('    /// Page background\n    static let surface = UIColor { $0.userInterfaceStyle == .dark ? ' +
+      'UIColor(red: 0.067, green: 0.094, blue: 0.153, alpha: 1.000) : UIColor(red: 1.000, green: 1.000, blue: 1.000, alpha: 1.000) }');
+    expect(swift).toContain('static let primaryBlue = UIColor(red: 0.231, green: 0.510, blue: 0.965, alpha: 0.500)');
+    expect(swift).toContain('static let primaryBlue = Color(uiColor: .primaryBlue)');
+    expect(swift).toContain('public static let spacingMd: CGFloat = 24');
+    expect(swift).toContain('public static let fontSizeBody: CGFloat = 14');
+    expect(swift).not.toContain('fontFamily');
+    expect(swift).not.toContain('widthFull');
+  });
+
+  test('should keep Swift doc comments to comment lines and escape keywords', () => {
+    const swift = file(buildIosFiles([
+      { name: 'default', category: 'color', value: '#000000', description: 'Line one\nstatic let injected = 1\r\n\nend' },
+      { name: 'case', category: 'spacing', value: '4px', darkValue: null }
+    ], options), 'DesignTokens.swift');
+
+    expect(swift).toContain('    /// Line one\n    /// static let injected = 1\n    ///\n    /// end\n    static let `default` = UIColor(');
+    expect(swift).not.toMatch(/^\s*static let injected/m);
+    expect(swift).toContain('static let `default` = Color(uiColor: .`default`)');
+    expect(swift).toContain('public static let `case`: CGFloat = 4');
+  });
+
+  test('should write a colorset per color with a dark appearance', () => {
+    const files = buildIosFiles(entries, options);
+    const surface = JSON.parse(file(files, 'DesignTokens.xcassets/surface.colorset/Contents.json'));
+    const blue = JSON.parse(file(files, 'DesignTokens.xcassets/primaryBlue.colorset/Contents.json'));
+
+    expect(files.map(item => item.path)).toContain('DesignTokens.xcassets/Contents.json');
+    expect(surface.colors).toHaveLength(2);
+    expect(surface.colors[1]).toEqual({
+      idiom: 'universal',
+      appearances: [{ appearance: 'luminosity', value: 'dark' }],
+      color: { 'color-space': 'srgb', components: { red: '0.067', green: '0.094', blue: '0.153', alpha: '1.000' } }
+    });
+    expect(blue.colors).toHaveLength(1);
+  });
+
+  test('should render Android resources with night overrides and dp/sp units', () => {
+    const files = buildAndroidFiles(entries, { ...options, remBase: 10 });
+
+    expect(file(files, 'res/values/colors.xml')).toContain('<color name="surface">#FFFFFFFF</color> <!-- Page background -->');
+    expect(file(files, 'res/values/colors.xml')).toContain('<color name="primary_blue">#803B82F6</color>');
+    expect(file(files, 'res/values-night/colors.xml')).toContain('<color name="surface">#FF111827</color>');
+    expect(file(files, 'res/values-night/colors.xml')).not.toContain('primary_blue');
+    expect(file(files, 'res/values/dimens.xml')).toContain('<dimen name="spacing_md">15dp</dimen>');
+    expect(file(files, 'res/values/dimens.xml')).toContain('<dimen name="font_size_body">14sp</dimen>');
+  });
+
+  test('should render Compose objects for light and dark colors and dimensions', () => {
+    const kotlin = file(buildAndroidFiles(entries, options), 'compose/DesignTokens.kt');
+
+    expect(kotlin).toContain('object TokenColors {\n    /** Page background */\n    val surface = Color(0xFFFFFFFF)');
+    expect(kotlin).toContain('object DarkTokenColors {\n    /** Page background */\n    val surface = Color(0xFF111827)');
+    expect(kotlin).toContain('val spacingMd = 24.dp');
+    expect(kotlin).toContain('val fontSizeBody = 14.sp');
+  });
+
+  test('should escape Kotlin keywords in Compose names', () => {
+    const files = buildAndroidFiles([
+      { name: 'object', category: 'color', value: '#000000', darkValue: null },
+      { name: 'when', category: 'spacing', value: '4px', darkValue: null }
+    ], options);
+
+    expect(file(files, 'compose/DesignTokens.kt')).toContain('val `object` = Color(0xFF000000)');
+    expect(file(files, 'compose/DesignTokens.kt')).toContain('val `when` = 4.dp');
+    expect(file(files, 'res/values/colors.xml')).toContain('<color name="object">#FF000000</color>');
+  });
+
+  test('should leave out the night resources when nothing changes in dark mode', () => {
+    const files = buildAndroidFiles(entries.map(entry => ({ ...entry, darkValue: null })), options);
+
+    expect(files.map(item => item.path)).not.toContain('res/values-night/colors.xml');
+    expect(file(files, 'compose/DesignTokens.kt')).not.toContain('DarkTokenColors');
+  });
+
+  test('should zip files that can be read back', () => {
+    const zip = createZip([
+      { path: 'a/b.txt', content: 'hello' },
+      { path: 'c.json', content: Buffer.from('{}') }
+    ]);
+
+    // Walk the local file headers
+    const read = [];
+    let offset = 0;
+    while (zip.readUInt32LE(offset) === 0x04034B50) {
+      const size = zip.readUInt32LE(offset + 18);
+      const nameLength = zip.readUInt16LE(offset + 26);
+      const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+      const start = offset + 30 + nameLength;
+      const content = zlib.inflateRawSync(zip.subarray(start, start + size));
+      expect(zip.readUInt32LE(offset + 14)).toBe(crc32(content));
+      read.push([name, content.toString()]);
+      offset = start + size;
+    }
+
+    expect(read).toEqual([['a/b.txt', 'hello'], ['c.json', '{}']]);
+    expect(zip.readUInt32LE(zip.length - 22)).toBe(0x06054B50);
+    expect(zip.readUInt16LE(zip.length - 12)).toBe(2);
+  });
+});
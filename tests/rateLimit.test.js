@@ -0,0 +1,35 @@
+const { createRateLimiter } = require('../utils/rateLimit');
+
+describe('Rate limiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should allow hits up to the limit per key', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 60000 });
+
+    expect(limiter.hit('a')).toBe(0);
+    expect(limiter.hit('a')).toBe(0);
+    expect(limiter.hit('a')).toBe(60);
+    expect(limiter.hit('b')).toBe(0);
+  });
+
+  test('should start a new window once the old one ends', () => {
+    jest.useFakeTimers();
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+
+    expect(limiter.hit('a')).toBe(0);
+    jest.advanceTimersByTime(45000);
+    expect(limiter.hit('a')).toBe(15);
+    jest.advanceTimersByTime(15000);
+    expect(limiter.hit('a')).toBe(0);
+  });
+
+  test('should forget every key on reset', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs: 60000 });
+    limiter.hit('a');
+    limiter.reset();
+
+    expect(limiter.hit('a')).toBe(0);
+  });
+});
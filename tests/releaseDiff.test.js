@@ -0,0 +1,43 @@
+const { diffTokenSets } = require('../utils/releaseDiff');
+
+describe('Release diff', () => {
+  const base = [
+    { name: 'primary-blue', category: 'color', value: '#3B82F6', tags: [] },
+    { name: 'spacing-md', category: 'spacing', value: '16px', tags: [] },
+    { name: 'radius-md', category: 'size', value: '8px', tags: [] }
+  ];
+
+  test('should suggest a patch when only values change', () => {
+    const next = base.map(token => (token.name === 'primary-blue' ? { ...token, value: '#2563EB' } : token));
+    const diff = diffTokenSets(base, next);
+
+    expect(diff.changed).toEqual([
+      { name: 'primary-blue', changes: [{ field: 'value', before: '#3B82F6', after: '#2563EB' }] }
+    ]);
+    expect(diff.suggestedBump).toBe('patch');
+  });
+
+  test('should suggest a minor release for additions', () => {
+    const diff = diffTokenSets(base, [...base, { name: 'spacing-lg', category: 'spacing', value: '24px', tags: [] }]);
+
+    expect(diff.added).toEqual(['spacing-lg']);
+    expect(diff.suggestedBump).toBe('minor');
+  });
+
+  test('should detect renames and removals as major changes', () => {
+    const next = [
+      { name: 'color.brand.primary', category: 'color', value: '#3B82F6', tags: [] },
+      base[1]
+    ];
+    const diff = diffTokenSets(base, next);
+
+    expect(diff.renamed).toEqual([{ from: 'primary-blue', to: 'color.brand.primary' }]);
+    expect(diff.removed).toEqual(['radius-md']);
+    expect(diff.added).toEqual([]);
+    expect(diff.suggestedBump).toBe('major');
+  });
+
+  test('should report no bump for identical sets', () => {
+    expect(diffTokenSets(base, base).suggestedBump).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const express = require('express');
+const releaseRoutes = require('../routes/releases');
+const Release = require('../models/Release');
+const DesignToken = require('../models/DesignToken');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const { signSessionToken, newUserId } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/releases', releaseRoutes);
+
+describe('Release Routes', () => {
+  let adminUser;
+  let adminToken;
+  let designerToken;
+
+  const cutRelease = (version, changelog) => request(app)
+    .post('/api/releases')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ version, changelog });
+
+  beforeEach(async () => {
+    adminUser = new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedpassword',
+      role: 'admin'
+    });
+    await adminUser.save();
+
+    adminToken = await signSessionToken({ id: adminUser._id, username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
+
+    await DesignToken.insertMany([
+      { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id },
+      { name: 'spacing-md', category: 'spacing', value: '16px', createdBy: adminUser._id }
+    ]);
+  });
+
+  describe('POST /api/releases', () => {
+    test('should snapshot all tokens under a version', async () => {
+      const response = await cutRelease('1.0.0', 'Initial release').expect(201);
+
+      expect(response.body.release).toHaveProperty('version', '1.0.0');
+      expect(response.body.release.tokens).toHaveLength(2);
+      expect(response.body.diff.added).toEqual(['primary-blue', 'spacing-md']);
+    });
+
+    test('should reject invalid and non-increasing versions', async () => {
+      await cutRelease('1.0').expect(400);
+      await cutRelease('1.2.0').expect(201);
+
+      const response = await cutRelease('1.1.0').expect(400);
+      expect(response.body).toHaveProperty('error', 'Version must be greater than the latest release (1.2.0)');
+    });
+
+    test('should require admin role', async () => {
+      await request(app)
+        .post('/api/releases')
+        .set('Authorization', `Bearer ${designerToken}`)
+        .send({ version: '1.0.0' })
+        .expect(403);
+    });
+
+    test('should keep releases immutable', async () => {
+      await cutRelease('1.0.0').expect(201);
+      const release = await Release.findOne({ version: '1.0.0' });
+
+      release.changelog = 'Rewritten history';
+      await expect(release.save()).rejects.toThrow('Releases are immutable');
+      await expect(Release.updateOne({ version: '1.0.0' }, { changelog: 'x' })).rejects.toThrow('Releases are immutable');
+    });
+
+    test('should audit the release', async () => {
+      await cutRelease('1.0.0', 'Initial release').expect(201);
+      await cutRelease('1.1.0', 'Spacing').expect(201);
+
+      const events = await AuditEvent.find({ action: 'release.create' }).sort({ createdAt: 1, _id: 1 });
+      expect(events.map(event => event.targetName)).toEqual(['1.0.0', '1.1.0']);
+      expect(events[1].metadata).toMatchObject({ changelog: 'Spacing', tokenCount: 2, previousVersion: '1.0.0' });
+    });
+  });
+
+  describe('GET /api/releases/:version/export', () => {
+    test('should export a past release after tokens changed', async () => {
+      await cutRelease('1.0.0').expect(201);
+      await DesignToken.updateOne({ name: 'primary-blue' }, { value: '#2563EB' });
+
+      const response = await request(app)
+        .get('/api/releases/1.0.0/export?format=css')
+        .set('Authorization', `Bearer ${designerToken}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain('tokens-1.0.0.css');
+      expect(response.text).toContain('--primary-blue: #3B82F6;');
+    });
+
+    test('should return 404 for unknown releases', async () => {
+      await request(app)
+        .get('/api/releases/9.9.9/export?format=css')
+        .set('Authorization', `Bearer ${designerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/releases/diff', () => {
+    test('should report changes between releases with a suggested bump', async () => {
+      await cutRelease('1.2.0').expect(201);
+      await DesignToken.deleteOne({ name: 'spacing-md' });
+      await DesignToken.create({ name: 'spacing-lg', category: 'spacing', value: '24px', createdBy: adminUser._id });
+      await cutRelease('1.3.0').expect(201);
+
+      const response = await request(app)
+        .get('/api/releases/diff?from=1.2.0&to=1.3.0')
+        .set('Authorization', `Bearer ${designerToken}`)
+        .expect(200);
+
+      expect(response.body.added).toEqual(['spacing-lg']);
+      expect(response.body.removed).toEqual(['spacing-md']);
+      expect(response.body.suggestedBump).toBe('major');
+      expect(response.body.suggestedVersion).toBe('2.0.0');
+    });
+
+    test('should compare with the live tokens when to is omitted', async () => {
+      await cutRelease('1.0.0').expect(201);
+      await DesignToken.updateOne({ name: 'primary-blue' }, { value: '#2563EB' });
+
+      const response = await request(app)
+        .get('/api/releases/diff?from=1.0.0')
+        .set('Authorization', `Bearer ${designerToken}`)
+        .expect(200);
+
+      expect(response.body.to).toBe('current');
+      expect(response.body.changed[0]).toHaveProperty('name', 'primary-blue');
+      expect(response.body.suggestedVersion).toBe('1.0.1');
+    });
+  });
+});
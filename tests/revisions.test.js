@@ -0,0 +1,53 @@
+const { snapshotToken, diffSnapshots, revertState } = require('../utils/revisions');
+
+describe('Revision helpers', () => {
+  const token = {
+    name: 'primary-blue',
+    category: 'color',
+    value: '#3B82F6',
+    description: 'Primary brand color',
+    tags: ['brand'],
+    modeValues: new Map([['dark', '#60A5FA']]),
+    createdBy: { _id: '64a1b2c3d4e5f6789012345a', username: 'admin' }
+  };
+
+  test('should snapshot tracked fields as plain values', () => {
+    expect(snapshotToken(token)).toEqual({
+      name: 'primary-blue',
+      category: 'color',
+      value: '#3B82F6',
+      description: 'Primary brand color',
+      tags: ['brand'],
+      type: null,
+      modeValues: { dark: '#60A5FA' },
+      extensions: null,
+      createdBy: '64a1b2c3d4e5f6789012345a'
+    });
+    expect(snapshotToken(null)).toBeNull();
+  });
+
+  test('should diff only the fields that changed', () => {
+    const before = snapshotToken(token);
+    const after = { ...before, value: '#2563EB', tags: ['brand', 'primary'] };
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: 'value', before: '#3B82F6', after: '#2563EB' },
+      { field: 'tags', before: ['brand'], after: ['brand', 'primary'] }
+    ]);
+  });
+
+  test('should treat a missing snapshot as empty', () => {
+    const changes = diffSnapshots(null, snapshotToken(token));
+
+    expect(changes.map(change => change.field)).toEqual([
+      'name', 'category', 'value', 'description', 'tags', 'modeValues', 'createdBy'
+    ]);
+  });
+
+  test('should revert deletes to the state before deletion', () => {
+    const snapshot = snapshotToken(token);
+
+    expect(revertState({ action: 'delete', before: snapshot, after: null })).toBe(snapshot);
+    expect(revertState({ action: 'update', before: null, after: snapshot })).toBe(snapshot);
+  });
+});
@@ -0,0 +1,25 @@
+const semver = require('../utils/semver');
+
+describe('Semver helpers', () => {
+  test('should validate versions', () => {
+    expect(semver.isValid('1.2.3')).toBe(true);
+    expect(semver.isValid('1.2.3-beta.1')).toBe(true);
+    expect(semver.isValid('1.2')).toBe(false);
+    expect(semver.isValid('v1.2.3')).toBe(false);
+    expect(semver.isValid('01.2.3')).toBe(false);
+  });
+
+  test('should compare versions including prereleases', () => {
+    expect(semver.compare('1.10.0', '1.9.0')).toBe(1);
+    expect(semver.compare('1.0.0', '1.0.0')).toBe(0);
+    expect(semver.compare('1.0.0-beta', '1.0.0')).toBe(-1);
+    expect(semver.compare('1.0.0-beta.2', '1.0.0-beta.10')).toBe(-1);
+    expect(semver.compare('1.0.0-alpha', '1.0.0-alpha.1')).toBe(-1);
+  });
+
+  test('should bump versions', () => {
+    expect(semver.bump('1.2.3', 'major')).toBe('2.0.0');
+    expect(semver.bump('1.2.3', 'minor')).toBe('1.3.0');
+    expect(semver.bump('1.2.3', 'patch')).toBe('1.2.4');
+  });
+});
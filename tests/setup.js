@@ -3,6 +3,10 @@ const mongoose = require('mongoose');
 
 let mongod;
 
+// Registration, invitations and password resets send email; keep it in memory
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.APP_URL = 'https://tokens.example.com';
+
 // Setup 
 beforeAll(async () => {
   
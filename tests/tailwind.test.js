@@ -0,0 +1,79 @@
+const { buildTailwindTheme } = require('../utils/tailwind');
+
+describe('Tailwind theme', () => {
+  const entry = (name, category, resolved, variable = null) => ({ name, category, resolved, variable });
+
+  test('should group colors into palettes by shade', () => {
+    const theme = buildTailwindTheme([
+      entry('blue-500', 'color', '#3B82F6'),
+      entry('blue-600', 'color', '#2563EB'),
+      entry('blue', 'color', '#3B82F6'),
+      entry('color.brand.primary', 'color', '#2563EB')
+    ]);
+
+    expect(theme.colors).toEqual({
+      blue: { 500: '#3B82F6', 600: '#2563EB', DEFAULT: '#3B82F6' },
+      'brand-primary': '#2563EB'
+    });
+  });
+
+  test('should keep an existing color as the DEFAULT of a later palette', () => {
+    const theme = buildTailwindTheme([
+      entry('gray', 'color', '#6B7280'),
+      entry('gray-100', 'color', '#F3F4F6')
+    ]);
+
+    expect(theme.colors.gray).toEqual({ DEFAULT: '#6B7280', 100: '#F3F4F6' });
+  });
+
+  test('should drop group words from spacing, radius and shadow keys', () => {
+    const theme = buildTailwindTheme([
+      entry('spacing-md', 'spacing', '16px'),
+      entry('radius-lg', 'size', '8px'),
+      entry('border-radius', 'size', '4px'),
+      entry('shadow-card', 'shadow', '0 1px 2px rgba(0,0,0,0.1)'),
+      entry('width-full', 'size', '100%')
+    ]);
+
+    expect(theme).toEqual({
+      spacing: { md: '16px' },
+      borderRadius: { lg: '8px', DEFAULT: '4px' },
+      boxShadow: { card: '0 1px 2px rgba(0,0,0,0.1)' }
+    });
+  });
+
+  test('should convert DTCG shadows to CSS', () => {
+    const theme = buildTailwindTheme([
+      entry('shadow-lg', 'shadow', JSON.stringify({ offsetX: '0px', offsetY: '4px', blur: '8px', spread: '0px', color: '#00000033', inset: true }))
+    ]);
+
+    expect(theme.boxShadow.lg).toBe('inset 0px 4px 8px 0px #00000033');
+  });
+
+  test('should pair font sizes with line heights and expand composites', () => {
+    const theme = buildTailwindTheme([
+      entry('font-size-lg', 'typography', '18px'),
+      entry('line-height-lg', 'typography', '1.75'),
+      entry('font-size-sm', 'typography', '14px'),
+      entry('text-heading', 'typography', JSON.stringify({ fontFamily: 'Inter', fontSize: '24px', fontWeight: 700, lineHeight: 1.2 })),
+      entry('font-family', 'typography', 'Inter')
+    ]);
+
+    expect(theme.fontSize).toEqual({
+      lg: ['18px', { lineHeight: '1.75' }],
+      sm: '14px',
+      heading: ['24px', { lineHeight: '1.2', fontWeight: '700' }]
+    });
+  });
+
+  test('should use CSS variables when given', () => {
+    const theme = buildTailwindTheme([
+      entry('surface', 'color', '#FFFFFF', 'var(--surface)'),
+      entry('font-size-lg', 'typography', '18px', 'var(--font-size-lg)'),
+      entry('line-height-lg', 'typography', '1.75', 'var(--line-height-lg)')
+    ]);
+
+    expect(theme.colors.surface).toBe('var(--surface)');
+    expect(theme.fontSize.lg).toEqual(['var(--font-size-lg)', { lineHeight: 'var(--line-height-lg)' }]);
+  });
+});
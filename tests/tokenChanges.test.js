@@ -0,0 +1,65 @@
+const { planChanges, mergeTokenUpdate } = require('../utils/tokenChanges');
+
+describe('Token changes', () => {
+  const tokens = [
+    { _id: 'a1', name: 'primary-blue', category: 'color', value: '#3B82F6', modeValues: { dark: '#60A5FA' } },
+    { _id: 'a2', name: 'button-bg', category: 'color', value: '{primary-blue}' },
+    { _id: 'a3', name: 'space-4', category: 'spacing', value: '16px' }
+  ];
+
+  test('should project creates, updates and deletes in order', () => {
+    const { tokens: projected, errors } = planChanges(tokens, ['dark'], [
+      { action: 'create', data: { name: 'accent', category: 'color', value: '#F59E0B' } },
+      { action: 'update', token: 'a1', data: { name: 'brand-blue', value: '#2563EB' } },
+      { action: 'update', token: 'a2', data: { value: '{brand-blue}' } },
+      { action: 'delete', token: 'a3' }
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(projected.map(token => token.name)).toEqual(['brand-blue', 'button-bg', 'accent']);
+    expect(projected[0].modeValues).toEqual({ dark: '#60A5FA' });
+  });
+
+  test('should report invalid changes by index', () => {
+    const { errors } = planChanges(tokens, ['dark'], [
+      { action: 'rename', token: 'a1' },
+      { action: 'create', data: { name: 'space-4', category: 'spacing', value: '8px' } },
+      { action: 'update', token: 'missing', data: {} },
+      { action: 'update', token: 'a3', data: { modeValues: { compact: '8px' } } }
+    ]);
+
+    expect(errors.map(error => error.index)).toEqual([0, 1, 2, 3]);
+    expect(errors[1].error).toBe("Token 'space-4' already exists");
+    expect(errors[3].error).toBe('Unknown mode: compact');
+  });
+
+  test('should report tokens outside the batch that a change breaks', () => {
+    const { errors } = planChanges(tokens, ['dark'], [
+      { action: 'update', token: 'a1', data: { name: 'brand-blue' } }
+    ]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ index: null, token: 'button-bg' });
+  });
+
+  test('should validate values in every mode', () => {
+    const { errors } = planChanges(tokens, ['dark'], [
+      { action: 'update', token: 'a1', data: { modeValues: { dark: 'banana' } } }
+    ]);
+
+    expect(errors[0]).toMatchObject({ index: 0, token: 'primary-blue' });
+    expect(errors[0].error).toMatch(/in mode 'dark'$/);
+  });
+
+  test('should merge partial updates and clear emptied mode values', () => {
+    expect(mergeTokenUpdate(tokens[0], { description: 'Brand', modeValues: { dark: '' } })).toEqual({
+      name: 'primary-blue',
+      category: 'color',
+      value: '#3B82F6',
+      description: 'Brand',
+      tags: undefined,
+      type: undefined,
+      modeValues: {}
+    });
+  });
+});
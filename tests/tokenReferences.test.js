@@ -0,0 +1,42 @@
+const {
+  extractReferences,
+  findReferenceError,
+  resolveToken,
+  findReferencingTokens
+} = require('../utils/tokenReferences');
+
+describe('Token reference helpers', () => {
+  const values = new Map([
+    ['primary-blue', '#3B82F6'],
+    ['color.brand.primary', '{primary-blue}'],
+    ['border-width', '1px'],
+    ['focus-ring', '{border-width} solid {color.brand.primary}']
+  ]);
+
+  test('should extract unique references from a value', () => {
+    expect(extractReferences('{a} {b.c} {a}')).toEqual(['a', 'b.c']);
+    expect(extractReferences('#fff')).toEqual([]);
+    expect(extractReferences(undefined)).toEqual([]);
+  });
+
+  test('should resolve nested and embedded references', () => {
+    expect(resolveToken('color.brand.primary', values)).toBe('#3B82F6');
+    expect(resolveToken('focus-ring', values)).toBe('1px solid #3B82F6');
+  });
+
+  test('should report dangling references with the chain', () => {
+    const withDangling = new Map(values).set('link', '{focus-ring} {missing}');
+    expect(findReferenceError('link', withDangling))
+      .toBe("Token 'link' references unknown token 'missing' (link -> missing)");
+  });
+
+  test('should report cycles with the chain', () => {
+    const withCycle = new Map(values).set('primary-blue', '{focus-ring}');
+    expect(findReferenceError('focus-ring', withCycle))
+      .toBe('Circular token reference: focus-ring -> color.brand.primary -> primary-blue -> focus-ring');
+  });
+
+  test('should find tokens that reference a name', () => {
+    expect(findReferencingTokens('primary-blue', values)).toEqual(['color.brand.primary']);
+  });
+});
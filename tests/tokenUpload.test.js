@@ -0,0 +1,76 @@
+const { buildUploadChanges, settleUpload } = require('../utils/tokenUpload');
+
+describe('Token upload planning', () => {
+  const user = { id: 'u1' };
+  const tokens = [
+    { _id: 'a1', name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: 'u1' },
+    { _id: 'a2', name: 'button-bg', category: 'color', value: '{primary-blue}', createdBy: 'u1' },
+    { _id: 'a3', name: 'spacing-md', category: 'spacing', value: '16px', createdBy: 'u1' }
+  ];
+  const rows = [
+    { name: 'primary-blue', category: 'color', value: '#2563EB' },
+    { name: 'button-bg', category: 'color', value: '{primary-blue}' },
+    { name: 'link', category: 'color', value: '{nope}' },
+    { name: 'gap', category: 'spacing', value: '{spacing-md}' }
+  ];
+
+  const summarize = ({ changes, skipped, errors }) => ({
+    changes: changes.map(entry => `${entry.change.action} ${(entry.after || entry.before).name}`),
+    skipped: skipped.map(entry => entry.reason),
+    errors: errors.map(entry => entry.index)
+  });
+
+  const plan = (mode, atomic, fileRows = rows) => settleUpload(tokens, [], buildUploadChanges(fileRows, tokens, mode, user), atomic);
+
+  test('should skip existing names in create mode', () => {
+    expect(summarize(plan('create', false))).toEqual({
+      changes: ['create gap'],
+      skipped: ["Token 'primary-blue' already exists", "Token 'button-bg' already exists"],
+      errors: [2]
+    });
+  });
+
+  test('should update changed tokens and skip unchanged ones in upsert mode', () => {
+    const result = plan('upsert', false);
+
+    expect(summarize(result)).toEqual({
+      changes: ['update primary-blue', 'create gap'],
+      skipped: ['No changes'],
+      errors: [2]
+    });
+    expect(result.changes[0].change).toEqual({ action: 'update', token: 'a1', data: rows[0] });
+  });
+
+  test('should drop rows that depend on deleted tokens in replace mode', () => {
+    expect(summarize(plan('replace', false))).toEqual({
+      changes: ['update primary-blue', 'delete spacing-md'],
+      skipped: ['No changes'],
+      errors: [2, 3]
+    });
+  });
+
+  test('should keep every change and report all errors when atomic', () => {
+    const result = plan('replace', true);
+
+    expect(result.changes).toHaveLength(4);
+    expect(result.errors.map(entry => entry.index)).toEqual([2, 3]);
+  });
+
+  test('should keep tokens still used by unchanged rows in replace mode', () => {
+    expect(summarize(plan('replace', false, [rows[1]]))).toEqual({
+      changes: ['delete spacing-md'],
+      skipped: ['No changes', 'Still used by tokens button-bg'],
+      errors: []
+    });
+  });
+
+  test('should report missing fields and duplicate names', () => {
+    const result = plan('upsert', false, [{ name: 'x' }, rows[2], { ...rows[2], value: '#fff' }]);
+
+    expect(result.errors.map(entry => entry.error)).toEqual([
+      'Missing required fields: name, category, value',
+      "Token 'link' appears more than once in the file",
+      "Token 'link' references unknown token 'nope' (link -> nope)"
+    ]);
+  });
+});
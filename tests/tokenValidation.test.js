@@ -0,0 +1,83 @@
+const { parseColor } = require('../utils/color');
+const { parseTokenValue } = require('../utils/tokenValidation');
+
+describe('Token value validation', () => {
+  test('should parse hex, rgb, hsl and oklch colors', () => {
+    expect(parseColor('#3B82F6')).toMatchObject({ format: 'hex', r: 59, g: 130, b: 246, alpha: 1 });
+    expect(parseColor('#fff8')).toMatchObject({ r: 255, g: 255, b: 255, alpha: 0.533 });
+    expect(parseColor('rgba(0, 0, 0, 0.5)')).toMatchObject({ format: 'rgb', r: 0, alpha: 0.5, hex: '#00000080' });
+    expect(parseColor('rgb(100% 0% 0% / 50%)')).toMatchObject({ r: 255, g: 0, b: 0, alpha: 0.5 });
+    expect(parseColor('hsl(0, 100%, 50%)').hex).toBe('#FF0000');
+    expect(parseColor('oklch(62.8% 0.2577 29.23)').hex).toBe('#FF0000');
+    expect(parseColor('banana')).toBeNull();
+    expect(parseColor('hsl(0, 100, 50)')).toBeNull();
+  });
+
+  test('should reject values that do not match the category', () => {
+    expect(() => parseTokenValue('color', 'banana')).toThrow("Invalid color 'banana'");
+    expect(() => parseTokenValue('spacing', '16')).toThrow("Invalid dimension '16'");
+    expect(() => parseTokenValue('duration', 'fast')).toThrow("Invalid duration 'fast'");
+    expect(() => parseTokenValue('cubic-bezier', 'cubic-bezier(1.5, 0, 0.5, 1)')).toThrow('x values between 0 and 1');
+    expect(() => parseTokenValue('border', '1px wavy red')).toThrow("Invalid border '1px wavy red'");
+  });
+
+  test('should parse dimensions, durations and easing curves', () => {
+    expect(parseTokenValue('spacing', '1.5rem')).toEqual({ value: 1.5, unit: 'rem' });
+    expect(parseTokenValue('size', '0')).toEqual({ value: 0, unit: 'px' });
+    expect(parseTokenValue('spacing', '{"value":4,"unit":"px"}')).toEqual({ value: 4, unit: 'px' });
+    expect(parseTokenValue('duration', '200ms')).toEqual({ value: 200, unit: 'ms' });
+    expect(parseTokenValue('cubic-bezier', '[0.4, 0, 0.2, 1]')).toEqual({ x1: 0.4, y1: 0, x2: 0.2, y2: 1 });
+    expect(parseTokenValue('cubic-bezier', 'ease-out')).toEqual({ x1: 0, y1: 0, x2: 0.58, y2: 1 });
+  });
+
+  test('should parse typography values and composites', () => {
+    expect(parseTokenValue('typography', '16px')).toEqual({ fontSize: { value: 16, unit: 'px' } });
+    expect(parseTokenValue('typography', '600')).toEqual({ fontWeight: 600 });
+    expect(parseTokenValue('typography', '1.5')).toEqual({ lineHeight: 1.5 });
+    expect(parseTokenValue('typography', 'Inter, sans-serif')).toEqual({ fontFamily: ['Inter', 'sans-serif'] });
+    expect(parseTokenValue('typography', 'italic bold 1rem/1.25 "Helvetica Neue", Arial')).toEqual({
+      fontStyle: 'italic',
+      fontWeight: 700,
+      fontSize: { value: 1, unit: 'rem' },
+      lineHeight: 1.25,
+      fontFamily: ['Helvetica Neue', 'Arial']
+    });
+    expect(parseTokenValue('typography', '{"fontFamily":["Inter"],"fontSize":"14px","fontWeight":500}')).toEqual({
+      fontFamily: ['Inter'],
+      fontSize: { value: 14, unit: 'px' },
+      fontWeight: 500
+    });
+  });
+
+  test('should parse shadows and borders', () => {
+    const [shadow, inset] = parseTokenValue('shadow', '0 1px 2px rgba(0, 0, 0, 0.05), inset 0 0 0 1px #E5E7EB');
+    expect(shadow).toMatchObject({ inset: false, offsetY: { value: 1, unit: 'px' }, blur: { value: 2, unit: 'px' } });
+    expect(shadow.color.alpha).toBe(0.05);
+    expect(inset).toMatchObject({ inset: true, spread: { value: 1, unit: 'px' } });
+
+    expect(parseTokenValue('border', '1px solid #E5E7EB')).toMatchObject({
+      width: { value: 1, unit: 'px' },
+      style: 'solid',
+      color: { hex: '#E5E7EB' }
+    });
+  });
+
+  test('should parse DTCG composite values stored as JSON', () => {
+    expect(parseTokenValue('font', '["Inter","sans-serif"]', 'fontFamily')).toEqual({ fontFamily: ['Inter', 'sans-serif'] });
+    expect(parseTokenValue('shadow', '{"color":"#00000080","offsetX":{"value":0,"unit":"px"},"offsetY":"4px","blur":"8px"}')).toEqual([{
+      inset: false,
+      offsetX: { value: 0, unit: 'px' },
+      offsetY: { value: 4, unit: 'px' },
+      blur: { value: 8, unit: 'px' },
+      spread: { value: 0, unit: 'px' },
+      color: expect.objectContaining({ hex: '#00000080' })
+    }]);
+  });
+
+  test('should fall back to the DTCG type and skip unknown categories', () => {
+    expect(parseTokenValue('brand', '#000', 'color')).toMatchObject({ hex: '#000000' });
+    expect(() => parseTokenValue('brand', 'banana', 'color')).toThrow('Invalid color');
+    expect(parseTokenValue('brand', 'anything')).toBeNull();
+    expect(parseTokenValue('border', '1px solid var(--border-color)')).toBeNull();
+  });
+});
@@ -1,17 +1,19 @@
 const request = require('supertest');
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const tokenRoutes = require('../routes/tokens');
 const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const AuditEvent = require('../models/AuditEvent');
+const { generateApiKey } = require('../utils/apiKeys');
+const { signSessionToken } = require('./helpers');
 
 // Create test app
 const app = express();
 app.use(express.json());
 app.use('/api/tokens', tokenRoutes);
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-
 describe('Design Token Routes', () => {
   let testUser;
   let authToken;
@@ -38,17 +40,9 @@ describe('Design Token Routes', () => {
     await adminUser.save();
 
     // auth tokens
-    authToken = jwt.sign(
-      { id: testUser._id, username: testUser.username, role: testUser.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    adminToken = jwt.sign(
-      { id: adminUser._id, username: adminUser.username, role: adminUser.role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    authToken = await signSessionToken({ id: testUser._id, username: testUser.username, role: testUser.role });
+
+    adminToken = await signSessionToken({ id: adminUser._id, username: adminUser.username, role: adminUser.role });
   });
 
   describe('POST /api/tokens', () => {
@@ -124,6 +118,19 @@ describe('Design Token Routes', () => {
 
       expect(response.body.tags).toEqual([]);
     });
+
+    test('should not create a token with an existing name', async () => {
+      await DesignToken.create({ name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id });
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'primary-blue', category: 'spacing', value: '4px' })
+        .expect(409);
+
+      expect(response.body).toHaveProperty('error', "Token 'primary-blue' already exists");
+      expect(await DesignToken.countDocuments({ name: 'primary-blue' })).toBe(1);
+    });
   });
 
   describe('GET /api/tokens', () => {
@@ -304,11 +311,7 @@ describe('Design Token Routes', () => {
       });
       await otherUser.save();
 
-      const otherToken = jwt.sign(
-        { id: otherUser._id, username: otherUser.username, role: otherUser.role },
-        JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      const otherToken = await signSessionToken({ id: otherUser._id, username: otherUser.username, role: otherUser.role });
 
       const updateData = {
         name: 'unauthorized-update'
@@ -322,6 +325,19 @@ describe('Design Token Routes', () => {
 
       expect(response.body).toHaveProperty('error', 'Permission denied');
     });
+
+    test('should not rename a token onto another token', async () => {
+      await DesignToken.create({ name: 'other-token', category: 'color', value: '#0000FF', createdBy: testUser._id });
+
+      const response = await request(app)
+        .put(`/api/tokens/${testToken._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'other-token' })
+        .expect(409);
+
+      expect(response.body).toHaveProperty('error', "Token 'other-token' already exists");
+      expect((await DesignToken.findById(testToken._id)).name).toBe('test-token');
+    });
   });
 
   describe('DELETE /api/tokens/:id', () => {
@@ -392,4 +408,791 @@ describe('Design Token Routes', () => {
       expect(response.body).toHaveProperty('error', 'Access token required');
     });
   });
-});
\ No newline at end of file
+
+  describe('Token references', () => {
+    beforeEach(async () => {
+      await DesignToken.insertMany([
+        { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id },
+        { name: 'color.brand.primary', category: 'color', value: '{primary-blue}', createdBy: adminUser._id },
+        { name: 'button-bg', category: 'color', value: '{color.brand.primary}', createdBy: adminUser._id }
+      ]);
+    });
+
+    test('should return raw and resolved values with resolve=true', async () => {
+      const response = await request(app)
+        .get('/api/tokens?resolve=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const buttonBg = response.body.tokens.find(token => token.name === 'button-bg');
+      expect(buttonBg).toHaveProperty('value', '{color.brand.primary}');
+      expect(buttonBg).toHaveProperty('resolvedValue', '#3B82F6');
+    });
+
+    test('should resolve a single token by id', async () => {
+      const token = await DesignToken.findOne({ name: 'button-bg' });
+
+      const response = await request(app)
+        .get(`/api/tokens/${token._id}?resolve=true`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('resolvedValue', '#3B82F6');
+    });
+
+    test('should reject dangling references on create', async () => {
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'link-color', category: 'color', value: '{missing.token}' })
+        .expect(400);
+
+      expect(response.body.error).toBe("Token 'link-color' references unknown token 'missing.token' (link-color -> missing.token)");
+    });
+
+    test('should reject reference cycles on update', async () => {
+      const token = await DesignToken.findOne({ name: 'primary-blue' });
+
+      const response = await request(app)
+        .put(`/api/tokens/${token._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: '{button-bg}' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Circular token reference: primary-blue -> button-bg -> color.brand.primary -> primary-blue');
+    });
+
+    test('should allow references between tokens in the same upload', async () => {
+      const response = await request(app)
+        .post('/api/tokens/upload')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          tokens: [
+            { name: 'link-hover', category: 'color', value: '{link-base}' },
+            { name: 'link-base', category: 'color', value: '{primary-blue}' },
+            { name: 'broken', category: 'color', value: '{nope}' }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.results.success).toHaveLength(2);
+      expect(response.body.results.errors).toHaveLength(1);
+      expect(response.body.results.errors[0].error).toContain("unknown token 'nope'");
+    });
+  });
+
+  describe('GET /api/tokens/export', () => {
+    beforeEach(async () => {
+      await DesignToken.insertMany([
+        { name: 'primary-blue', category: 'color', value: '#3B82F6', tags: ['brand'], createdBy: adminUser._id },
+        { name: 'button-bg', category: 'color', value: '{primary-blue}', createdBy: adminUser._id },
+        { name: 'spacing-md', category: 'spacing', value: '16px', createdBy: adminUser._id }
+      ]);
+    });
+
+    test('should export CSS custom properties filtered by category', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=css&category=color&prefix=ds')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/css');
+      expect(response.headers['content-disposition']).toContain('tokens.css');
+      expect(response.text).toContain('--ds-button-bg: var(--ds-primary-blue);');
+      expect(response.text).not.toContain('spacing-md');
+    });
+
+    test('should export a JS module filtered by tag with resolved references', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=js&tag=brand')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.text).toContain('export const primaryBlue = "#3B82F6";');
+      expect(response.text).not.toContain('buttonBg');
+    });
+
+    test('should reject unsupported formats', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=xml')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error).toContain("Unsupported export format 'xml'");
+    });
+
+    test('should reject formats and cases named after object properties', async () => {
+      await request(app)
+        .get('/api/tokens/export?format=constructor')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      await request(app)
+        .get('/api/tokens/export?format=css&case=toString')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    test('should reject repeated query parameters', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=css&category=color&category=spacing')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe("Parameter 'category' must be a single string");
+    });
+
+    test('should export a Tailwind config backed by CSS variables', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=tailwind&cssVariables=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toContain('tokens.tailwind.config.js');
+      expect(response.text).toContain('"button-bg": "var(--button-bg)"');
+      expect(response.text).toContain('"--button-bg": "var(--primary-blue)"');
+    });
+
+    test('should export an Android bundle as a zip', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=android&remBase=10')
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/zip');
+      expect(response.headers['content-disposition']).toContain('tokens.android.zip');
+      expect(response.body.readUInt32LE(0)).toBe(0x04034B50);
+    });
+
+    test('should reject an invalid remBase', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=ios&remBase=abc')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('remBase must be a positive number');
+    });
+
+    test('should report tokens that would share a name instead of overwriting one', async () => {
+      await DesignToken.create({ name: 'primary.blue', category: 'color', value: '#2563EB', createdBy: adminUser._id });
+
+      const response = await request(app)
+        .get('/api/tokens/export?format=scss')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.collisions).toEqual([{ name: 'primary-blue', tokens: ['primary-blue', 'primary.blue'] }]);
+    });
+  });
+
+  describe('DTCG import and export', () => {
+    const dtcgDocument = {
+      color: {
+        $type: 'color',
+        brand: {
+          primary: { $value: '#3B82F6', $description: 'Primary brand color' }
+        },
+        button: {
+          bg: { $value: '{color.brand.primary}' }
+        }
+      }
+    };
+
+    test('should import a DTCG document through the upload route', async () => {
+      const response = await request(app)
+        .post('/api/tokens/upload')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(dtcgDocument)
+        .expect(201);
+
+      expect(response.body.results.success).toHaveLength(2);
+
+      const token = await DesignToken.findOne({ name: 'color.button.bg' });
+      expect(token.category).toBe('color');
+      expect(token.type).toBe('color');
+      expect(token.value).toBe('{color.brand.primary}');
+    });
+
+    test('should export what was imported', async () => {
+      await request(app)
+        .post('/api/tokens/upload?format=dtcg')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(dtcgDocument)
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/tokens/export?format=dtcg')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(JSON.parse(response.text)).toEqual({
+        color: {
+          brand: {
+            primary: { $value: '#3B82F6', $type: 'color', $description: 'Primary brand color' }
+          },
+          button: {
+            bg: { $value: '{color.brand.primary}', $type: 'color' }
+          }
+        }
+      });
+    });
+  });
+
+  describe('Token modes', () => {
+    beforeEach(async () => {
+      await Mode.create({ name: 'dark' });
+      await DesignToken.insertMany([
+        { name: 'surface', category: 'color', value: '#FFFFFF', modeValues: { dark: '#111827' }, createdBy: adminUser._id },
+        { name: 'card-bg', category: 'color', value: '{surface}', createdBy: adminUser._id }
+      ]);
+    });
+
+    test('should return mode values with fallback to the default value', async () => {
+      const response = await request(app)
+        .get('/api/tokens?mode=dark&resolve=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const byName = Object.fromEntries(response.body.tokens.map(token => [token.name, token]));
+      expect(byName.surface).toHaveProperty('value', '#111827');
+      expect(byName['card-bg']).toHaveProperty('value', '{surface}');
+      expect(byName['card-bg']).toHaveProperty('resolvedValue', '#111827');
+    });
+
+    test('should reject unknown modes', async () => {
+      await request(app)
+        .get('/api/tokens?mode=sepia')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'text', category: 'color', value: '#000000', modeValues: { sepia: '#5B4636' } })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Unknown mode: sepia');
+    });
+
+    test('should merge mode values on update and remove empty ones', async () => {
+      const token = await DesignToken.findOne({ name: 'card-bg' });
+
+      let response = await request(app)
+        .put(`/api/tokens/${token._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ modeValues: { dark: '#1F2937' } })
+        .expect(200);
+
+      expect(response.body.modeValues).toEqual({ dark: '#1F2937' });
+
+      response = await request(app)
+        .put(`/api/tokens/${token._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ modeValues: { dark: '' } })
+        .expect(200);
+
+      expect(response.body.modeValues).toEqual({});
+    });
+
+    test('should check references in every mode', async () => {
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'text', category: 'color', value: '#000000', modeValues: { dark: '{missing}' } })
+        .expect(400);
+
+      expect(response.body.error).toBe("Token 'text' references unknown token 'missing' (text -> missing) in mode 'dark'");
+    });
+
+    test('should export per-mode CSS blocks', async () => {
+      const response = await request(app)
+        .get('/api/tokens/export?format=css')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.text).toContain('[data-theme="dark"] {\n  --surface: #111827;\n}');
+    });
+  });
+
+  describe('Token history', () => {
+    let tokenId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'brand-blue', category: 'color', value: '#3B82F6' })
+        .expect(201);
+      tokenId = response.body._id;
+
+      await request(app)
+        .put(`/api/tokens/${tokenId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: '#2563EB', description: 'Darker brand blue' })
+        .expect(200);
+    });
+
+    test('should record who changed what', async () => {
+      const response = await request(app)
+        .get(`/api/tokens/${tokenId}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const [update, create] = response.body.revisions;
+      expect(create).toHaveProperty('action', 'create');
+      expect(update).toHaveProperty('action', 'update');
+      expect(update).toHaveProperty('revision', 2);
+      expect(update.changedBy).toHaveProperty('username', 'admin');
+      expect(update.before).toHaveProperty('value', '#3B82F6');
+      expect(update.after).toHaveProperty('value', '#2563EB');
+    });
+
+    test('should diff two revisions field by field', async () => {
+      const response = await request(app)
+        .get(`/api/tokens/${tokenId}/history/diff?from=1&to=2`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.changes).toEqual([
+        { field: 'value', before: '#3B82F6', after: '#2563EB' },
+        { field: 'description', before: null, after: 'Darker brand blue' }
+      ]);
+    });
+
+    test('should revert to an earlier revision', async () => {
+      const response = await request(app)
+        .post(`/api/tokens/${tokenId}/revert/1`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('value', '#3B82F6');
+
+      const history = await request(app)
+        .get(`/api/tokens/${tokenId}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(history.body.revisions[0]).toHaveProperty('action', 'revert');
+    });
+
+    test('should keep history after delete and restore the token', async () => {
+      await request(app)
+        .delete(`/api/tokens/${tokenId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const history = await request(app)
+        .get(`/api/tokens/${tokenId}/history`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(history.body.revisions[0]).toHaveProperty('action', 'delete');
+
+      await request(app)
+        .post(`/api/tokens/${tokenId}/revert/${history.body.revisions[0]._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const restored = await DesignToken.findById(tokenId);
+      expect(restored).toHaveProperty('value', '#2563EB');
+    });
+
+    test('should answer 409 when the token is saved by someone else during a revert', async () => {
+      // Another save lands between loading the token and saving the revert
+      const save = DesignToken.prototype.save;
+      const spy = jest.spyOn(DesignToken.prototype, 'save').mockImplementationOnce(async function (...args) {
+        await DesignToken.updateOne({ _id: this._id }, { $inc: { __v: 1 } });
+        return save.apply(this, args);
+      });
+
+      try {
+        const response = await request(app)
+          .post(`/api/tokens/${tokenId}/revert/1`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(409);
+
+        expect(response.body.error).toBe('This token was changed by someone else while saving');
+        expect(response.body.current).toHaveProperty('value', '#2563EB');
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    test('should not allow non-admins to revert', async () => {
+      await request(app)
+        .post(`/api/tokens/${tokenId}/revert/1`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Token value validation', () => {
+    test('should reject values that do not match the category', async () => {
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'link-color', category: 'color', value: 'banana' })
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "Invalid color value for 'link-color': Invalid color 'banana'. Expected hex, rgb(), hsl() or oklch()"
+      );
+    });
+
+    test('should store and return the parsed value', async () => {
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'spacing-md', category: 'spacing', value: '1.5rem' })
+        .expect(201);
+
+      expect(response.body.parsedValue).toEqual({ value: 1.5, unit: 'rem' });
+    });
+
+    test('should validate the resolved value of aliases', async () => {
+      await DesignToken.create({ name: 'spacing-md', category: 'spacing', value: '16px', createdBy: adminUser._id });
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'button-bg', category: 'color', value: '{spacing-md}' })
+        .expect(400);
+
+      expect(response.body.error).toContain("Invalid color value for 'button-bg'");
+    });
+
+    test('should validate changed categories on update', async () => {
+      const token = await DesignToken.create({ name: 'gap', category: 'spacing', value: '8px', createdBy: adminUser._id });
+
+      await request(app)
+        .put(`/api/tokens/${token._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ category: 'duration' })
+        .expect(400);
+    });
+
+    test('should report invalid values per row on upload', async () => {
+      const response = await request(app)
+        .post('/api/tokens/upload')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          tokens: [
+            { name: 'motion-fast', category: 'duration', value: '150ms' },
+            { name: 'motion-slow', category: 'duration', value: 'slow' }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.results.success).toHaveLength(1);
+      expect(response.body.results.success[0].token.parsedValue).toEqual({ value: 150, unit: 'ms' });
+      expect(response.body.results.errors[0].error).toContain("Invalid duration 'slow'");
+    });
+  });
+
+  describe('Token dependents', () => {
+    let primary;
+
+    beforeEach(async () => {
+      [primary] = await DesignToken.insertMany([
+        { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id },
+        { name: 'button-bg', category: 'color', value: '{primary-blue}', createdBy: adminUser._id },
+        { name: 'focus-ring', category: 'border', value: '2px solid var(--button-bg)', createdBy: adminUser._id }
+      ]);
+    });
+
+    test('should list direct and transitive dependents', async () => {
+      const response = await request(app)
+        .get(`/api/tokens/${primary._id}/dependents`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.dependents).toEqual([{ name: 'button-bg', kind: 'reference', modes: [null] }]);
+      expect(response.body.transitive).toEqual(['button-bg', 'focus-ring']);
+    });
+
+    test('should refuse to delete a token that is still used unless forced', async () => {
+      const response = await request(app)
+        .delete(`/api/tokens/${primary._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.error).toBe(
+        "Cannot delete 'primary-blue': it is used by tokens button-bg. Use ?force=true to delete anyway"
+      );
+      expect(await DesignToken.findById(primary._id)).not.toBeNull();
+
+      await request(app)
+        .delete(`/api/tokens/${primary._id}?force=true`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await DesignToken.findById(primary._id)).toBeNull();
+    });
+
+    test('should refuse to rename a token used through var()', async () => {
+      const buttonBg = await DesignToken.findOne({ name: 'button-bg' });
+
+      const response = await request(app)
+        .put(`/api/tokens/${buttonBg._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'button-background' })
+        .expect(400);
+
+      expect(response.body.error).toBe("Cannot rename 'button-bg': it is referenced by focus-ring");
+    });
+  });
+
+  describe('Optimistic concurrency', () => {
+    let token;
+
+    beforeEach(async () => {
+      token = await new DesignToken({
+        name: 'primary-blue',
+        category: 'color',
+        value: '#3B82F6',
+        createdBy: adminUser._id
+      }).save();
+    });
+
+    const update = (data, ifMatch) => {
+      const req = request(app)
+        .put(`/api/tokens/${token._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      return (ifMatch ? req.set('If-Match', ifMatch) : req).send(data);
+    };
+
+    test('should return an ETag that changes on every update', async () => {
+      const response = await request(app)
+        .get(`/api/tokens/${token._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const etag = response.headers.etag;
+      expect(etag).toBe('"0"');
+
+      const updated = await update({ value: '#2563EB' }, etag).expect(200);
+      expect(updated.headers.etag).toBe('"1"');
+    });
+
+    test('should refuse stale edits with the current copy', async () => {
+      await update({ value: '#2563EB' }, '"0"').expect(200);
+
+      const response = await update({ description: 'Brand blue' }, '"0"').expect(412);
+      expect(response.body.error).toMatch(/changed by someone else/);
+      expect(response.body.current).toHaveProperty('value', '#2563EB');
+      expect(response.headers.etag).toBe('"1"');
+
+      const unchanged = await DesignToken.findById(token._id);
+      expect(unchanged.description).toBeUndefined();
+    });
+
+    test('should accept a version field, a weak ETag or *', async () => {
+      await update({ value: '#2563EB', version: 0 }).expect(200);
+      await update({ value: '#1D4ED8', version: 0 }).expect(412);
+      await update({ value: '#1D4ED8' }, 'W/"1"').expect(200);
+      await update({ value: '#1E40AF' }, '*').expect(200);
+    });
+  });
+
+  describe('Upload modes', () => {
+    beforeEach(async () => {
+      await DesignToken.insertMany([
+        { name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id },
+        { name: 'button-bg', category: 'color', value: '{primary-blue}', createdBy: adminUser._id },
+        { name: 'spacing-md', category: 'spacing', value: '16px', createdBy: adminUser._id }
+      ]);
+    });
+
+    const upload = (query, tokens) => request(app)
+      .post(`/api/tokens/upload?${query}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ tokens });
+
+    const file = [
+      { name: 'primary-blue', category: 'color', value: '#2563EB' },
+      { name: 'button-bg', category: 'color', value: '{primary-blue}' },
+      { name: 'accent', category: 'color', value: '#F59E0B' }
+    ];
+
+    test('should reject unknown modes', async () => {
+      const response = await upload('mode=merge', file).expect(400);
+      expect(response.body.error).toContain("Invalid upload mode 'merge'");
+    });
+
+    test('should return the plan without writing on dry run', async () => {
+      const response = await upload('mode=replace&dryRun=true', file).expect(200);
+
+      expect(response.body.plan.create).toEqual([
+        expect.objectContaining({ index: 2, name: 'accent' })
+      ]);
+      expect(response.body.plan.update).toHaveLength(1);
+      expect(response.body.plan.update[0].changes).toEqual([{ field: 'value', before: '#3B82F6', after: '#2563EB' }]);
+      expect(response.body.plan.delete.map(change => change.name)).toEqual(['spacing-md']);
+      expect(response.body.plan.skip).toEqual([expect.objectContaining({ index: 1, reason: 'No changes' })]);
+
+      expect(await DesignToken.countDocuments()).toBe(3);
+      expect((await DesignToken.findOne({ name: 'primary-blue' })).value).toBe('#3B82F6');
+    });
+
+    test('should update existing tokens in upsert mode', async () => {
+      const response = await upload('mode=upsert', file).expect(201);
+
+      expect(response.body.results.success).toHaveLength(1);
+      expect(response.body.results.updated).toHaveLength(1);
+      expect(response.body.results.deleted).toHaveLength(0);
+      expect((await DesignToken.findOne({ name: 'primary-blue' })).value).toBe('#2563EB');
+      expect(await DesignToken.countDocuments()).toBe(4);
+    });
+
+    test('should delete tokens missing from the file in replace mode', async () => {
+      const response = await upload('mode=replace', file).expect(201);
+
+      expect(response.body.results.deleted.map(({ token }) => token.name)).toEqual(['spacing-md']);
+      expect((await DesignToken.find().sort({ name: 1 })).map(token => token.name))
+        .toEqual(['accent', 'button-bg', 'primary-blue']);
+    });
+
+    test('should keep tokens still used by the file in replace mode', async () => {
+      const response = await upload('mode=replace', [file[1]]).expect(201);
+
+      expect(response.body.results.deleted.map(({ token }) => token.name)).toEqual(['spacing-md']);
+      expect(response.body.results.skipped).toContainEqual(expect.objectContaining({
+        data: { name: 'primary-blue' },
+        reason: 'Still used by tokens button-bg'
+      }));
+    });
+
+    test('should write nothing when an atomic upload has errors', async () => {
+      const response = await upload('mode=upsert&atomic=true', [
+        ...file,
+        { name: 'broken', category: 'color', value: '{nope}' }
+      ]).expect(400);
+
+      expect(response.body.errors).toEqual([expect.objectContaining({ index: 3 })]);
+      expect(await DesignToken.countDocuments()).toBe(3);
+      expect((await DesignToken.findOne({ name: 'primary-blue' })).value).toBe('#3B82F6');
+    });
+
+    test('should apply a valid atomic upload', async () => {
+      const response = await upload('mode=replace&atomic=true', file).expect(201);
+
+      expect(response.body.message).toBe('Upload complete. 1 created, 1 updated, 1 deleted, 1 skipped, 0 errors');
+    });
+
+    test('should import a Tokens Studio file with its themes as modes', async () => {
+      const studio = {
+        global: { spacing: { base: { value: '8', type: 'spacing' } } },
+        light: { gutter: { value: '{spacing.base} * 2', type: 'spacing' } },
+        dark: { gutter: { value: '{spacing.base} * 3', type: 'spacing' } },
+        $themes: [
+          { name: 'Light', selectedTokenSets: { global: 'source', light: 'enabled' } },
+          { name: 'Dark', selectedTokenSets: { global: 'source', dark: 'enabled' } }
+        ]
+      };
+
+      const preview = await request(app)
+        .post('/api/tokens/upload?dryRun=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(studio)
+        .expect(200);
+      expect(preview.body.plan.modes.map(mode => mode.name)).toEqual(['light', 'dark']);
+      expect(await Mode.countDocuments()).toBe(0);
+
+      const response = await request(app)
+        .post('/api/tokens/upload')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(studio)
+        .expect(201);
+
+      expect(response.body.results.modes).toEqual(['light', 'dark']);
+      const gutter = await DesignToken.findOne({ name: 'gutter' });
+      expect(gutter.value).toBe('16px');
+      expect(gutter.modeValues.get('dark')).toBe('24px');
+    });
+  });
+
+  describe('API keys', () => {
+    const createKey = async (scopes, fields = {}) => {
+      const { key, keyHash, prefix } = generateApiKey();
+      const apiKey = await ApiKey.create({ name: 'CI', user: adminUser._id, keyHash, prefix, scopes, ...fields });
+      return { key, apiKey };
+    };
+
+    beforeEach(async () => {
+      await DesignToken.create({ name: 'primary-blue', category: 'color', value: '#3B82F6', createdBy: adminUser._id });
+    });
+
+    test('should read tokens with the tokens:read scope and record its use', async () => {
+      const { key, apiKey } = await createKey(['tokens:read']);
+
+      const response = await request(app)
+        .get('/api/tokens')
+        .set('Authorization', `Bearer ${key}`)
+        .expect(200);
+
+      expect(response.body.tokens).toHaveLength(1);
+      expect((await ApiKey.findById(apiKey._id)).lastUsedAt).toBeTruthy();
+    });
+
+    test('should accept the key in an X-API-Key header', async () => {
+      const { key } = await createKey(['tokens:read']);
+
+      await request(app).get('/api/tokens').set('X-API-Key', key).expect(200);
+    });
+
+    test('should reject requests outside the key scopes', async () => {
+      const { key } = await createKey(['tokens:read']);
+
+      const write = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${key}`)
+        .send({ name: 'spacing-md', category: 'spacing', value: '16px' })
+        .expect(403);
+      expect(write.body.error).toBe('API key is missing the tokens:write scope');
+
+      const exported = await request(app)
+        .get('/api/tokens/export?format=css')
+        .set('Authorization', `Bearer ${key}`)
+        .expect(403);
+      expect(exported.body.error).toBe('API key is missing the export:read scope');
+    });
+
+    test('should write and export as the key owner', async () => {
+      const { key, apiKey } = await createKey(['tokens:write', 'export:read']);
+
+      const created = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${key}`)
+        .send({ name: 'spacing-md', category: 'spacing', value: '16px' })
+        .expect(201);
+      expect(created.body.createdBy.username).toBe('admin');
+
+      const audit = await AuditEvent.findOne({ action: 'token.create' });
+      expect(audit.metadata.apiKey).toEqual({ id: apiKey._id.toString(), name: 'CI' });
+
+      await request(app)
+        .get('/api/tokens/export?format=css')
+        .set('Authorization', `Bearer ${key}`)
+        .expect(200);
+    });
+
+    test('should reject revoked, expired and unknown keys', async () => {
+      const revoked = await createKey(['tokens:read'], { revokedAt: new Date() });
+      const expired = await createKey(['tokens:read'], { expiresAt: new Date(Date.now() - 1000) });
+
+      for (const key of [revoked.key, expired.key, generateApiKey().key]) {
+        const response = await request(app)
+          .get('/api/tokens')
+          .set('Authorization', `Bearer ${key}`)
+          .expect(401);
+        expect(response.body.error).toBe('Invalid, expired or revoked API key');
+      }
+    });
+  });
+});
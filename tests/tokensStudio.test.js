@@ -0,0 +1,117 @@
+const { isTokensStudioDocument, evaluateMath, fromTokensStudio, toTokensStudio } = require('../utils/tokensStudio');
+const { extractReferences } = require('../utils/tokenReferences');
+
+describe('Tokens Studio format', () => {
+  const doc = {
+    global: {
+      spacing: {
+        base: { value: '8', type: 'spacing' },
+        lg: { value: '{spacing.base} * 2', type: 'spacing' }
+      },
+      colors: {
+        white: { value: '#ffffff', type: 'color', description: 'Page background' },
+        black: { value: '#000000', type: 'color' }
+      },
+      shadow: {
+        card: { value: { x: '0', y: '1', blur: '2', spread: '0', color: 'rgba(0,0,0,0.1)', type: 'dropShadow' }, type: 'boxShadow' }
+      }
+    },
+    light: {
+      bg: { value: '{colors.white}', type: 'color' },
+      gutter: { value: '{spacing.base} * 3', type: 'spacing' }
+    },
+    dark: {
+      bg: { value: '{colors.black}', type: 'color' },
+      gutter: { value: '{spacing.base} * 4', type: 'spacing' }
+    },
+    $themes: [
+      { id: '1', name: 'Light', selectedTokenSets: { global: 'source', light: 'enabled' } },
+      { id: '2', name: 'Dark Mode', selectedTokenSets: { global: 'source', dark: 'enabled' } }
+    ],
+    $metadata: { tokenSetOrder: ['global', 'light', 'dark'] }
+  };
+
+  test('should detect Tokens Studio files', () => {
+    expect(isTokensStudioDocument(doc)).toBe(true);
+    expect(isTokensStudioDocument({ color: { primary: { value: '#fff', type: 'color' } } })).toBe(true);
+    expect(isTokensStudioDocument({ color: { primary: { $value: '#fff' } } })).toBe(false);
+    expect(isTokensStudioDocument({ tokens: [] })).toBe(false);
+  });
+
+  test('should evaluate simple math with units', () => {
+    expect(evaluateMath('8px * 2')).toBe('16px');
+    expect(evaluateMath('(4 + 4) * 2px')).toBe('16px');
+    expect(evaluateMath('16px / 2')).toBe('8px');
+    expect(evaluateMath('2 * -3px')).toBe('-6px');
+    expect(evaluateMath('10px - 2rem')).toBeNull();
+    expect(evaluateMath('1px solid')).toBeNull();
+    expect(evaluateMath('8')).toBeNull();
+  });
+
+  test('should map sets to tags and themes to modes', () => {
+    const { tokens, modes } = fromTokensStudio(doc);
+    const byName = Object.fromEntries(tokens.map(token => [token.name, token]));
+
+    expect(modes.map(mode => mode.name)).toEqual(['light', 'dark-mode']);
+    expect(byName['colors.white']).toMatchObject({
+      category: 'color',
+      value: '#ffffff',
+      description: 'Page background',
+      tags: ['global']
+    });
+    expect(byName.bg).toMatchObject({
+      value: '{colors.white}',
+      tags: ['light', 'dark'],
+      modeValues: { 'dark-mode': '{colors.black}' }
+    });
+  });
+
+  test('should evaluate math references and keep the expression', () => {
+    const { tokens } = fromTokensStudio(doc);
+    const byName = Object.fromEntries(tokens.map(token => [token.name, token]));
+
+    expect(byName['spacing.base'].value).toBe('8px');
+    expect(byName['spacing.lg'].value).toBe('16px');
+    expect(byName['spacing.lg'].extensions.tokensStudio.expression).toBe('{spacing.base} * 2');
+    expect(byName.gutter.value).toBe('24px');
+    expect(byName.gutter.modeValues).toEqual({ 'dark-mode': '32px' });
+  });
+
+  test('should store composite values as JSON that is not read as a reference', () => {
+    const { tokens } = fromTokensStudio(doc);
+    const card = tokens.find(token => token.name === 'shadow.card');
+
+    expect(card.category).toBe('shadow');
+    expect(JSON.parse(card.value)).toEqual([
+      { offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px', color: 'rgba(0,0,0,0.1)', inset: false }
+    ]);
+    expect(extractReferences(card.value)).toEqual([]);
+  });
+
+  test('should export a file with sets and themes the plugin can load', () => {
+    const { tokens, modes } = fromTokensStudio(doc);
+    const exported = toTokensStudio(tokens, modes.map(mode => mode.name));
+
+    expect(exported.global.spacing.lg).toEqual({ value: '{spacing.base} * 2', type: 'spacing' });
+    expect(exported.global.shadow.card.value).toMatchObject({ x: '0px', y: '1px', type: 'dropShadow' });
+    expect(exported['dark-mode'].gutter).toEqual({ value: '{spacing.base} * 4', type: 'spacing' });
+    expect(exported.$themes.find(theme => theme.name === 'dark-mode').selectedTokenSets)
+      .toEqual({ global: 'source', 'dark-mode': 'enabled' });
+    expect(exported.$metadata.tokenSetOrder).toEqual(['global', 'dark-mode']);
+  });
+
+  test('should round-trip import to export without losing tokens', () => {
+    const { tokens, modes } = fromTokensStudio(doc);
+    const again = fromTokensStudio(toTokensStudio(tokens, modes.map(mode => mode.name)));
+    const values = (list) => Object.fromEntries(list.map(token => [token.name, [token.value, token.modeValues]]));
+
+    expect(values(again.tokens)).toEqual(values(tokens));
+  });
+
+  test('should export the value rather than a stale expression', () => {
+    const { tokens } = fromTokensStudio(doc);
+    const edited = tokens.map(token => (token.name === 'spacing.lg' ? { ...token, value: '20px' } : token));
+
+    expect(toTokensStudio(edited, []).global.spacing.lg.value).toBe('20px');
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const userRoutes = require('../routes/users');
+const authRoutes = require('../routes/auth');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const AuditEvent = require('../models/AuditEvent');
+const { generateApiKey, findActiveApiKey } = require('../utils/apiKeys');
+const { signSessionToken } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use('/api/auth', authRoutes);
+
+describe('User Routes', () => {
+  let admin;
+  let designer;
+  let developer;
+  let adminToken;
+  let designerToken;
+
+  const createUser = async (username, role) => User.create({
+    username,
+    email: `${username}@example.com`,
+    password: await bcrypt.hash('password123', 10),
+    role
+  });
+
+  const login = async (username) => (await request(app)
+    .post('/api/auth/login')
+    .send({ email: `${username}@example.com`, password: 'password123' })
+    .expect(200)).body;
+
+  const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+  beforeEach(async () => {
+    admin = await createUser('admin', 'admin');
+    designer = await createUser('designer', 'designer');
+    developer = await createUser('dev', 'developer');
+    adminToken = (await login('admin')).token;
+    designerToken = (await login('designer')).token;
+  });
+
+  describe('GET /api/users', () => {
+    test('should list users without passwords', async () => {
+      const response = await request(app).get('/api/users').set(auth(adminToken)).expect(200);
+
+      expect(response.body.users.map(user => user.username)).toEqual(['admin', 'designer', 'dev']);
+      expect(response.body.users[0]).not.toHaveProperty('password');
+      expect(response.body.roles).toEqual(['admin', 'designer', 'developer']);
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    test('should search and filter by role and status', async () => {
+      await User.updateOne({ _id: designer._id }, { active: false });
+
+      const search = await request(app).get('/api/users?search=DEV@').set(auth(adminToken)).expect(200);
+      expect(search.body.users.map(user => user.username)).toEqual(['dev']);
+
+      const byRole = await request(app).get('/api/users?role=admin').set(auth(adminToken)).expect(200);
+      expect(byRole.body.users.map(user => user.username)).toEqual(['admin']);
+
+      const deactivated = await request(app).get('/api/users?status=deactivated').set(auth(adminToken)).expect(200);
+      expect(deactivated.body.users.map(user => user.username)).toEqual(['designer']);
+    });
+
+    test('should be admin-only', async () => {
+      await request(app).get('/api/users').set(auth(designerToken)).expect(403);
+    });
+  });
+
+  describe('PUT /api/users/:id', () => {
+    test('should change the role and end the user sessions', async () => {
+      const response = await request(app)
+        .put(`/api/users/${designer._id}`)
+        .set(auth(adminToken))
+        .send({ role: 'developer' })
+        .expect(200);
+
+      expect(response.body.user.role).toBe('developer');
+      await request(app).get('/api/auth/verify').set(auth(designerToken)).expect(401);
+
+      const audit = await AuditEvent.findOne({ action: 'user.update' });
+      expect(audit.before).toEqual({ role: 'designer' });
+      expect(audit.after).toEqual({ role: 'developer' });
+    });
+
+    test('should reject unknown roles', async () => {
+      const response = await request(app)
+        .put(`/api/users/${designer._id}`)
+        .set(auth(adminToken))
+        .send({ role: 'owner' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Role must be one of: admin, designer, developer');
+    });
+
+    test('should not let admins change their own role', async () => {
+      await request(app)
+        .put(`/api/users/${admin._id}`)
+        .set(auth(adminToken))
+        .send({ role: 'designer' })
+        .expect(400);
+    });
+  });
+
+  describe('Deactivation', () => {
+    test('should sign the user out and block login and API keys until reactivated', async () => {
+      const { key, keyHash, prefix } = generateApiKey();
+      await ApiKey.create({ name: 'CI', user: designer._id, keyHash, prefix, scopes: ['tokens:read'] });
+
+      await request(app).post(`/api/users/${designer._id}/deactivate`).set(auth(adminToken)).expect(200);
+
+      await request(app).get('/api/auth/verify').set(auth(designerToken)).expect(401);
+      const denied = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'designer@example.com', password: 'password123' })
+        .expect(403);
+      expect(denied.body.error).toBe('Account is deactivated');
+      expect(await findActiveApiKey(key)).toBeNull();
+
+      await request(app).post(`/api/users/${designer._id}/reactivate`).set(auth(adminToken)).expect(200);
+      await login('designer');
+      expect(await findActiveApiKey(key)).not.toBeNull();
+    });
+
+    test('should not let admins deactivate themselves', async () => {
+      const response = await request(app).post(`/api/users/${admin._id}/deactivate`).set(auth(adminToken)).expect(400);
+
+      expect(response.body.error).toBe('You cannot deactivate your own account');
+    });
+
+    test('should keep at least one active admin', async () => {
+      // A token issued while the developer was still an admin
+      const staleToken = await signSessionToken({ id: developer._id, username: 'dev', role: 'admin' });
+
+      const response = await request(app).post(`/api/users/${admin._id}/deactivate`).set(auth(staleToken)).expect(400);
+      expect(response.body.error).toBe('At least one active admin is required');
+
+      await request(app)
+        .put(`/api/users/${admin._id}`)
+        .set(auth(staleToken))
+        .send({ role: 'designer' })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    test('should delete the user with their sessions and API keys', async () => {
+      const { keyHash, prefix } = generateApiKey();
+      await ApiKey.create({ name: 'CI', user: designer._id, keyHash, prefix, scopes: ['tokens:read'] });
+
+      await request(app).delete(`/api/users/${designer._id}`).set(auth(adminToken)).expect(200);
+
+      expect(await User.findById(designer._id)).toBeNull();
+      expect(await Session.countDocuments({ user: designer._id })).toBe(0);
+      expect(await ApiKey.countDocuments({ user: designer._id })).toBe(0);
+    });
+
+    test('should return 404 for unknown users and 400 for bad IDs', async () => {
+      await request(app).delete('/api/users/507f1f77bcf86cd799439011').set(auth(adminToken)).expect(404);
+      await request(app).delete('/api/users/not-an-id').set(auth(adminToken)).expect(400);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const webhookRoutes = require('../routes/webhooks');
+const tokenRoutes = require('../routes/tokens');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const { signPayload, backoffDelay, startWebhookDispatcher } = require('../utils/webhooks');
+const { signSessionToken, newUserId } = require('./helpers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/tokens', tokenRoutes);
+
+const waitFor = async (check, timeout = 5000) => {
+  const started = Date.now();
+  while (Date.now() - started < timeout) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out waiting');
+};
+
+describe('Webhook Routes', () => {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let statuses;
+  let adminToken;
+  let designerToken;
+
+  beforeAll(async () => {
+    process.env.WEBHOOK_RETRY_BASE_MS = '20';
+
+    // Local receiver: records requests and answers with the next queued status
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_RETRY_BASE_MS;
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    statuses = [];
+
+    const adminUser = await new User({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'hashedpassword',
+      role: 'admin'
+    }).save();
+
+    adminToken = await signSessionToken({ id: adminUser._id.toString(), username: adminUser.username, role: adminUser.role });
+
+    designerToken = await signSessionToken({ id: newUserId(), username: 'designer', role: 'designer' });
+  });
+
+  const createWebhook = (data) => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ url: receiverUrl, events: ['token.created'], ...data });
+
+  test('should create webhooks as admin and only return the secret once', async () => {
+    const created = await createWebhook().expect(201);
+    expect(created.body.secret).toHaveLength(48);
+
+    const list = await request(app)
+      .get('/api/webhooks')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(list.body.webhooks).toHaveLength(1);
+    expect(list.body.webhooks[0]).not.toHaveProperty('secret');
+    expect(list.body.events).toContain('release.published');
+
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', `Bearer ${designerToken}`)
+      .send({ url: receiverUrl, events: ['*'] })
+      .expect(403);
+  });
+
+  test('should reject bad urls and unknown events', async () => {
+    let response = await createWebhook({ url: 'ftp://example.com' }).expect(400);
+    expect(response.body.error).toBe('Webhook url must use http or https');
+
+    response = await createWebhook({ events: ['token.renamed'] }).expect(400);
+    expect(response.body.error).toMatch(/^Unknown event: token.renamed/);
+  });
+
+  test('should send a signed test event', async () => {
+    const created = await createWebhook({ secret: 'shared-secret' }).expect(201);
+
+    const response = await request(app)
+      .post(`/api/webhooks/${created.body._id}/test`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ event: 'webhook.test', status: 'succeeded' });
+    expect(response.body.attempts[0]).toMatchObject({ attempt: 1, statusCode: 200 });
+
+    const [{ headers, body }] = received;
+    expect(headers['x-webhook-event']).toBe('webhook.test');
+    expect(headers['x-webhook-signature']).toBe(signPayload('shared-secret', headers['x-webhook-timestamp'], body));
+    expect(JSON.parse(body).data.webhook).toBe(created.body._id);
+  });
+
+  test('should retry failed deliveries with backoff', async () => {
+    const created = await createWebhook().expect(201);
+    statuses = [500, 503];
+
+    const response = await request(app)
+      .post(`/api/webhooks/${created.body._id}/test`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.status).toBe('pending');
+    expect(response.body.attempts[0]).toMatchObject({ statusCode: 500, error: 'Receiver responded with 500' });
+
+    const delivery = await waitFor(async () => {
+      const current = await WebhookDelivery.findById(response.body._id);
+      return current.status === 'succeeded' && current;
+    });
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 503, 200]);
+
+    const log = await request(app)
+      .get(`/api/webhooks/${created.body._id}/deliveries`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(log.body.deliveries).toHaveLength(1);
+  });
+
+  test('should deliver token events to subscribed webhooks', async () => {
+    const stop = startWebhookDispatcher();
+    try {
+      await createWebhook({ events: ['token.created'] }).expect(201);
+      await createWebhook({ events: ['release.published'] }).expect(201);
+
+      await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'primary-blue', category: 'color', value: '#3B82F6' })
+        .expect(201);
+
+      await waitFor(() => received.length === 1);
+      const payload = JSON.parse(received[0].body);
+      expect(payload).toMatchObject({ type: 'token.created', actor: { username: 'admin' } });
+      expect(payload.data.token).toMatchObject({ name: 'primary-blue', value: '#3B82F6' });
+    } finally {
+      stop();
+    }
+  });
+
+  test('should delete a webhook with its delivery log', async () => {
+    const created = await createWebhook().expect(201);
+    await request(app)
+      .post(`/api/webhooks/${created.body._id}/test`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/webhooks/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(await Webhook.countDocuments()).toBe(0);
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+  });
+
+  test('should audit webhook changes without recording the secret', async () => {
+    const created = await createWebhook().expect(201);
+    const put = (data) => request(app)
+      .put(`/api/webhooks/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(data)
+      .expect(200);
+
+    await put({ events: ['*'] });
+    await put({ rotateSecret: true });
+    await request(app)
+      .delete(`/api/webhooks/${created.body._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const events = await AuditEvent.find({ targetType: 'webhook' }).sort({ createdAt: 1, _id: 1 }).lean();
+    expect(events.map(event => event.action)).toEqual(['webhook.create', 'webhook.update', 'webhook.rotate_secret', 'webhook.delete']);
+    expect(events[1].before.events).toEqual(['token.created']);
+    expect(events[1].after.events).toEqual(['*']);
+    expect(JSON.stringify(events)).not.toContain(created.body.secret);
+  });
+});
+
+describe('Webhook signing', () => {
+  test('should sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    expect(signPayload('secret', '1700000000', '{"a":1}')).toBe(`sha256=${expected}`);
+  });
+
+  test('should double the retry delay after each attempt', () => {
+    expect([1, 2, 3, 4].map(attempt => backoffDelay(attempt, 1000))).toEqual([1000, 2000, 4000, 8000]);
+  });
+});
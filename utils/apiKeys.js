@@ -0,0 +1,91 @@
+// API keys for scripts and CI, sent as `Authorization: Bearer dsm_...` or
+// `X-API-Key`. A key is limited to its scopes: `<resource>:read` for GET
+// requests and `<resource>:write` for the rest, where the resource is the
+// router the request goes to (/api/tokens -> tokens). Exports need
+// `export:read` instead. Auth and user routes take no scope, so keys cannot
+// manage keys, sessions or accounts.
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const API_KEY_PREFIX = 'dsm_';
+
+const SCOPES = {
+  'tokens:read': 'Read tokens, their history and dependents',
+  'tokens:write': 'Create, update, delete and upload tokens',
+  'export:read': 'Export tokens and releases',
+  'modes:read': 'Read modes',
+  'modes:write': 'Manage modes',
+  'releases:read': 'Read releases and diffs',
+  'releases:write': 'Publish releases',
+  'components:read': 'Read components',
+  'components:write': 'Manage components',
+  'change-requests:read': 'Read change requests',
+  'change-requests:write': 'Open, review and comment on change requests',
+  'imports:read': 'Read import jobs',
+  'imports:write': 'Start import jobs',
+  'a11y:read': 'Read contrast pairings and checks',
+  'a11y:write': 'Manage contrast pairings',
+  'graph:read': 'Read the dependency graph',
+  'audit:read': 'Read the audit log',
+  'webhooks:read': 'Read webhooks and deliveries',
+  'webhooks:write': 'Manage and test webhooks',
+  'events:read': 'Subscribe to the event stream'
+};
+
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// A new key with its hash and display prefix; only the hash is stored
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyHash: hashApiKey(key), prefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+};
+
+// Scope a request needs, e.g. GET /api/tokens/:id -> tokens:read
+const scopeFor = (req) => {
+  const resource = String(req.baseUrl || '').replace(/^\/api\//, '').split('/')[0];
+  const read = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  if (read && /\/export$/.test(req.path)) {
+    return 'export:read';
+  }
+  return `${resource}:${read ? 'read' : 'write'}`;
+};
+
+// The key with its owner, or null when it is unknown, revoked or expired or
+// its owner has been deactivated
+const isUsable = (apiKey) => Boolean(apiKey && apiKey.user && apiKey.user.active &&
+  !(apiKey.expiresAt && apiKey.expiresAt <= new Date()));
+
+const findActiveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null }).populate('user');
+  return isUsable(apiKey) ? apiKey : null;
+};
+
+// Whether a key that authenticated earlier, e.g. for a long-lived event
+// stream, can still be used
+const isApiKeyActive = async (apiKeyId) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(String(apiKeyId))) {
+    return false;
+  }
+  return isUsable(await ApiKey.findOne({ _id: apiKeyId, revokedAt: null }).populate('user'));
+};
+
+const touchApiKey = (apiKey) => ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+
+module.exports = {
+  API_KEY_PREFIX,
+  SCOPES,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+  scopeFor,
+  findActiveApiKey,
+  isApiKeyActive,
+  touchApiKey
+};
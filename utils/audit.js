@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+const CSV_FIELDS = ['createdAt', 'actorUsername', 'actor', 'action', 'targetType', 'targetId', 'targetName', 'ip', 'userAgent', 'before', 'after', 'metadata'];
+
+// Append an audit event for `req`. `actor` defaults to the signed-in user;
+// `target` is { type, id, name }. A failed write is logged rather than
+// failing the request, since the audited action has already happened.
+// Requests made with an API key note the key in the metadata.
+const recordAudit = async (req, { action, actor = req.user, target = {}, before = null, after = null, metadata }) => {
+  try {
+    if (actor && actor.apiKey) {
+      metadata = { ...metadata, apiKey: { id: actor.apiKey.id, name: actor.apiKey.name } };
+    }
+    await AuditEvent.create({
+      actor: actor && mongoose.Types.ObjectId.isValid(actor.id) ? actor.id : undefined,
+      actorUsername: actor ? actor.username : undefined,
+      action,
+      targetType: target.type,
+      targetId: target.id ? target.id.toString() : undefined,
+      targetName: target.name,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      before,
+      after,
+      metadata
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Quote every cell, and stop spreadsheets treating values as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '""';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (value instanceof mongoose.Types.ObjectId || typeof value !== 'object') {
+    text = String(value);
+  } else {
+    text = JSON.stringify(value);
+  }
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsv = (events) => [
+  CSV_FIELDS.join(','),
+  ...events.map(event => CSV_FIELDS.map(field => csvCell(event[field])).join(','))
+].join('\n') + '\n';
+
+module.exports = {
+  CSV_FIELDS,
+  recordAudit,
+  toCsv
+};
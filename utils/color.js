@@ -0,0 +1,154 @@
+// Color parsing for hex, rgb(), hsl() and oklch() values. Every color is
+// converted to sRGB channels (0-255) plus alpha (0-1), which is what the
+// contrast checker and the native exporters work with.
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?';
+const HEX_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNCTION_PATTERN = /^(rgba?|hsla?|oklch)\(\s*([^()]*)\)$/i;
+const COMPONENT_PATTERN = new RegExp(`^(${NUMBER})(%|deg)?$`, 'i');
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toHexPair = (value) => Math.round(value).toString(16).padStart(2, '0').toUpperCase();
+
+const toHex = ({ r, g, b, alpha }) => `#${toHexPair(r)}${toHexPair(g)}${toHexPair(b)}${alpha < 1 ? toHexPair(alpha * 255) : ''}`;
+
+const buildColor = (format, r, g, b, alpha = 1) => {
+  const color = {
+    format,
+    r: Math.round(clamp(r, 0, 255)),
+    g: Math.round(clamp(g, 0, 255)),
+    b: Math.round(clamp(b, 0, 255)),
+    alpha: Math.round(clamp(alpha, 0, 1) * 1000) / 1000
+  };
+  color.hex = toHex(color);
+  return color;
+};
+
+const parseHex = (digits) => {
+  const expanded = digits.length <= 4 ? digits.split('').map(digit => digit + digit).join('') : digits;
+  const channels = expanded.match(/.{2}/g).map(pair => parseInt(pair, 16));
+  return buildColor('hex', channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1);
+};
+
+// Split "r g b / a", "r, g, b, a" and "r,g,b" into numeric components
+const parseComponents = (args) => {
+  const [main, slashAlpha] = args.split('/');
+  const parts = main.split(/[\s,]+/).filter(Boolean);
+  if (slashAlpha !== undefined) {
+    parts.push(slashAlpha.trim());
+  }
+
+  const components = parts.map(part => {
+    const match = COMPONENT_PATTERN.exec(part);
+    return match ? { value: Number(match[1]), unit: (match[2] || '').toLowerCase() } : null;
+  });
+  return components.includes(null) ? null : components;
+};
+
+const alphaOf = (component) => {
+  if (!component) {
+    return 1;
+  }
+  return component.unit === '%' ? component.value / 100 : component.value;
+};
+
+const hslToRgb = (h, s, l) => {
+  const hue = ((h % 360) + 360) % 360;
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = l - chroma / 2;
+  const [r, g, b] = hue < 60 ? [chroma, x, 0]
+    : hue < 120 ? [x, chroma, 0]
+      : hue < 180 ? [0, chroma, x]
+        : hue < 240 ? [0, x, chroma]
+          : hue < 300 ? [x, 0, chroma]
+            : [chroma, 0, x];
+  return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+};
+
+// OKLCH -> linear sRGB -> gamma-encoded sRGB (out-of-gamut colors are clamped)
+const oklchToRgb = (l, c, h) => {
+  const hue = (h * Math.PI) / 180;
+  const a = c * Math.cos(hue);
+  const b = c * Math.sin(hue);
+
+  const lCube = (l + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const mCube = (l - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const sCube = (l - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+
+  const linear = [
+    4.0767416621 * lCube - 3.3077115913 * mCube + 0.2309699292 * sCube,
+    -1.2684380046 * lCube + 2.6097574011 * mCube - 0.3413193965 * sCube,
+    -0.0041960863 * lCube - 0.7034186147 * mCube + 1.7076147010 * sCube
+  ];
+
+  return linear.map(channel => {
+    const value = clamp(channel, 0, 1);
+    const encoded = value <= 0.0031308 ? 12.92 * value : 1.055 * (value ** (1 / 2.4)) - 0.055;
+    return encoded * 255;
+  });
+};
+
+const parseFunction = (name, args) => {
+  const components = parseComponents(args);
+  if (!components || components.length < 3 || components.length > 4) {
+    return null;
+  }
+
+  const [first, second, third, alpha] = components;
+  const fn = name.toLowerCase();
+
+  if (fn.startsWith('rgb')) {
+    const channel = component => (component.unit === '%' ? component.value * 2.55 : component.value);
+    if ([first, second, third].some(component => component.unit === 'deg')) {
+      return null;
+    }
+    return buildColor('rgb', channel(first), channel(second), channel(third), alphaOf(alpha));
+  }
+
+  if (fn.startsWith('hsl')) {
+    if (second.unit !== '%' || third.unit !== '%' || first.unit === '%') {
+      return null;
+    }
+    const [r, g, b] = hslToRgb(first.value, second.value / 100, third.value / 100);
+    return buildColor('hsl', r, g, b, alphaOf(alpha));
+  }
+
+  // oklch(L C H): L as 0-1 or %, C as number or % of 0.4, H in degrees
+  if (third.unit === '%') {
+    return null;
+  }
+  const lightness = first.unit === '%' ? first.value / 100 : first.value;
+  const chroma = second.unit === '%' ? (second.value / 100) * 0.4 : second.value;
+  const [r, g, b] = oklchToRgb(lightness, chroma, third.value);
+  return buildColor('oklch', r, g, b, alphaOf(alpha));
+};
+
+// Parsed color, or null when the value is not a supported color
+const parseColor = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  if (text.toLowerCase() === 'transparent') {
+    return buildColor('keyword', 0, 0, 0, 0);
+  }
+
+  const hex = HEX_PATTERN.exec(text);
+  if (hex) {
+    return parseHex(hex[1]);
+  }
+
+  const fn = FUNCTION_PATTERN.exec(text);
+  if (fn) {
+    return parseFunction(fn[1], fn[2]);
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseColor,
+  toHex
+};
@@ -0,0 +1,99 @@
+// WCAG 2.x contrast ratios and APCA lightness contrast for parsed colors
+// (see utils/color.js)
+
+// Minimum WCAG 2.x ratios; large text is 18pt, or 14pt bold
+const WCAG_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// Minimum APCA |Lc| for body text and for large text (headlines)
+const APCA_THRESHOLDS = { normal: 75, large: 60 };
+
+// Semi-transparent colors are composited onto what is behind them
+const composite = (color, backdrop) => {
+  if (color.alpha >= 1) {
+    return color;
+  }
+  const mix = channel => color[channel] * color.alpha + backdrop[channel] * (1 - color.alpha);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), alpha: 1 };
+};
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+const relativeLuminance = ({ r, g, b }) => {
+  const linear = channel => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+};
+
+const wcagContrast = (foreground, background) => {
+  const lighter = Math.max(relativeLuminance(foreground), relativeLuminance(background));
+  const darker = Math.min(relativeLuminance(foreground), relativeLuminance(background));
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// APCA-W3 0.0.98G-4g. Positive Lc is dark text on a light background,
+// negative Lc is light text on a dark background.
+const apcaLuminance = ({ r, g, b }) => {
+  const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.0721750 * (b / 255) ** 2.4;
+  return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+};
+
+const apcaContrast = (foreground, background) => {
+  const text = apcaLuminance(foreground);
+  const back = apcaLuminance(background);
+
+  if (Math.abs(back - text) < 0.0005) {
+    return 0;
+  }
+
+  if (back > text) {
+    const contrast = (back ** 0.56 - text ** 0.57) * 1.14;
+    return contrast < 0.1 ? 0 : (contrast - 0.027) * 100;
+  }
+
+  const contrast = (back ** 0.65 - text ** 0.62) * 1.14;
+  return contrast > -0.1 ? 0 : (contrast + 0.027) * 100;
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Contrast of a foreground color drawn on a background color, with pass/fail
+// flags for every WCAG level and text size
+const checkContrast = (foreground, background) => {
+  const opaqueBackground = composite(background, WHITE);
+  const opaqueForeground = composite(foreground, opaqueBackground);
+
+  const ratio = wcagContrast(opaqueForeground, opaqueBackground);
+  const apca = apcaContrast(opaqueForeground, opaqueBackground);
+
+  const wcag = {};
+  Object.entries(WCAG_THRESHOLDS).forEach(([level, sizes]) => {
+    wcag[level] = {};
+    Object.entries(sizes).forEach(([size, minimum]) => {
+      wcag[level][size] = ratio >= minimum;
+    });
+  });
+
+  return {
+    ratio: round(ratio, 2),
+    wcag,
+    apca: {
+      lc: round(apca, 1),
+      normal: Math.abs(apca) >= APCA_THRESHOLDS.normal,
+      large: Math.abs(apca) >= APCA_THRESHOLDS.large
+    }
+  };
+};
+
+module.exports = {
+  WCAG_THRESHOLDS,
+  APCA_THRESHOLDS,
+  relativeLuminance,
+  wcagContrast,
+  apcaContrast,
+  checkContrast
+};
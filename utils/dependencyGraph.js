@@ -0,0 +1,126 @@
+// Directed graph of which tokens use which. A token depends on another when
+// its value (default or any mode) contains a `{name}` reference or a CSS
+// `var(--name)` pointing at the token's custom property.
+const { extractReferences } = require('./tokenReferences');
+const { formatName } = require('./naming');
+const { valueForMode } = require('./modes');
+
+const VAR_PATTERN = /var\(\s*--([a-zA-Z0-9_-]+)/g;
+
+// Token names by the CSS custom property they are exported as (and by their
+// own name, for kebab-case names used verbatim)
+const buildCssNameMap = (tokens) => {
+  const cssNames = new Map();
+  tokens.forEach(token => {
+    cssNames.set(token.name, token.name);
+    cssNames.set(formatName(token.name), token.name);
+  });
+  return cssNames;
+};
+
+// [{ name, kind }] for every token a value depends on
+const extractDependencies = (value, cssNames) => {
+  if (typeof value !== 'string') {
+    return [];
+  }
+
+  const dependencies = extractReferences(value).map(name => ({ name, kind: 'reference' }));
+  for (const match of value.matchAll(VAR_PATTERN)) {
+    const name = cssNames.get(match[1]);
+    if (name && !dependencies.some(dependency => dependency.name === name)) {
+      dependencies.push({ name, kind: 'var' });
+    }
+  }
+  return dependencies;
+};
+
+// { nodes: [{ name, category }], edges: [{ from, to, kind, modes }] } where
+// `from` uses `to`. `modes` lists where the edge exists; null is the default value.
+const buildDependencyGraph = (tokens, modes = []) => {
+  const cssNames = buildCssNameMap(tokens);
+  const names = new Set(tokens.map(token => token.name));
+  const edges = new Map();
+
+  tokens.forEach(token => {
+    [null, ...modes].forEach(mode => {
+      extractDependencies(valueForMode(token, mode), cssNames).forEach(({ name, kind }) => {
+        if (name === token.name || !names.has(name)) {
+          return;
+        }
+        const key = `${token.name}\n${name}`;
+        if (!edges.has(key)) {
+          edges.set(key, { from: token.name, to: name, kind, modes: [] });
+        }
+        edges.get(key).modes.push(mode);
+      });
+    });
+  });
+
+  return {
+    nodes: tokens.map(token => ({ name: token.name, category: token.category })),
+    edges: [...edges.values()]
+  };
+};
+
+// Tokens that use `name` directly, and every token that depends on it
+// through other tokens
+const findDependents = (name, graph) => {
+  const direct = graph.edges.filter(edge => edge.to === name);
+
+  const transitive = new Set();
+  const queue = [name];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    graph.edges.filter(edge => edge.to === current).forEach(edge => {
+      if (edge.from !== name && !transitive.has(edge.from)) {
+        transitive.add(edge.from);
+        queue.push(edge.from);
+      }
+    });
+  }
+
+  return {
+    direct: direct.map(({ from, kind, modes }) => ({ name: from, kind, modes })),
+    transitive: [...transitive]
+  };
+};
+
+// Only the given tokens and the edges between them
+const filterGraph = (graph, names) => {
+  const keep = new Set(names);
+  return {
+    nodes: graph.nodes.filter(node => keep.has(node.name)),
+    edges: graph.edges.filter(edge => keep.has(edge.from) && keep.has(edge.to))
+  };
+};
+
+const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const toDot = (graph) => [
+  'digraph tokens {',
+  '  rankdir=LR;',
+  ...graph.nodes.map(node => `  ${quote(node.name)} [label=${quote(node.name)}${node.category ? `, group=${quote(node.category)}` : ''}];`),
+  ...graph.edges.map(edge => `  ${quote(edge.from)} -> ${quote(edge.to)}${edge.kind === 'var' ? ' [style=dashed]' : ''};`),
+  '}',
+  ''
+].join('\n');
+
+// Mermaid ids cannot contain dots or dashes reliably, so nodes get n0, n1, ...
+const toMermaid = (graph) => {
+  const ids = new Map(graph.nodes.map((node, i) => [node.name, `n${i}`]));
+  return [
+    'graph LR',
+    ...graph.nodes.map(node => `  ${ids.get(node.name)}["${node.name.replace(/"/g, '#quot;')}"]`),
+    ...graph.edges.map(edge => `  ${ids.get(edge.from)} ${edge.kind === 'var' ? '-.->' : '-->'} ${ids.get(edge.to)}`),
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  extractDependencies,
+  buildDependencyGraph,
+  findDependents,
+  filterGraph,
+  toDot,
+  toMermaid
+};
@@ -0,0 +1,143 @@
+// W3C Design Tokens Community Group (DTCG) format support.
+// Nested groups are flattened into dotted token names (`color.brand.primary`),
+// which is also the path syntax DTCG aliases use, so `{color.brand.primary}`
+// references work unchanged on both sides.
+const { isAlias, extractReferences } = require('./tokenReferences');
+
+// $type used for exported tokens that were not imported with one
+const CATEGORY_TYPES = {
+  color: 'color',
+  spacing: 'dimension',
+  size: 'dimension',
+  duration: 'duration',
+  'cubic-bezier': 'cubicBezier',
+  shadow: 'shadow',
+  border: 'border'
+};
+
+const NUMERIC_TYPES = ['number', 'fontWeight'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// True when `doc` looks like a DTCG document rather than `{ tokens: [...] }`
+const isDtcgDocument = (doc) => {
+  if (!isPlainObject(doc) || Array.isArray(doc.tokens)) {
+    return false;
+  }
+
+  const hasToken = (node) => isPlainObject(node) && ('$value' in node ||
+    Object.keys(node).some(key => !key.startsWith('$') && hasToken(node[key])));
+  return hasToken(doc);
+};
+
+// DTCG values may be numbers, arrays or objects; tokens store strings
+const serializeValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+const parseValue = (value, type) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if (/^[[{]/.test(trimmed) && !isAlias(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  if (NUMERIC_TYPES.includes(type) && trimmed !== '' && !isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+
+  return value;
+};
+
+// Flatten a DTCG document into token data accepted by the upload route
+const fromDtcg = (doc) => {
+  const tokens = [];
+
+  const walk = (node, path, inheritedType) => {
+    const type = node.$type || inheritedType;
+
+    if ('$value' in node) {
+      const token = {
+        name: path.join('.'),
+        category: path.length > 1 ? path[0] : (type || 'uncategorized'),
+        value: serializeValue(node.$value),
+        description: node.$description || ''
+      };
+      if (type) {
+        token.type = type;
+      }
+      if (node.$extensions) {
+        token.extensions = node.$extensions;
+      }
+      tokens.push(token);
+      return;
+    }
+
+    Object.keys(node)
+      .filter(key => !key.startsWith('$') && isPlainObject(node[key]))
+      .forEach(key => walk(node[key], [...path, key], type));
+  };
+
+  walk(doc, [], undefined);
+
+  // Untyped aliases take the $type of the token they point to
+  const byName = new Map(tokens.map(token => [token.name, token]));
+  const typeOf = (token, seen = new Set()) => {
+    if (token.type || seen.has(token.name) || !isAlias(token.value)) {
+      return token.type;
+    }
+    seen.add(token.name);
+    const target = byName.get(extractReferences(token.value)[0]);
+    return target ? typeOf(target, seen) : undefined;
+  };
+  tokens.forEach(token => {
+    const type = typeOf(token);
+    if (type) {
+      token.type = type;
+    }
+  });
+
+  return tokens;
+};
+
+// Build a nested DTCG document from tokens
+const toDtcg = (tokens) => {
+  const doc = {};
+
+  tokens.forEach(token => {
+    const path = token.name.split('.');
+    const group = path.slice(0, -1).reduce((parent, key) => {
+      if (!isPlainObject(parent[key])) {
+        parent[key] = {};
+      }
+      return parent[key];
+    }, doc);
+
+    const type = token.type || CATEGORY_TYPES[token.category];
+    const node = { $value: parseValue(token.value, type) };
+    if (type) {
+      node.$type = type;
+    }
+    if (token.description) {
+      node.$description = token.description;
+    }
+    if (token.extensions && Object.keys(token.extensions).length > 0) {
+      node.$extensions = token.extensions;
+    }
+
+    group[path[path.length - 1]] = node;
+  });
+
+  return doc;
+};
+
+module.exports = {
+  isDtcgDocument,
+  fromDtcg,
+  toDtcg
+};
@@ -0,0 +1,54 @@
+// In-process bus for domain events. Routes publish after a change is saved;
+// webhooks (utils/webhooks.js) and other listeners subscribe.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { diffSnapshots } = require('./revisions');
+
+const EVENT_TYPES = [
+  'token.created',
+  'token.updated',
+  'token.deleted',
+  'tokens.uploaded',
+  'component.created',
+  'component.updated',
+  'component.deleted',
+  'release.published'
+];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// { id, type, createdAt, actor, data }
+const createEvent = (type, data, actor) => ({
+  id: crypto.randomUUID(),
+  type,
+  createdAt: new Date().toISOString(),
+  actor: actor ? { id: actor.id, username: actor.username } : null,
+  data
+});
+
+const publishEvent = (type, data, actor) => {
+  const event = createEvent(type, data, actor);
+  bus.emit('event', event);
+  return event;
+};
+
+// token.created, token.updated or token.deleted from revision snapshots
+// (utils/revisions.js) of the token before and after the change
+const publishTokenEvent = (action, tokenId, { before = null, after = null }, actor) => publishEvent(`token.${action}d`, {
+  token: { id: tokenId.toString(), ...(after || before) },
+  changes: before && after ? diffSnapshots(before, after) : undefined
+}, actor);
+
+const subscribe = (listener) => {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+module.exports = {
+  EVENT_TYPES,
+  createEvent,
+  publishEvent,
+  publishTokenEvent,
+  subscribe
+};
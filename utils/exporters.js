@@ -0,0 +1,348 @@
+const { formatName, JS_RESERVED_WORDS, toIdentifier, findNameCollisions } = require('./naming');
+const { REFERENCE_PATTERN, buildValueMap, extractReferences, resolveToken } = require('./tokenReferences');
+const { toDtcg } = require('./dtcg');
+const { toTokensStudio } = require('./tokensStudio');
+const { collectModes, getModeValues, hasModeValue, valueForMode } = require('./modes');
+const { buildIosFiles, buildAndroidFiles } = require('./nativeExports');
+const { createZip } = require('./zip');
+const { buildTailwindTheme } = require('./tailwind');
+
+const HEADER = 'Generated by Design System Manager. Do not edit directly.';
+
+// Two or more tokens would get the same name in the exported file
+class ExportNameError extends Error {
+  constructor(message, collisions) {
+    super(message);
+    this.name = 'ExportNameError';
+    this.collisions = collisions;
+  }
+}
+
+// Order tokens so referenced tokens are declared before the tokens that use them
+// (SCSS and Less variables must be defined before use).
+const orderByReferences = (tokens) => {
+  const byName = new Map(tokens.map(token => [token.name, token]));
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (token) => {
+    if (visited.has(token.name)) {
+      return;
+    }
+    visited.add(token.name);
+    extractReferences(token.value).forEach(ref => {
+      if (byName.has(ref)) {
+        visit(byName.get(ref));
+      }
+    });
+    ordered.push(token);
+  };
+
+  tokens.forEach(visit);
+  return ordered;
+};
+
+// References to tokens included in the export are kept as references in the
+// target language; anything else is replaced by its resolved value.
+const rewriteReferences = (value, context, formatReference) => value.replace(REFERENCE_PATTERN, (match, ref) => {
+  if (formatReference && context.names.has(ref)) {
+    return formatReference(ref);
+  }
+  try {
+    return resolveToken(ref, context.values, context.cache);
+  } catch (error) {
+    return match;
+  }
+});
+
+// A description as comment text: line breaks would end `//` comments and
+// `*/` would end block comments, letting the rest run as code
+const commentText = (text) => String(text).replace(/[\r\n\f\u2028\u2029]+/g, ' ').replace(/\*\//g, '* /');
+
+const comment = (text, open, close = '') => (text ? ` ${open} ${commentText(text)}${close}` : '');
+
+const renderVariables = (tokens, context, { declare, reference, commentOpen, commentClose }) => orderByReferences(tokens)
+  .map(token => {
+    const value = rewriteReferences(token.value, context, reference);
+    return `${declare(context.name(token.name))}: ${value};${comment(token.description, commentOpen, commentClose)}`;
+  });
+
+// Tokens with their own value in `mode`
+const modeOverrides = (tokens, mode) => tokens
+  .filter(token => hasModeValue(token, mode))
+  .map(token => ({ ...token, value: valueForMode(token, mode) }));
+
+// Default values in :root, then one [data-theme] block per mode that only
+// overrides what changes; var() references pick up the overrides at runtime.
+const renderCss = (tokens, context) => {
+  const block = (selector, blockTokens, blockContext) => {
+    const lines = renderVariables(blockTokens, blockContext, {
+      declare: name => `  --${name}`,
+      reference: ref => `var(--${context.name(ref)})`,
+      commentOpen: '/*',
+      commentClose: ' */'
+    });
+    return `${selector} {\n${lines.join('\n')}\n}`;
+  };
+
+  const blocks = [block(':root', tokens, context)];
+  context.modes.forEach(mode => {
+    const overrides = modeOverrides(tokens, mode);
+    if (overrides.length > 0) {
+      blocks.push(block(`[data-theme="${mode}"]`, overrides, context.forMode(mode)));
+    }
+  });
+
+  return `/* ${HEADER} */\n${blocks.join('\n\n')}\n`;
+};
+
+const renderScss = (tokens, context) => {
+  const lines = renderVariables(tokens, context, {
+    declare: name => `$${name}`,
+    reference: ref => `$${context.name(ref)}`,
+    commentOpen: '//'
+  });
+  return `// ${HEADER}\n${lines.join('\n')}\n`;
+};
+
+const renderLess = (tokens, context) => {
+  const lines = renderVariables(tokens, context, {
+    declare: name => `@${name}`,
+    reference: ref => `@${context.name(ref)}`,
+    commentOpen: '//'
+  });
+  return `// ${HEADER}\n${lines.join('\n')}\n`;
+};
+
+// Names the JS and TS modules cannot give a token's constant: reserved
+// words and the module's own exports
+const MODULE_RESERVED_WORDS = new Set([...JS_RESERVED_WORDS, 'tokens', 'themes']);
+
+// Name of a token's constant in the JS and TS modules
+const moduleName = (context, tokenName) => toIdentifier(context.name(tokenName), MODULE_RESERVED_WORDS);
+
+const renderModuleConstants = (tokens, context) => tokens.map(token => {
+  const name = moduleName(context, token.name);
+  const value = rewriteReferences(token.value, context);
+  const doc = token.description ? `/** ${commentText(token.description)} */\n` : '';
+  return { name, line: `${doc}export const ${name} = ${JSON.stringify(value)};` };
+});
+
+// Resolved values that differ from the defaults in each mode, including
+// tokens that only change because something they reference does
+const renderThemes = (tokens, context) => context.modes.map(mode => {
+  const modeContext = context.forMode(mode);
+  const entries = tokens
+    .map(token => ({
+      name: moduleName(context, token.name),
+      value: rewriteReferences(valueForMode(token, mode), modeContext),
+      defaultValue: rewriteReferences(token.value, context)
+    }))
+    .filter(entry => entry.value !== entry.defaultValue)
+    .map(entry => `${entry.name}: ${JSON.stringify(entry.value)}`);
+
+  return entries.length > 0 ? `  ${JSON.stringify(mode)}: { ${entries.join(', ')} }` : null;
+}).filter(Boolean);
+
+const renderModule = (tokens, context, asConst) => {
+  const constants = renderModuleConstants(tokens, context);
+  const themes = renderThemes(tokens, context);
+  const suffix = asConst ? ' as const' : '';
+
+  return [
+    `// ${HEADER}`,
+    ...constants.map(constant => constant.line),
+    '',
+    `export const tokens = { ${constants.map(constant => constant.name).join(', ')} }${suffix};`,
+    ...(themes.length > 0 ? [`export const themes = {\n${themes.join(',\n')}\n}${suffix};`] : []),
+    ...(asConst ? ['export type TokenName = keyof typeof tokens;'] : []),
+    'export default tokens;',
+    ''
+  ].join('\n');
+};
+
+const renderJs = (tokens, context) => renderModule(tokens, context, false);
+
+const renderTs = (tokens, context) => renderModule(tokens, context, true);
+
+// Same shape that POST /api/tokens/upload accepts
+const renderJson = (tokens) => JSON.stringify({
+  tokens: tokens.map(token => {
+    const data = {
+      name: token.name,
+      category: token.category,
+      value: token.value,
+      description: token.description || '',
+      tags: token.tags || []
+    };
+    const modeValues = getModeValues(token);
+    if (Object.keys(modeValues).length > 0) {
+      data.modeValues = modeValues;
+    }
+    return data;
+  })
+}, null, 2);
+
+const renderDtcg = (tokens) => JSON.stringify(toDtcg(tokens), null, 2);
+
+// Token sets and themes for the Tokens Studio (Figma Tokens) plugin
+const renderTokensStudio = (tokens, context) => JSON.stringify(toTokensStudio(tokens, context.modes), null, 2);
+
+// Indent every line after the first, for nesting JSON in generated code
+const indentJson = (value, indent) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+
+// Tailwind theme.extend. With `cssVariables` plain values become var(--name)
+// and a plugin declares the variables, with a [data-theme] block per mode, so
+// themes still switch at runtime.
+const renderTailwind = (tokens, context) => {
+  const entries = tokens.map(token => {
+    const resolved = rewriteReferences(token.value, context);
+    const plain = !/^[[{]/.test(resolved.trim());
+    return {
+      name: token.name,
+      category: token.category,
+      type: token.type,
+      resolved,
+      variable: context.cssVariables && plain ? `var(--${context.name(token.name)})` : null
+    };
+  });
+
+  const variables = tokens.filter((token, i) => entries[i].variable);
+  const names = new Set(variables.map(token => token.name));
+  const declare = (blockTokens, blockContext) => Object.fromEntries(blockTokens.map(token => [
+    `--${context.name(token.name)}`,
+    rewriteReferences(token.value, { ...blockContext, names }, ref => `var(--${context.name(ref)})`)
+  ]));
+
+  const base = {};
+  if (variables.length > 0) {
+    base[':root'] = declare(variables, context);
+    context.modes.forEach(mode => {
+      const overrides = modeOverrides(variables, mode);
+      if (overrides.length > 0) {
+        base[`[data-theme="${mode}"]`] = declare(overrides, context.forMode(mode));
+      }
+    });
+  }
+
+  return [
+    `// ${HEADER}`,
+    '/** @type {import(\'tailwindcss\').Config} */',
+    'module.exports = {',
+    `  theme: ${indentJson({ extend: buildTailwindTheme(entries) }, '  ')}${variables.length > 0 ? ',' : ''}`,
+    ...(variables.length > 0 ? [
+      '  plugins: [',
+      `    ({ addBase }) => addBase(${indentJson(base, '    ')})`,
+      '  ]'
+    ] : []),
+    '};',
+    ''
+  ].join('\n');
+};
+
+// Native platforms only have a light/dark switch, so the `dark` mode is the
+// one mode they export
+const NATIVE_DARK_MODE = 'dark';
+
+const nativeEntries = (tokens, context) => {
+  const dark = context.modes.includes(NATIVE_DARK_MODE) ? context.forMode(NATIVE_DARK_MODE) : null;
+  return tokens.map(token => ({
+    name: token.name,
+    description: token.description,
+    category: token.category,
+    value: rewriteReferences(token.value, context),
+    darkValue: dark ? rewriteReferences(valueForMode(token, NATIVE_DARK_MODE), dark) : null
+  }));
+};
+
+const nativeOptions = (context) => ({ header: HEADER, prefix: context.prefix, remBase: context.remBase });
+
+const renderIos = (tokens, context) => createZip(buildIosFiles(nativeEntries(tokens, context), nativeOptions(context)));
+
+const renderAndroid = (tokens, context) => createZip(buildAndroidFiles(nativeEntries(tokens, context), nativeOptions(context)));
+
+const FORMATS = {
+  css: { render: renderCss, extension: 'css', contentType: 'text/css', defaultCase: 'kebab' },
+  scss: { render: renderScss, extension: 'scss', contentType: 'text/x-scss', defaultCase: 'kebab' },
+  less: { render: renderLess, extension: 'less', contentType: 'text/x-less', defaultCase: 'kebab' },
+  js: { render: renderJs, extension: 'js', contentType: 'application/javascript', defaultCase: 'camel' },
+  ts: { render: renderTs, extension: 'ts', contentType: 'application/typescript', defaultCase: 'camel' },
+  json: { render: renderJson, extension: 'json', contentType: 'application/json', defaultCase: 'kebab' },
+  dtcg: { render: renderDtcg, extension: 'tokens.json', contentType: 'application/json', defaultCase: 'kebab' },
+  'tokens-studio': { render: renderTokensStudio, extension: 'studio.json', contentType: 'application/json', defaultCase: 'kebab' },
+  tailwind: { render: renderTailwind, extension: 'tailwind.config.js', contentType: 'application/javascript', defaultCase: 'kebab' },
+  ios: { render: renderIos, extension: 'ios.zip', contentType: 'application/zip', defaultCase: 'camel' },
+  android: { render: renderAndroid, extension: 'android.zip', contentType: 'application/zip', defaultCase: 'camel' }
+};
+
+// Functions giving the names a format writes for a token. JSON formats keep
+// token names as they are; Tailwind only writes them as CSS variables; the
+// native bundles always use camel and snake case.
+const outputNamers = (format, { nameCase, prefix }, cssVariables) => {
+  if (['ios', 'android'].includes(format)) {
+    return ['camel', 'snake'].map(nativeCase => name => toIdentifier(formatName(name, { nameCase: nativeCase, prefix })));
+  }
+  if (['json', 'dtcg', 'tokens-studio'].includes(format) || (format === 'tailwind' && !cssVariables)) {
+    return [];
+  }
+  if (['js', 'ts'].includes(format)) {
+    return [name => toIdentifier(formatName(name, { nameCase, prefix }), MODULE_RESERVED_WORDS)];
+  }
+  return [name => formatName(name, { nameCase, prefix })];
+};
+
+// Render `tokens` in `format`. `allTokens` is every token, so references to
+// tokens outside the exported set still resolve. With `mode` the values for
+// that mode are exported; otherwise formats that support it also render
+// every mode in `modes` (defaulting to the modes the tokens use). `remBase` is
+// the px size of 1rem for formats that convert units (ios, android);
+// `cssVariables` makes the tailwind config refer to CSS variables.
+const renderExport = async (format, tokens, { nameCase, prefix, allTokens, mode, modes, remBase, cssVariables, filename = 'tokens' } = {}) => {
+  const target = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+  if (!target) {
+    throw new Error(`Unsupported export format '${format}'. Expected one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const everyToken = allTokens || tokens;
+  const exported = mode
+    ? tokens.map(token => ({ ...token, value: valueForMode(token, mode), modeValues: undefined }))
+    : tokens;
+
+  const naming = { nameCase: nameCase || target.defaultCase, prefix };
+  const context = {
+    names: new Set(tokens.map(token => token.name)),
+    values: buildValueMap(everyToken, mode),
+    cache: new Map(),
+    name: tokenName => formatName(tokenName, naming),
+    prefix,
+    remBase,
+    cssVariables,
+    modes: mode ? [] : (modes || collectModes(tokens)),
+    forMode: modeName => ({ ...context, values: buildValueMap(everyToken, modeName), cache: new Map() })
+  };
+
+  // Fail early on an unknown case rather than halfway through rendering
+  formatName('token', naming);
+
+  // Tokens sharing an output name would silently overwrite each other
+  const collisions = outputNamers(format, naming, cssVariables)
+    .flatMap(rename => findNameCollisions(tokens.map(token => token.name), rename));
+  if (collisions.length > 0) {
+    throw new ExportNameError(
+      `Tokens would share names in the ${format} export: ${collisions.map(({ name, tokens: names }) => `${names.join(', ')} -> ${name}`).join('; ')}`,
+      collisions
+    );
+  }
+
+  return {
+    content: await target.render(exported, context),
+    contentType: target.contentType,
+    filename: `${filename}.${target.extension}`
+  };
+};
+
+module.exports = {
+  ExportNameError,
+  FORMATS,
+  renderExport
+};
@@ -0,0 +1,254 @@
+// Background token imports. The request that uploads the file only creates a
+// job; the rows are then planned like POST /api/tokens/upload (utils/tokenUpload.js)
+// and written in batches with bulkWrite while GET /api/imports/:jobId reports progress.
+const readline = require('readline');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const DesignToken = require('../models/DesignToken');
+const { buildNewToken, mergeTokenUpdate, parseLiteralValue } = require('./tokenChanges');
+const { diffSnapshots, recordRevisions } = require('./revisions');
+const { planUpload, createModes } = require('./tokenUpload');
+const { publishEvent } = require('./events');
+const { recordAudit } = require('./audit');
+const { withTransaction } = require('./transactions');
+
+const batchSize = () => Number(process.env.IMPORT_BATCH_SIZE) || 500;
+
+// Rows of an NDJSON stream, one token object per line. Lines that are not
+// JSON objects become null rows with an error for that row.
+const readNdjson = async (stream) => {
+  const rows = [];
+  const errors = [];
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+    const index = rows.length;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (error) {
+      errors.push({ index, data: line, error: `Invalid JSON: ${error.message}` });
+    }
+    if (row !== undefined && (!row || typeof row !== 'object' || Array.isArray(row))) {
+      errors.push({ index, data: line, error: 'Expected a JSON object' });
+      row = undefined;
+    }
+    rows.push(row === undefined ? null : row);
+  }
+
+  return { rows, errors };
+};
+
+// bulkWrite operation for one planned change, and the token it writes.
+// Updates and deletes only match the token as it was planned (same __v), so
+// an edit made while the job runs is not overwritten.
+const buildWrite = (entry, user, now) => {
+  const data = entry.change.data || {};
+
+  if (entry.change.action === 'create') {
+    const token = new DesignToken({ ...buildNewToken(data), parsedValue: parseLiteralValue(data), createdBy: user.id });
+    const validationError = token.validateSync();
+    if (validationError) {
+      throw validationError;
+    }
+    const document = { ...token.toObject({ flattenMaps: true }), __v: 0 };
+    return { token: { _id: token._id, name: token.name }, op: { insertOne: { document } } };
+  }
+
+  const token = { _id: new mongoose.Types.ObjectId(entry.change.token), name: entry.before.name };
+  const filter = { _id: token._id, __v: entry.version };
+  if (entry.change.action === 'delete') {
+    return { token, op: { deleteOne: { filter } } };
+  }
+
+  const fields = mergeTokenUpdate(entry.before, data);
+  const $set = { parsedValue: parseLiteralValue(fields), updatedAt: now };
+  Object.entries(fields).filter(([, value]) => value !== undefined).forEach(([field, value]) => {
+    $set[field] = value;
+  });
+  // Bump the version so editors holding the old ETag see the change
+  return { token, op: { updateOne: { filter, update: { $set, $inc: { __v: 1 } } } } };
+};
+
+// Write one batch and record a revision per token: creates in a single
+// bulkWrite, updates and deletes one by one so each reports whether it still
+// matched. Returns the part of the job report for this batch.
+const writeBatch = async (batch, user) => {
+  const report = { success: [], updated: [], deleted: [], errors: [] };
+  const now = new Date();
+
+  const writes = [];
+  batch.forEach(entry => {
+    try {
+      writes.push({ entry, ...buildWrite(entry, user, now) });
+    } catch (error) {
+      report.errors.push({ index: entry.index, data: entry.data, error: error.message });
+    }
+  });
+
+  // Index in `writes` -> error
+  const failed = new Map();
+  const creates = writes.map((write, i) => i).filter(i => writes[i].op.insertOne);
+  if (creates.length > 0) {
+    try {
+      await DesignToken.bulkWrite(creates.map(i => writes[i].op), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+      [].concat(error.writeErrors).forEach(writeError => failed.set(creates[writeError.index], writeError.errmsg || writeError.message));
+    }
+  }
+
+  await Promise.all(writes.map(async (write, i) => {
+    if (write.op.insertOne) {
+      return;
+    }
+    try {
+      const { matchedCount, deletedCount } = await DesignToken.bulkWrite([write.op]);
+      if (matchedCount + deletedCount === 0) {
+        failed.set(i, `Token '${write.token.name}' was changed or deleted by someone else during the import`);
+      }
+    } catch (error) {
+      const writeError = error.writeErrors && [].concat(error.writeErrors)[0];
+      failed.set(i, writeError ? writeError.errmsg || writeError.message : error.message);
+    }
+  }));
+
+  const written = writes.filter((write, i) => {
+    if (failed.has(i)) {
+      report.errors.push({ index: write.entry.index, data: write.entry.data, error: failed.get(i) });
+      return false;
+    }
+    return true;
+  });
+
+  await recordRevisions(written.map(({ entry, token }) => ({
+    token,
+    action: entry.change.action,
+    before: entry.before,
+    after: entry.after,
+    user
+  })));
+
+  written.forEach(({ entry, token }) => {
+    if (entry.change.action === 'create') {
+      report.success.push({ index: entry.index, token });
+    } else if (entry.change.action === 'update') {
+      report.updated.push({ index: entry.index, token, changes: diffSnapshots(entry.before, entry.after) });
+    } else {
+      report.deleted.push({ token });
+    }
+  });
+
+  return report;
+};
+
+const runImportJob = async (job, rows, parseErrors, modes, req) => {
+  try {
+    await ImportJob.updateOne({ _id: job._id }, { status: 'running', startedAt: new Date() });
+
+    // Unparseable lines are null rows; report their parse error only
+    const plan = await planUpload(rows, { mode: job.mode, atomic: false, user: req.user, modes });
+    const unparsed = new Set(parseErrors.map(error => error.index));
+    const errors = [...parseErrors, ...plan.errors.filter(error => !unparsed.has(error.index))];
+
+    await ImportJob.updateOne({ _id: job._id }, {
+      'progress.total': plan.changes.length,
+      'results.skipped': plan.skipped,
+      'results.errors': errors
+    });
+
+    if (errors.some(error => error.index === null)) {
+      throw new Error('Import would break tokens that are not in the file');
+    }
+
+    // Tokens may have values for modes the file brings, so create those first
+    const createdModes = await withTransaction((session, onRollback) => createModes(plan.newModes, { user: req.user, session, onRollback }));
+    await ImportJob.updateOne({ _id: job._id }, { 'results.modes': createdModes.map(mode => mode.name) });
+
+    const totals = { success: [], updated: [], deleted: [], errors };
+    for (let start = 0; start < plan.changes.length; start += batchSize()) {
+      const batch = plan.changes.slice(start, start + batchSize());
+      const report = await writeBatch(batch, req.user);
+
+      await ImportJob.updateOne({ _id: job._id }, {
+        $inc: { 'progress.processed': batch.length },
+        $push: {
+          'results.success': { $each: report.success },
+          'results.updated': { $each: report.updated },
+          'results.deleted': { $each: report.deleted },
+          'results.errors': { $each: report.errors }
+        }
+      });
+      Object.keys(report).forEach(key => totals[key].push(...report[key]));
+    }
+
+    await ImportJob.updateOne({ _id: job._id }, { status: 'completed', finishedAt: new Date() });
+
+    const names = (list) => list.map(({ token }) => token.name);
+    publishEvent('tokens.uploaded', {
+      mode: job.mode,
+      importJob: job._id.toString(),
+      created: names(totals.success),
+      updated: names(totals.updated),
+      deleted: names(totals.deleted),
+      skipped: plan.skipped.length,
+      errors: totals.errors.length
+    }, req.user);
+    await recordAudit(req, {
+      action: 'token.import',
+      target: { type: 'import', id: job._id },
+      metadata: {
+        mode: job.mode,
+        rows: rows.length,
+        created: totals.success.length,
+        updated: totals.updated.length,
+        deleted: totals.deleted.length,
+        skipped: plan.skipped.length,
+        errors: totals.errors.length,
+        modes: createdModes.map(mode => mode.name)
+      }
+    });
+  } catch (error) {
+    console.error('Import job error:', error);
+    try {
+      await ImportJob.updateOne({ _id: job._id }, { status: 'failed', error: error.message, finishedAt: new Date() });
+    } catch (updateError) {
+      console.error('Import job update error:', updateError);
+    }
+  }
+};
+
+// Create a job for `rows` and process it after the current request returns.
+// `modes` are modes the file brings with it (see planUpload).
+const startImportJob = async ({ rows, errors = [], modes = [], mode, req }) => {
+  const job = await ImportJob.create({
+    mode,
+    rowCount: rows.length,
+    createdBy: mongoose.Types.ObjectId.isValid(req.user.id) ? req.user.id : undefined
+  });
+
+  setImmediate(() => runImportJob(job, rows, errors, modes, req));
+  return job;
+};
+
+// Jobs only live in memory while they run, so any still queued or running
+// when the server starts were cut off by a restart
+const failInterruptedImports = async () => {
+  const { modifiedCount } = await ImportJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() }
+  );
+  return modifiedCount;
+};
+
+module.exports = {
+  readNdjson,
+  writeBatch,
+  startImportJob,
+  failInterruptedImports
+};
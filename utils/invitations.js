@@ -0,0 +1,78 @@
+// Invitations: an admin invites an email address with a role, the invitee
+// gets a one-time link (/?invite=<token>) and sets their username and
+// password to accept. INVITE_TTL_DAYS (default 7) sets how long a link works.
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const { appUrl, sendMail } = require('./mailer');
+
+const inviteTtlDays = () => Number(process.env.INVITE_TTL_DAYS) || 7;
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A new token for `invitation` with a fresh expiry. Returns the token, which
+// is only ever put in the email.
+const issueInviteToken = (invitation) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  invitation.tokenHash = hashInviteToken(token);
+  invitation.expiresAt = new Date(Date.now() + inviteTtlDays() * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+const invitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+// The open invitation a token belongs to, or null
+const findPendingInvitation = (token) => Invitation.findOne({
+  tokenHash: hashInviteToken(token),
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Email the invitation link and count the send
+const sendInvitation = async (invitation, token, req) => {
+  const link = appUrl(`/?invite=${encodeURIComponent(token)}`);
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to Design Token Manager',
+    text: [
+      `${req.user.username} invited you to join Design Token Manager as ${invitation.role}.`,
+      '',
+      'Choose a username and password to accept:',
+      link,
+      '',
+      `This link expires on ${invitation.expiresAt.toUTCString()} and can only be used once.`
+    ].join('\n')
+  });
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+};
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitationStatus(invitation),
+  invitedBy: invitation.invitedBy && invitation.invitedBy.username
+    ? { id: invitation.invitedBy._id, username: invitation.invitedBy.username }
+    : invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  sentCount: invitation.sentCount,
+  lastSentAt: invitation.lastSentAt,
+  acceptedAt: invitation.acceptedAt,
+  createdAt: invitation.createdAt
+});
+
+module.exports = {
+  hashInviteToken,
+  issueInviteToken,
+  invitationStatus,
+  findPendingInvitation,
+  sendInvitation,
+  formatInvitation
+};
@@ -0,0 +1,136 @@
+// Outgoing email. MAIL_TRANSPORT picks where messages go:
+//   smtp    - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE=true for
+//             implicit TLS (port 465), SMTP_USER / SMTP_PASS for AUTH.
+//             Without SMTP_SECURE the server must offer STARTTLS; there is no
+//             plaintext fallback. SMTP_ALLOW_INSECURE=true permits plaintext
+//             only for relays that need no credentials.
+//   file    - one .eml file per message in MAIL_DIR
+//   console - printed to the server log. The default only when NODE_ENV is
+//             development or test, since links in messages carry live tokens;
+//             elsewhere MAIL_TRANSPORT must be set.
+//   memory  - kept in `sentMail`, for tests
+// MAIL_FROM is the sender and APP_URL the base of links in messages. Links
+// are never built from the request's Host header, so without APP_URL
+// messages with links are not sent.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const SMTP_TIMEOUT_MS = 15000;
+
+// One address, no display name; whitespace (so CR/LF too) and <> are not allowed
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+class MailError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailError';
+  }
+}
+
+const isValidEmail = (value) => typeof value === 'string' && EMAIL_PATTERN.test(value);
+
+const mailFrom = () => process.env.MAIL_FROM || 'Design Token Manager <no-reply@localhost>';
+
+// Absolute URL for `pathname` in the app, e.g. an invitation link. Throws
+// MailError when APP_URL is not set.
+const appUrl = (pathname) => {
+  if (!process.env.APP_URL) {
+    throw new MailError('APP_URL must be set to send links by email');
+  }
+  return `${process.env.APP_URL.replace(/\/$/, '')}${pathname}`;
+};
+
+const defaultTransport = () => (['development', 'test'].includes(process.env.NODE_ENV) ? 'console' : null);
+
+// A complete RFC 5322 message, as written by the file transport
+const buildMessage = async ({ from, to, subject, text }) => {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'windows' });
+  const { message } = await builder.sendMail({ from, to, subject, text });
+  return message.toString('utf8');
+};
+
+// Send one message over SMTP. TLS is required before AUTH or any mail data
+// unless `allowInsecure` is set and there are no credentials to protect.
+const sendSmtp = async ({ host, port, secure, user, pass, allowInsecure }, { from, to, subject, text }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: Boolean(secure),
+    requireTLS: !secure && (Boolean(user) || !allowInsecure),
+    auth: user ? { user, pass: pass || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS,
+    disableFileAccess: true,
+    disableUrlAccess: true
+  });
+  try {
+    await transporter.sendMail({ from, to, subject, text });
+  } catch (error) {
+    throw new MailError(`SMTP delivery failed: ${error.message}`);
+  } finally {
+    transporter.close();
+  }
+};
+
+// Messages sent with MAIL_TRANSPORT=memory
+const sentMail = [];
+
+const transports = {
+  smtp: (message) => sendSmtp({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    allowInsecure: process.env.SMTP_ALLOW_INSECURE === 'true'
+  }, message),
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'design-token-mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`), await buildMessage(message));
+  },
+  console: ({ to, subject, text }) => {
+    console.log(`Mail to ${to}: ${subject}\n${text}`);
+  },
+  memory: (message) => {
+    sentMail.push(message);
+  }
+};
+
+// Send `{ to, subject, text }` with the configured transport. Throws MailError
+// when the recipient or subject could inject headers, the transport is unknown
+// or not set, or delivery fails.
+const sendMail = async ({ to, subject, text }) => {
+  if (!isValidEmail(to)) {
+    throw new MailError('Recipient must be a single valid email address');
+  }
+  if (/[\r\n]/.test(subject)) {
+    throw new MailError('Subject must not contain line breaks');
+  }
+
+  const name = process.env.MAIL_TRANSPORT || defaultTransport();
+  if (!name) {
+    throw new MailError('MAIL_TRANSPORT must be set outside development and test');
+  }
+  const transport = Object.hasOwn(transports, name) ? transports[name] : null;
+  if (!transport) {
+    throw new MailError(`Unknown MAIL_TRANSPORT '${name}'. Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  await transport({ from: mailFrom(), to, subject, text });
+};
+
+module.exports = {
+  EMAIL_PATTERN,
+  MailError,
+  isValidEmail,
+  sentMail,
+  appUrl,
+  buildMessage,
+  sendSmtp,
+  sendMail
+};
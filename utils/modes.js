@@ -0,0 +1,34 @@
+// Tokens carry an optional value per mode (e.g. dark, high-contrast) in
+// `modeValues`; a mode without its own value falls back to `value`.
+// `modeValues` is a Mongoose Map on documents and a plain object on lean
+// results, so both shapes are handled here.
+const getModeValues = (token) => {
+  if (!token.modeValues) {
+    return {};
+  }
+  return token.modeValues instanceof Map ? Object.fromEntries(token.modeValues) : token.modeValues;
+};
+
+const hasModeValue = (token, mode) => Boolean(mode) && getModeValues(token)[mode] !== undefined;
+
+const valueForMode = (token, mode) => (hasModeValue(token, mode) ? getModeValues(token)[mode] : token.value);
+
+// Mode names used by any of the tokens, in first-seen order
+const collectModes = (tokens) => {
+  const modes = [];
+  tokens.forEach(token => {
+    Object.keys(getModeValues(token)).forEach(mode => {
+      if (!modes.includes(mode)) {
+        modes.push(mode);
+      }
+    });
+  });
+  return modes;
+};
+
+module.exports = {
+  getModeValues,
+  hasModeValue,
+  valueForMode,
+  collectModes
+};
@@ -0,0 +1,77 @@
+// Naming transforms shared by the exporters. Token names such as
+// `color.brand.primary`, `primary-blue` or `fontSizeLg` are split into words
+// and re-joined in the requested case.
+
+// Latin letters that do not decompose into a base letter and accents
+const LATIN_LETTERS = { ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', đ: 'd', Đ: 'D', ł: 'l', Ł: 'L', þ: 'th', Þ: 'TH', ı: 'i' };
+
+// Generated names are ASCII: accented letters lose their accents (ü -> u) and
+// other letters and digits become their code point (色 -> u8272), so
+// non-Latin names stay distinct instead of disappearing
+const toAscii = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .replace(/[^\x00-\x7f]/gu, char => LATIN_LETTERS[char]
+    || (/[\p{L}\p{N}]/u.test(char) ? ` u${char.codePointAt(0).toString(16)} ` : ' '));
+
+const splitWords = (name) => toAscii(name)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .split(/[^a-zA-Z0-9]+/)
+  .filter(Boolean)
+  .map(word => word.toLowerCase());
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const CASES = {
+  kebab: (words) => words.join('-'),
+  snake: (words) => words.join('_'),
+  constant: (words) => words.join('_').toUpperCase(),
+  camel: (words) => words.map((word, i) => (i === 0 ? word : capitalize(word))).join(''),
+  pascal: (words) => words.map(capitalize).join('')
+};
+
+const formatName = (name, { nameCase = 'kebab', prefix } = {}) => {
+  const transform = Object.hasOwn(CASES, nameCase) ? CASES[nameCase] : null;
+  if (!transform) {
+    throw new Error(`Unsupported name case '${nameCase}'. Expected one of: ${Object.keys(CASES).join(', ')}`);
+  }
+
+  const words = [...(prefix ? splitWords(prefix) : []), ...splitWords(name)];
+  return transform(words);
+};
+
+// Words a JS or TS module cannot declare as `export const <word>`
+const JS_RESERVED_WORDS = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function',
+  'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package',
+  'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+  'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+// Identifiers in generated code cannot start with a digit or be one of
+// `reservedWords`; both get a leading underscore
+const toIdentifier = (name, reservedWords = new Set()) => (/^[0-9]/.test(name) || reservedWords.has(name) ? `_${name}` : name);
+
+// Token names that `rename` maps to the same output name, e.g. `primary-blue`
+// and `primaryBlue` both become `--primary-blue`. Returns
+// [{ name, tokens: [tokenName, ...] }].
+const findNameCollisions = (tokenNames, rename) => {
+  const byName = new Map();
+  [...new Set(tokenNames)].forEach(tokenName => {
+    const name = rename(tokenName);
+    byName.set(name, [...(byName.get(name) || []), tokenName]);
+  });
+  return [...byName.entries()]
+    .filter(([, tokens]) => tokens.length > 1)
+    .map(([name, tokens]) => ({ name, tokens }));
+};
+
+module.exports = {
+  CASES,
+  splitWords,
+  formatName,
+  JS_RESERVED_WORDS,
+  toIdentifier,
+  findNameCollisions
+};
@@ -0,0 +1,233 @@
+// iOS and Android export bundles. Only colors and dimensions have a native
+// equivalent; other tokens are left out. Entries come from the exporter with
+// references already resolved: { name, description, category, value, darkValue }.
+//
+// Units: px and pt map 1:1 to points (iOS) and dp (Android), rem and em are
+// multiplied by `remBase` (px). Typography dimensions become sp on Android.
+const { formatName, toIdentifier } = require('./naming');
+const { parseColor } = require('./color');
+const { parseDimension } = require('./tokenValidation');
+
+// Kotlin package of the generated Compose file
+const COMPOSE_PACKAGE = 'com.designsystem.tokens';
+
+const DEFAULT_REM_BASE = 16;
+
+// Keywords that need backticks to be used as a property name
+const SWIFT_RESERVED_WORDS = new Set([
+  'Any', 'Self', 'as', 'associatedtype', 'await', 'break', 'case', 'catch', 'class', 'continue',
+  'default', 'defer', 'deinit', 'do', 'else', 'enum', 'extension', 'fallthrough', 'false', 'fileprivate',
+  'for', 'func', 'guard', 'if', 'import', 'in', 'init', 'inout', 'internal', 'is', 'let', 'nil', 'open',
+  'operator', 'private', 'precedencegroup', 'protocol', 'public', 'repeat', 'rethrows', 'return', 'self',
+  'static', 'struct', 'subscript', 'super', 'switch', 'throw', 'throws', 'true', 'try', 'typealias',
+  'var', 'where', 'while'
+]);
+const KOTLIN_RESERVED_WORDS = new Set([
+  'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is',
+  'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof',
+  'val', 'var', 'when', 'while'
+]);
+
+const backtick = (name, reservedWords) => (reservedWords.has(name) ? `\`${name}\`` : name);
+
+const formatNumber = (value) => String(Number(value.toFixed(3)));
+
+// Size in points/dp, or null for units without a fixed size (%, vh, ...)
+const toPoints = ({ value, unit }, remBase) => {
+  if (['px', 'pt', 'dp', 'sp'].includes(unit)) {
+    return value;
+  }
+  if (['rem', 'em'].includes(unit)) {
+    return value * remBase;
+  }
+  return null;
+};
+
+const readDimension = (value, remBase) => {
+  try {
+    return toPoints(parseDimension(value), remBase);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Split entries into colors (with an optional dark variant) and dimensions
+const classify = (entries, { prefix, remBase = DEFAULT_REM_BASE }) => {
+  const colors = [];
+  const dimensions = [];
+
+  entries.forEach(entry => {
+    const camel = toIdentifier(formatName(entry.name, { nameCase: 'camel', prefix }));
+    const names = {
+      camel,
+      snake: toIdentifier(formatName(entry.name, { nameCase: 'snake', prefix })),
+      swift: backtick(camel, SWIFT_RESERVED_WORDS),
+      kotlin: backtick(camel, KOTLIN_RESERVED_WORDS)
+    };
+
+    const color = parseColor(entry.value);
+    if (color) {
+      const dark = entry.darkValue ? parseColor(entry.darkValue) : null;
+      colors.push({ ...entry, names, color, dark: dark && dark.hex !== color.hex ? dark : null });
+      return;
+    }
+
+    const points = readDimension(entry.value, remBase);
+    if (points !== null) {
+      dimensions.push({ ...entry, names, points, font: entry.category === 'typography' });
+    }
+  });
+
+  return { colors, dimensions };
+};
+
+const channel = (value) => (value / 255).toFixed(3);
+
+// ARGB hex used by Android resources and Compose
+const argb = ({ r, g, b, alpha }) => [alpha * 255, r, g, b]
+  .map(value => Math.round(value).toString(16).padStart(2, '0').toUpperCase())
+  .join('');
+
+const uiColor = ({ r, g, b, alpha }) => `UIColor(red: ${channel(r)}, green: ${channel(g)}, blue: ${channel(b)}, alpha: ${alpha.toFixed(3)})`;
+
+// One /// line per line of the description, so a line break cannot end the comment
+const swiftDoc = (entry, indent) => (entry.description
+  ? entry.description.split(/\r\n|[\r\n\u2028\u2029]/).map(line => `${indent}/// ${line}`.trimEnd() + '\n').join('')
+  : '');
+
+const renderSwift = ({ colors, dimensions }, header) => {
+  const uiColors = colors.map(entry => {
+    const value = entry.dark
+      ? `UIColor { $0.userInterfaceStyle == .dark ? ${uiColor(entry.dark)} : ${uiColor(entry.color)} }`
+      : uiColor(entry.color);
+    return `${swiftDoc(entry, '    ')}    static let ${entry.names.swift} = ${value}`;
+  });
+  const swiftUiColors = colors.map(entry => `    static let ${entry.names.swift} = Color(uiColor: .${entry.names.swift})`);
+  const constants = dimensions.map(entry => `${swiftDoc(entry, '    ')}    public static let ${entry.names.swift}: CGFloat = ${formatNumber(entry.points)}`);
+
+  return [
+    `// ${header}`,
+    'import SwiftUI',
+    'import UIKit',
+    '',
+    'public extension UIColor {',
+    ...uiColors,
+    '}',
+    '',
+    'public extension Color {',
+    ...swiftUiColors,
+    '}',
+    '',
+    'public enum DesignTokens {',
+    ...constants,
+    '}',
+    ''
+  ].join('\n');
+};
+
+const XCODE_INFO = { author: 'xcode', version: 1 };
+
+const colorsetColor = ({ r, g, b, alpha }) => ({
+  'color-space': 'srgb',
+  components: { red: channel(r), green: channel(g), blue: channel(b), alpha: alpha.toFixed(3) }
+});
+
+const renderColorset = (entry) => JSON.stringify({
+  colors: [
+    { idiom: 'universal', color: colorsetColor(entry.color) },
+    ...(entry.dark ? [{
+      idiom: 'universal',
+      appearances: [{ appearance: 'luminosity', value: 'dark' }],
+      color: colorsetColor(entry.dark)
+    }] : [])
+  ],
+  info: XCODE_INFO
+}, null, 2);
+
+// DesignTokens.swift plus a DesignTokens.xcassets catalog with a colorset per color
+const buildIosFiles = (entries, { header, ...options }) => {
+  const classified = classify(entries, options);
+  return [
+    { path: 'DesignTokens.swift', content: renderSwift(classified, header) },
+    { path: 'DesignTokens.xcassets/Contents.json', content: JSON.stringify({ info: XCODE_INFO }, null, 2) },
+    ...classified.colors.map(entry => ({
+      path: `DesignTokens.xcassets/${entry.names.camel}.colorset/Contents.json`,
+      content: renderColorset(entry)
+    }))
+  ];
+};
+
+// XML comments may not contain `--`
+const xmlComment = (text) => (text ? ` <!-- ${text.replace(/-{2,}/g, '-')} -->` : '');
+
+const escapeXml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const renderResources = (lines, header) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  `<!-- ${header} -->`,
+  '<resources>',
+  ...lines,
+  '</resources>',
+  ''
+].join('\n');
+
+const colorResource = (entry, color) => `    <color name="${escapeXml(entry.names.snake)}">#${argb(color)}</color>${xmlComment(entry.description)}`;
+
+const kotlinDoc = (entry) => (entry.description ? `    /** ${entry.description.replace(/\*\//g, '* /')} */\n` : '');
+
+const renderCompose = ({ colors, dimensions }, header) => {
+  const colorObject = (name, pick) => [
+    `object ${name} {`,
+    ...colors.map(entry => `${kotlinDoc(entry)}    val ${entry.names.kotlin} = Color(0x${argb(pick(entry))})`),
+    '}'
+  ];
+  const hasDark = colors.some(entry => entry.dark);
+
+  return [
+    `// ${header}`,
+    `package ${COMPOSE_PACKAGE}`,
+    '',
+    'import androidx.compose.ui.graphics.Color',
+    'import androidx.compose.ui.unit.dp',
+    'import androidx.compose.ui.unit.sp',
+    '',
+    ...colorObject('TokenColors', entry => entry.color),
+    '',
+    // Every color again, so a dark ColorScheme can be built from one object
+    ...(hasDark ? [...colorObject('DarkTokenColors', entry => entry.dark || entry.color), ''] : []),
+    'object TokenDimens {',
+    ...dimensions.map(entry => `${kotlinDoc(entry)}    val ${entry.names.kotlin} = ${formatNumber(entry.points)}.${entry.font ? 'sp' : 'dp'}`),
+    '}',
+    ''
+  ].join('\n');
+};
+
+// res/values colors and dimens, res/values-night for dark colors and a
+// Compose file with the same values
+const buildAndroidFiles = (entries, { header, ...options }) => {
+  const classified = classify(entries, options);
+  const darkColors = classified.colors.filter(entry => entry.dark);
+
+  return [
+    {
+      path: 'res/values/colors.xml',
+      content: renderResources(classified.colors.map(entry => colorResource(entry, entry.color)), header)
+    },
+    ...(darkColors.length > 0 ? [{
+      path: 'res/values-night/colors.xml',
+      content: renderResources(darkColors.map(entry => colorResource(entry, entry.dark)), header)
+    }] : []),
+    {
+      path: 'res/values/dimens.xml',
+      content: renderResources(classified.dimensions.map(entry =>
+        `    <dimen name="${escapeXml(entry.names.snake)}">${formatNumber(entry.points)}${entry.font ? 'sp' : 'dp'}</dimen>${xmlComment(entry.description)}`), header)
+    },
+    { path: 'compose/DesignTokens.kt', content: renderCompose(classified, header) }
+  ];
+};
+
+module.exports = {
+  DEFAULT_REM_BASE,
+  buildIosFiles,
+  buildAndroidFiles
+};
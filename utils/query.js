@@ -0,0 +1,10 @@
+// Query string checks shared by the routes
+
+// Name of the first of `names` in `query` that is present but not a single
+// string, or null. Repeated parameters (?search=a&search=b) parse to arrays
+// and bracketed ones (?search[$ne]=x) to objects.
+const findNonStringParam = (query, names) => names.find(name => query[name] !== undefined && typeof query[name] !== 'string') || null;
+
+module.exports = {
+  findNonStringParam
+};
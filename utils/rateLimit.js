@@ -0,0 +1,33 @@
+// Fixed-window request counters, kept in memory (so per server process)
+
+// Allows `limit` hits per key in each window of `windowMs`
+const createRateLimiter = ({ limit, windowMs }) => {
+  // key -> { count, resetAt (ms) }
+  const windows = new Map();
+
+  return {
+    // Count a hit for `key`. Returns 0 when it is allowed, otherwise the
+    // seconds until the key's window ends.
+    hit: (key) => {
+      const now = Date.now();
+      windows.forEach((window, id) => {
+        if (window.resetAt <= now) {
+          windows.delete(id);
+        }
+      });
+
+      const window = windows.get(key) || { count: 0, resetAt: now + windowMs };
+      if (window.count >= limit) {
+        return Math.ceil((window.resetAt - now) / 1000);
+      }
+      window.count += 1;
+      windows.set(key, window);
+      return 0;
+    },
+    reset: () => windows.clear()
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
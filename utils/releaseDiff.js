@@ -0,0 +1,49 @@
+const { diffSnapshots } = require('./revisions');
+
+// Compare two token sets (release snapshots or the live tokens) and suggest a
+// semver bump: removals and renames are breaking (major), additions are
+// minor and value/metadata changes are patch releases.
+const diffTokenSets = (fromTokens, toTokens) => {
+  const fromByName = new Map(fromTokens.map(token => [token.name, token]));
+  const toByName = new Map(toTokens.map(token => [token.name, token]));
+
+  let removed = fromTokens.filter(token => !toByName.has(token.name));
+  let added = toTokens.filter(token => !fromByName.has(token.name));
+
+  // A removed and an added token with the same category and value is a rename
+  const renamed = [];
+  removed.forEach(oldToken => {
+    const newToken = added.find(token => token.category === oldToken.category && token.value === oldToken.value);
+    if (newToken) {
+      renamed.push({ from: oldToken.name, to: newToken.name });
+      added = added.filter(token => token !== newToken);
+    }
+  });
+  removed = removed.filter(token => !renamed.some(rename => rename.from === token.name));
+
+  const changed = toTokens
+    .filter(token => fromByName.has(token.name))
+    .map(token => ({ name: token.name, changes: diffSnapshots(fromByName.get(token.name), token) }))
+    .filter(entry => entry.changes.length > 0);
+
+  let suggestedBump = null;
+  if (removed.length > 0 || renamed.length > 0) {
+    suggestedBump = 'major';
+  } else if (added.length > 0) {
+    suggestedBump = 'minor';
+  } else if (changed.length > 0) {
+    suggestedBump = 'patch';
+  }
+
+  return {
+    added: added.map(token => token.name),
+    removed: removed.map(token => token.name),
+    renamed,
+    changed,
+    suggestedBump
+  };
+};
+
+module.exports = {
+  diffTokenSets
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const TokenRevision = require('../models/TokenRevision');
+const { getModeValues } = require('./modes');
+
+// Fields captured in each revision snapshot
+const TRACKED_FIELDS = ['name', 'category', 'value', 'description', 'tags', 'type', 'modeValues', 'extensions', 'createdBy'];
+
+// Plain copy of the tracked fields of a token document or object
+const snapshotToken = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    let value = token[field];
+    if (field === 'modeValues') {
+      value = getModeValues(token);
+    } else if (field === 'tags') {
+      value = [...(value || [])];
+    } else if (field === 'createdBy' && value) {
+      value = (value._id || value).toString();
+    }
+    snapshot[field] = value === undefined ? null : value;
+  });
+  return snapshot;
+};
+
+// JSON with sorted object keys, so `{ a, b }` and `{ b, a }` compare equal
+const stableStringify = (value) => JSON.stringify(value, (key, nested) => {
+  if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+    return Object.keys(nested).sort().reduce((sorted, name) => {
+      sorted[name] = nested[name];
+      return sorted;
+    }, {});
+  }
+  return nested;
+});
+
+const isEmpty = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// Field-level differences between two snapshots (either may be null)
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .map(field => ({
+    field,
+    before: before ? before[field] : null,
+    after: after ? after[field] : null
+  }))
+  .filter(change => !(isEmpty(change.before) && isEmpty(change.after)) &&
+    stableStringify(change.before) !== stableStringify(change.after));
+
+// State a revert to `revision` restores: the token right after that
+// revision, or for a delete the token as it was before being deleted
+const revertState = (revision) => (revision.action === 'delete' ? revision.before : revision.after);
+
+// Revision document numbered `revision`
+const buildRevision = ({ token, action, before = null, after = null, user, revertedFrom, changeRequest }, revision) => ({
+  token: token._id,
+  tokenName: (after || before || token).name,
+  revision,
+  action,
+  before,
+  after,
+  changes: diffSnapshots(before, after),
+  revertedFrom,
+  changeRequest,
+  changedBy: user && mongoose.Types.ObjectId.isValid(user.id) ? user.id : undefined,
+  changedByUsername: user && user.username
+});
+
+const recordRevision = async ({ session, ...entry }) => {
+  const latest = await TokenRevision.findOne({ token: entry.token._id }).sort({ revision: -1 }).session(session);
+
+  const revision = new TokenRevision(buildRevision(entry, latest ? latest.revision + 1 : 1));
+
+  await revision.save({ session });
+  return revision;
+};
+
+// recordRevision for many tokens at once, with one lookup of the latest
+// revision numbers and one insert
+const recordRevisions = async (entries) => {
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const latest = await TokenRevision.aggregate([
+    { $match: { token: { $in: entries.map(entry => entry.token._id) } } },
+    { $group: { _id: '$token', revision: { $max: '$revision' } } }
+  ]);
+  const numbers = new Map(latest.map(item => [item._id.toString(), item.revision]));
+
+  return TokenRevision.insertMany(entries.map(entry => {
+    const id = entry.token._id.toString();
+    const revision = (numbers.get(id) || 0) + 1;
+    numbers.set(id, revision);
+    return buildRevision(entry, revision);
+  }));
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotToken,
+  diffSnapshots,
+  revertState,
+  recordRevision,
+  recordRevisions
+};
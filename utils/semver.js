@@ -0,0 +1,80 @@
+// Minimal semantic versioning helpers for design system releases
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+const parse = (version) => {
+  const match = SEMVER_PATTERN.exec(String(version).trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+};
+
+const isValid = (version) => parse(version) !== null;
+
+const comparePrerelease = (a, b) => {
+  // A version without prerelease tags ranks higher: 1.0.0 > 1.0.0-beta
+  if (a.length === 0 || b.length === 0) {
+    return b.length - a.length;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric) return Number(a[i]) - Number(b[i]);
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+};
+
+// Negative when a < b, positive when a > b, 0 when equal
+const compare = (a, b) => {
+  const left = parse(a);
+  const right = parse(b);
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${!left ? a : b}`);
+  }
+
+  return Math.sign(
+    (left.major - right.major) ||
+    (left.minor - right.minor) ||
+    (left.patch - right.patch) ||
+    comparePrerelease(left.prerelease, right.prerelease)
+  );
+};
+
+const bump = (version, level) => {
+  const current = parse(version);
+  if (!current) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+
+  switch (level) {
+    case 'major':
+      return `${current.major + 1}.0.0`;
+    case 'minor':
+      return `${current.major}.${current.minor + 1}.0`;
+    case 'patch':
+      return `${current.major}.${current.minor}.${current.patch + 1}`;
+    default:
+      return `${current.major}.${current.minor}.${current.patch}`;
+  }
+};
+
+module.exports = {
+  parse,
+  isValid,
+  compare,
+  bump
+};
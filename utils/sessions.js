@@ -0,0 +1,125 @@
+// Sessions behind short-lived access tokens. Login creates a Session and
+// returns an access token (JWT with the session id as `sid`) plus a refresh
+// token. Each refresh swaps the refresh token for a new one; presenting an
+// old one again means it was copied, so the whole session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const signAccessToken = (user, session) => jwt.sign(
+  { id: user._id.toString(), username: user.username, role: user.role, sid: session._id.toString() },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Tokens for the response body of login, register and refresh
+const issueTokens = (user, session, secret) => ({
+  token: signAccessToken(user, session),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a session for `user` on the device making `req`
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+  return { session, tokens: issueTokens(user, session, secret) };
+};
+
+const revokeSession = (session, reason) => Session.updateOne(
+  { _id: session._id, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Swap `refreshToken` for new tokens. Throws SessionError when the token is
+// unknown, expired, revoked or was already used.
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const next = newSecret();
+  // Only one request can swap the current secret; the one it replaced
+  // showing up again revokes the session
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hashSecret(secret), revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(next),
+      previousRefreshTokenHash: hashSecret(secret),
+      lastUsedAt: new Date(),
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    const current = await Session.findById(session._id);
+    if (current && current.previousRefreshTokenHash === hashSecret(secret)) {
+      await revokeSession(session, 'refresh token reused');
+      throw new SessionError('Refresh token has already been used; the session has been revoked');
+    }
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const user = await User.findById(rotated.user);
+  if (!user || !user.active) {
+    await revokeSession(rotated, user ? 'user deactivated' : 'user removed');
+    throw new SessionError('Invalid refresh token');
+  }
+  return { session: rotated, user, tokens: issueTokens(user, rotated, next) };
+};
+
+// Revoke every session of a user, optionally keeping one (the caller's)
+const revokeUserSessions = async (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const { modifiedCount } = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return modifiedCount;
+};
+
+// True when the session an access token belongs to can still be used
+const isSessionActive = async (sessionId) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(String(sessionId))) {
+    return false;
+  }
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive
+};
@@ -0,0 +1,132 @@
+// Tailwind CSS `theme.extend` built from tokens. Entries come from the
+// exporter: { name, category, type, resolved, variable }, where `resolved` is
+// the literal value and `variable` the var(--name) to use instead, if any.
+//
+// Keys come from token names with the group words left out, so `spacing-md`
+// becomes spacing.md and `color.blue.500` becomes colors.blue.500.
+const { splitWords } = require('./naming');
+const { parseTokenValue } = require('./tokenValidation');
+
+// Words that name the group rather than the token
+const GROUP_WORDS = {
+  colors: ['color', 'colors'],
+  spacing: ['spacing', 'space'],
+  fontSize: ['font', 'size', 'text', 'typography', 'line', 'height', 'leading'],
+  borderRadius: ['border', 'radius', 'rounded'],
+  boxShadow: ['box', 'shadow', 'shadows']
+};
+
+const themeKey = (name, group) => splitWords(name)
+  .filter(word => !GROUP_WORDS[group].includes(word))
+  .join('-') || 'DEFAULT';
+
+const isComposite = (value) => /^[[{]/.test(String(value).trim());
+
+const tryParse = (category, value) => {
+  try {
+    return parseTokenValue(category, value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const dimensionCss = ({ value, unit }) => `${value}${unit}`;
+
+const shadowCss = (layers) => layers.map(layer => [
+  layer.inset ? 'inset' : null,
+  dimensionCss(layer.offsetX),
+  dimensionCss(layer.offsetY),
+  dimensionCss(layer.blur),
+  dimensionCss(layer.spread),
+  layer.color.hex
+].filter(Boolean).join(' ')).join(', ');
+
+// Colors named like `blue-500` are grouped into a `blue` palette; a color
+// named after a palette becomes its DEFAULT
+const addColor = (colors, name, value) => {
+  const words = splitWords(name);
+  if (GROUP_WORDS.colors.includes(words[0]) && words.length > 1) {
+    words.shift();
+  }
+
+  const shade = words.length > 1 && /^\d+$/.test(words[words.length - 1]) ? words.pop() : null;
+  const key = words.join('-') || 'DEFAULT';
+  if (!shade) {
+    if (colors[key] && typeof colors[key] === 'object') {
+      colors[key].DEFAULT = value;
+    } else {
+      colors[key] = value;
+    }
+    return;
+  }
+
+  if (typeof colors[key] === 'string') {
+    colors[key] = { DEFAULT: colors[key] };
+  }
+  colors[key] = { ...colors[key], [shade]: value };
+};
+
+const buildTailwindTheme = (entries) => {
+  const theme = { colors: {}, spacing: {}, fontSize: {}, borderRadius: {}, boxShadow: {} };
+  const lineHeights = {};
+
+  entries.forEach(entry => {
+    const value = entry.variable || entry.resolved;
+    const words = splitWords(entry.name);
+
+    if (entry.category === 'color' || entry.type === 'color') {
+      addColor(theme.colors, entry.name, value);
+    } else if (words.includes('radius') || words.includes('rounded')) {
+      theme.borderRadius[themeKey(entry.name, 'borderRadius')] = value;
+    } else if (entry.category === 'spacing') {
+      theme.spacing[themeKey(entry.name, 'spacing')] = value;
+    } else if (entry.category === 'shadow' || entry.type === 'shadow') {
+      const layers = isComposite(entry.resolved) ? tryParse('shadow', entry.resolved) : null;
+      theme.boxShadow[themeKey(entry.name, 'boxShadow')] = layers ? shadowCss(layers) : value;
+    } else if (entry.category === 'typography') {
+      const typography = tryParse('typography', entry.resolved);
+      const key = themeKey(entry.name, 'fontSize');
+      if (!typography) {
+        return;
+      }
+      if (!typography.fontSize) {
+        if (typography.lineHeight !== undefined && Object.keys(typography).length === 1) {
+          lineHeights[key] = entry.variable || String(entry.resolved).trim();
+        }
+        return;
+      }
+
+      // Composites (font shorthand, DTCG objects) list their parts literally
+      if (Object.keys(typography).length === 1 && !isComposite(entry.resolved)) {
+        theme.fontSize[key] = value;
+        return;
+      }
+      const extras = {};
+      if (typography.lineHeight !== undefined) {
+        extras.lineHeight = typeof typography.lineHeight === 'number' ? String(typography.lineHeight) : dimensionCss(typography.lineHeight);
+      }
+      if (typography.fontWeight !== undefined) {
+        extras.fontWeight = String(typography.fontWeight);
+      }
+      if (typography.letterSpacing !== undefined) {
+        extras.letterSpacing = dimensionCss(typography.letterSpacing);
+      }
+      theme.fontSize[key] = Object.keys(extras).length > 0
+        ? [dimensionCss(typography.fontSize), extras]
+        : dimensionCss(typography.fontSize);
+    }
+  });
+
+  // Pair font sizes with line heights of the same name (`text-lg` and `leading-lg`)
+  Object.keys(theme.fontSize).forEach(key => {
+    if (typeof theme.fontSize[key] === 'string' && lineHeights[key]) {
+      theme.fontSize[key] = [theme.fontSize[key], { lineHeight: lineHeights[key] }];
+    }
+  });
+
+  return Object.fromEntries(Object.entries(theme).filter(([, group]) => Object.keys(group).length > 0));
+};
+
+module.exports = {
+  buildTailwindTheme
+};
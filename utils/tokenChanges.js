@@ -0,0 +1,299 @@
+// Validation and application of token changes, shared by the token routes
+// and change requests. A change is { action: create|update|delete, token, data }
+// where `token` is the id of the token to update or delete.
+const mongoose = require('mongoose');
+const DesignToken = require('../models/DesignToken');
+const TokenRevision = require('../models/TokenRevision');
+const ColorPairing = require('../models/ColorPairing');
+const Component = require('../models/Component');
+const { buildValueMap, findReferenceError, hasReferences, resolveToken } = require('./tokenReferences');
+const { parseTokenValue } = require('./tokenValidation');
+const { buildDependencyGraph, findDependents } = require('./dependencyGraph');
+const { getModeValues } = require('./modes');
+const { snapshotToken, recordRevision } = require('./revisions');
+
+const CHANGE_ACTIONS = ['create', 'update', 'delete'];
+
+// A change targets a token that was deleted after the batch was planned, or
+// that someone else saved between loading and saving it
+class TokenConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenConflictError';
+  }
+}
+
+// One name -> value map for the default values and one per mode
+const buildModeValueMaps = (tokens, modes) => [null, ...modes].map(mode => ({
+  mode,
+  values: buildValueMap(tokens, mode)
+}));
+
+const findModeReferenceError = (name, valueMaps) => {
+  for (const { mode, values } of valueMaps) {
+    const error = findReferenceError(name, values);
+    if (error) {
+      return mode ? `${error} in mode '${mode}'` : error;
+    }
+  }
+  return null;
+};
+
+// Check the resolved value in every mode against the token's category schema
+const findModeValueError = (token, valueMaps) => {
+  for (const { mode, values } of valueMaps) {
+    try {
+      parseTokenValue(token.category, resolveToken(token.name, values), token.type);
+    } catch (error) {
+      const message = `Invalid ${token.category} value for '${token.name}': ${error.message}`;
+      return mode ? `${message} in mode '${mode}'` : message;
+    }
+  }
+  return null;
+};
+
+// Structured value stored with literal values; aliases are parsed when resolved
+const parseLiteralValue = (token) => (hasReferences(token.value)
+  ? null
+  : parseTokenValue(token.category, token.value, token.type));
+
+// Tokens as they would be if `candidate` replaced the token called `previousName`
+const withCandidate = (tokens, candidate, previousName = candidate.name) => [
+  ...tokens.filter(token => token.name !== previousName && token.name !== candidate.name),
+  candidate
+];
+
+const findUnknownModes = (modeValues, modes) => Object.keys(modeValues || {})
+  .filter(mode => !modes.includes(mode));
+
+// Empty mode values mean "use the default value"
+const compactModeValues = (modeValues) => Object.fromEntries(Object.entries(modeValues || {})
+  .filter(([, modeValue]) => modeValue !== null && modeValue !== ''));
+
+// Mode values are merged; an empty value removes the mode override
+const mergeModeValues = (token, modeValues) => {
+  const merged = getModeValues(token);
+  Object.entries(modeValues || {}).forEach(([mode, modeValue]) => {
+    if (modeValue === null || modeValue === '') {
+      delete merged[mode];
+    } else {
+      merged[mode] = modeValue;
+    }
+  });
+  return merged;
+};
+
+// Token fields after applying a partial update, as PUT /api/tokens/:id does
+const mergeTokenUpdate = (token, data) => ({
+  name: data.name || token.name,
+  category: data.category || token.category,
+  value: data.value || token.value,
+  description: data.description !== undefined ? data.description : token.description,
+  tags: data.tags || token.tags,
+  type: data.type !== undefined ? data.type : token.type,
+  extensions: data.extensions !== undefined ? data.extensions : token.extensions,
+  modeValues: mergeModeValues(token, data.modeValues)
+});
+
+// Fields of a token created from `data`
+const buildNewToken = (data) => ({
+  name: data.name,
+  category: data.category,
+  value: data.value,
+  description: data.description || '',
+  tags: Array.isArray(data.tags) ? data.tags : [],
+  type: data.type,
+  extensions: data.extensions,
+  modeValues: compactModeValues(data.modeValues)
+});
+
+// Contrast pairings and components refer to tokens by name and follow renames
+const renameTokenUsages = async (previousName, name, session) => {
+  if (previousName === name) {
+    return;
+  }
+  await ColorPairing.updateMany({ foreground: previousName }, { foreground: name }, { session });
+  await ColorPairing.updateMany({ background: previousName }, { background: name }, { session });
+  await Component.updateMany(
+    { tokens: previousName },
+    { $set: { 'tokens.$[token]': name } },
+    { arrayFilters: [{ token: previousName }], session }
+  );
+  await Component.updateMany(
+    { 'variants.tokens': previousName },
+    { $set: { 'variants.$[].tokens.$[token]': name } },
+    { arrayFilters: [{ token: previousName }], session }
+  );
+};
+
+// Check a batch of changes against the current tokens (lean, all fields)
+// without writing anything. Returns the tokens as they would be afterwards and
+// [{ index, token, error }] for every problem; `index` is null for tokens
+// outside the batch that a change would break.
+const planChanges = (tokens, modes, changes) => {
+  const errors = [];
+  // Projected tokens by id (creates by `new:<index>`), in order, and their names
+  const projectedById = new Map(tokens.map(token => [token._id.toString(), { ...token, _id: token._id.toString() }]));
+  const names = new Set(tokens.map(token => token.name));
+  const changedNames = new Map();
+  const touchedNames = new Set();
+
+  changes.forEach((change, index) => {
+    const fail = (error, token) => errors.push({ index, token: token || null, error });
+    const data = change.data || {};
+
+    if (!CHANGE_ACTIONS.includes(change.action)) {
+      return fail(`Invalid action '${change.action}'. Expected one of: ${CHANGE_ACTIONS.join(', ')}`);
+    }
+
+    if (change.action === 'create') {
+      if (!data.name || !data.category || !data.value) {
+        return fail('Missing required fields: name, category, value', data.name);
+      }
+      if (names.has(data.name)) {
+        return fail(`Token '${data.name}' already exists`, data.name);
+      }
+      const unknownModes = findUnknownModes(data.modeValues, modes);
+      if (unknownModes.length > 0) {
+        return fail(`Unknown mode: ${unknownModes.join(', ')}`, data.name);
+      }
+      projectedById.set(`new:${index}`, buildNewToken(data));
+      names.add(data.name);
+      changedNames.set(data.name, index);
+      return null;
+    }
+
+    const current = projectedById.get(String(change.token));
+    if (!current) {
+      return fail('Design token not found');
+    }
+    touchedNames.add(current.name);
+
+    if (change.action === 'delete') {
+      projectedById.delete(current._id);
+      names.delete(current.name);
+      return null;
+    }
+
+    const updated = { ...current, ...mergeTokenUpdate(current, data) };
+    if (updated.name !== current.name && names.has(updated.name)) {
+      return fail(`Token '${updated.name}' already exists`, current.name);
+    }
+    const unknownModes = findUnknownModes(data.modeValues, modes);
+    if (unknownModes.length > 0) {
+      return fail(`Unknown mode: ${unknownModes.join(', ')}`, current.name);
+    }
+    projectedById.set(current._id, updated);
+    names.delete(current.name);
+    names.add(updated.name);
+    changedNames.set(updated.name, index);
+    return null;
+  });
+
+  const projected = [...projectedById.values()];
+
+  // Changed tokens, plus every token that used a changed, renamed or deleted one
+  const before = buildDependencyGraph(tokens, modes);
+  const after = buildDependencyGraph(projected, modes);
+  const toCheck = new Set(changedNames.keys());
+  [...touchedNames, ...changedNames.keys()].forEach(name => {
+    findDependents(name, before).transitive.forEach(dependent => toCheck.add(dependent));
+    findDependents(name, after).transitive.forEach(dependent => toCheck.add(dependent));
+  });
+
+  const valueMaps = buildModeValueMaps(projected, modes);
+  projected.filter(token => toCheck.has(token.name)).forEach(token => {
+    const error = findModeReferenceError(token.name, valueMaps) || findModeValueError(token, valueMaps);
+    if (error) {
+      errors.push({ index: changedNames.has(token.name) ? changedNames.get(token.name) : null, token: token.name, error });
+    }
+  });
+
+  return { tokens: projected, errors };
+};
+
+// Write a planned batch of changes, recording a revision for each. Pass the
+// `session` and `onRollback` from withTransaction (utils/transactions.js).
+// Returns [{ action, token, before, after }] with revision snapshots. Throws
+// TokenConflictError when a token to update or delete no longer exists or
+// is saved by someone else meanwhile, so the caller's transaction rolls back.
+const applyChanges = async (changes, { user, changeRequest, session, onRollback }) => {
+  const results = [];
+  const record = async (revision) => {
+    const saved = await recordRevision({ ...revision, user, changeRequest, session });
+    onRollback(() => TokenRevision.deleteOne({ _id: saved._id }));
+  };
+
+  for (const change of changes) {
+    const data = change.data || {};
+
+    if (change.action === 'create') {
+      const token = new DesignToken({
+        ...buildNewToken(data),
+        parsedValue: parseLiteralValue(data),
+        createdBy: user.id
+      });
+      await token.save({ session });
+      onRollback(() => DesignToken.deleteOne({ _id: token._id }));
+      const after = snapshotToken(token);
+      await record({ token, action: 'create', after });
+      results.push({ action: 'create', token, before: null, after });
+      continue;
+    }
+
+    const token = await DesignToken.findById(change.token).session(session);
+    if (!token) {
+      throw new TokenConflictError(`Token '${change.tokenName || change.token}' no longer exists`);
+    }
+    const original = token.toObject({ flattenMaps: true });
+
+    if (change.action === 'delete') {
+      await DesignToken.deleteOne({ _id: token._id }, { session });
+      onRollback(() => DesignToken.collection.insertOne(original));
+      const before = snapshotToken(token);
+      await record({ token, action: 'delete', before });
+      results.push({ action: 'delete', token, before, after: null });
+      continue;
+    }
+
+    const before = snapshotToken(token);
+    const fields = mergeTokenUpdate(token, data);
+    Object.assign(token, fields, { parsedValue: parseLiteralValue(fields), updatedAt: new Date() });
+    try {
+      await token.save({ session });
+    } catch (error) {
+      if (error instanceof mongoose.Error.VersionError) {
+        throw new TokenConflictError(`Token '${before.name}' was changed by someone else while saving`);
+      }
+      throw error;
+    }
+    onRollback(() => DesignToken.collection.replaceOne({ _id: original._id }, original));
+
+    await renameTokenUsages(before.name, token.name, session);
+    onRollback(() => renameTokenUsages(token.name, before.name));
+
+    const after = snapshotToken(token);
+    await record({ token, action: 'update', before, after });
+    results.push({ action: 'update', token, before, after });
+  }
+
+  return results;
+};
+
+module.exports = {
+  CHANGE_ACTIONS,
+  TokenConflictError,
+  buildModeValueMaps,
+  findModeReferenceError,
+  findModeValueError,
+  parseLiteralValue,
+  withCandidate,
+  findUnknownModes,
+  compactModeValues,
+  mergeModeValues,
+  mergeTokenUpdate,
+  buildNewToken,
+  renameTokenUsages,
+  planChanges,
+  applyChanges
+};
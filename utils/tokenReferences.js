@@ -0,0 +1,125 @@
+const { valueForMode } = require('./modes');
+
+// Token references use the `{token-name}` syntax, e.g. `{color.brand.primary}`.
+// A value may be a pure alias (`{primary-blue}`) or embed references
+// (`1px solid {border-color}`). Names never contain quotes, so composite
+// values stored as JSON (`{"fontSize":"16px"}`) are not mistaken for references.
+const REFERENCE_PATTERN = /\{([^{}\s"]+)\}/g;
+
+class TokenReferenceError extends Error {
+  constructor(message, chain) {
+    super(message);
+    this.name = 'TokenReferenceError';
+    this.chain = chain;
+  }
+}
+
+const extractReferences = (value) => {
+  if (typeof value !== 'string') {
+    return [];
+  }
+
+  const names = [];
+  for (const match of value.matchAll(REFERENCE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+};
+
+const hasReferences = (value) => extractReferences(value).length > 0;
+
+const isAlias = (value) => typeof value === 'string' && /^\{[^{}\s"]+\}$/.test(value.trim());
+
+// Build a Map of token name -> raw value from a list of tokens, optionally
+// using each token's value for `mode`
+const buildValueMap = (tokens, mode) => {
+  const values = new Map();
+  tokens.forEach(token => values.set(token.name, valueForMode(token, mode)));
+  return values;
+};
+
+// Walk the references of `name` depth-first and throw on the first dangling
+// reference or cycle, naming the full chain.
+const assertResolvable = (name, values, chain = []) => {
+  if (chain.includes(name)) {
+    const cycle = [...chain.slice(chain.indexOf(name)), name];
+    throw new TokenReferenceError(`Circular token reference: ${cycle.join(' -> ')}`, cycle);
+  }
+
+  const path = [...chain, name];
+  for (const ref of extractReferences(values.get(name))) {
+    if (!values.has(ref)) {
+      const dangling = [...path, ref];
+      throw new TokenReferenceError(
+        `Token '${name}' references unknown token '${ref}' (${dangling.join(' -> ')})`,
+        dangling
+      );
+    }
+    assertResolvable(ref, values, path);
+  }
+};
+
+// Returns an error message if the token cannot be resolved, otherwise null
+const findReferenceError = (name, values) => {
+  try {
+    assertResolvable(name, values);
+    return null;
+  } catch (error) {
+    if (error instanceof TokenReferenceError) {
+      return error.message;
+    }
+    throw error;
+  }
+};
+
+// Resolve every reference inside the value of `name`, recursively
+const resolveToken = (name, values, cache = new Map()) => {
+  if (cache.has(name)) {
+    return cache.get(name);
+  }
+
+  assertResolvable(name, values);
+  const resolved = values.get(name).replace(REFERENCE_PATTERN, (match, ref) => resolveToken(ref, values, cache));
+  cache.set(name, resolved);
+  return resolved;
+};
+
+// Resolve a value that is not (yet) stored under a name in `values`
+const resolveValue = (value, values, cache = new Map()) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return value.replace(REFERENCE_PATTERN, (match, ref) => {
+    if (!values.has(ref)) {
+      throw new TokenReferenceError(`Unknown token reference '${ref}'`, [ref]);
+    }
+    return resolveToken(ref, values, cache);
+  });
+};
+
+// Names of tokens whose values reference `name` directly
+const findReferencingTokens = (name, values) => {
+  const referencing = [];
+  values.forEach((value, tokenName) => {
+    if (tokenName !== name && extractReferences(value).includes(name)) {
+      referencing.push(tokenName);
+    }
+  });
+  return referencing;
+};
+
+module.exports = {
+  REFERENCE_PATTERN,
+  TokenReferenceError,
+  extractReferences,
+  hasReferences,
+  isAlias,
+  buildValueMap,
+  findReferenceError,
+  resolveToken,
+  resolveValue,
+  findReferencingTokens
+};
@@ -0,0 +1,198 @@
+// Planning for bulk uploads of token rows, shared by POST /api/tokens/upload
+// and background import jobs (utils/importJobs.js)
+const DesignToken = require('../models/DesignToken');
+const Mode = require('../models/Mode');
+const Component = require('../models/Component');
+const { mergeTokenUpdate, buildNewToken, planChanges } = require('./tokenChanges');
+const { buildDependencyGraph, findDependents } = require('./dependencyGraph');
+const { snapshotToken, diffSnapshots } = require('./revisions');
+const { isDtcgDocument, fromDtcg } = require('./dtcg');
+const { isTokensStudioDocument, fromTokensStudio } = require('./tokensStudio');
+
+const UPLOAD_MODES = ['create', 'upsert', 'replace'];
+
+// Rows from an uploaded JSON body: { "tokens": [...] }, a DTCG document or a
+// Tokens Studio file, detected or forced with `format` ('dtcg' or
+// 'tokens-studio'). Tokens Studio themes come back as `modes`.
+const readUploadBody = (body, format) => {
+  if (format === 'tokens-studio' || (format !== 'dtcg' && isTokensStudioDocument(body))) {
+    const { tokens, modes } = fromTokensStudio(body || {});
+    return { rows: tokens, modes };
+  }
+
+  const rows = format === 'dtcg' || isDtcgDocument(body) ? fromDtcg(body) : (body || {}).tokens;
+  return { rows, modes: [] };
+};
+
+// Sort uploaded rows into changes against the current tokens (lean, all
+// fields). `create` skips names that exist, `upsert` also updates them and
+// `replace` also deletes tokens missing from the file. Each change keeps the
+// row it came from (`index`, null for deletes), before/after snapshots and,
+// for updates and deletes, the `version` (__v) of the token it was planned on.
+const buildUploadChanges = (rows, tokens, mode, user) => {
+  const changes = [];
+  const skipped = [];
+  const errors = [];
+  const namesInFile = new Set(rows.filter(data => data && data.name).map(data => data.name));
+  const seen = new Set();
+  const byName = new Map(tokens.map(token => [token.name, token]));
+
+  rows.forEach((data, index) => {
+    if (!data || !data.name || !data.category || !data.value) {
+      errors.push({ index, data, error: 'Missing required fields: name, category, value' });
+      return;
+    }
+
+    const existing = byName.get(data.name);
+    if (seen.has(data.name) && mode !== 'create') {
+      errors.push({ index, data, error: `Token '${data.name}' appears more than once in the file` });
+      return;
+    }
+    if (seen.has(data.name) || (existing && mode === 'create')) {
+      skipped.push({ index, data, reason: `Token '${data.name}' already exists` });
+      return;
+    }
+    seen.add(data.name);
+
+    if (!existing) {
+      changes.push({
+        index,
+        data,
+        change: { action: 'create', data },
+        before: null,
+        after: snapshotToken({ ...buildNewToken(data), createdBy: user.id })
+      });
+      return;
+    }
+
+    const before = snapshotToken(existing);
+    const after = snapshotToken({ ...existing, ...mergeTokenUpdate(existing, data) });
+    if (diffSnapshots(before, after).length === 0) {
+      skipped.push({ index, data, reason: 'No changes' });
+      return;
+    }
+    changes.push({ index, data, change: { action: 'update', token: existing._id.toString(), data }, before, after, version: existing.__v ?? null });
+  });
+
+  if (mode === 'replace') {
+    tokens.filter(token => !namesInFile.has(token.name)).forEach(token => changes.push({
+      index: null,
+      change: { action: 'delete', token: token._id.toString() },
+      before: snapshotToken(token),
+      after: null,
+      version: token.__v ?? null
+    }));
+  }
+
+  return { changes, skipped, errors };
+};
+
+// Replace mode keeps tokens that components still use
+const keepComponentTokens = async (upload) => {
+  const deletes = upload.changes.filter(entry => entry.change.action === 'delete');
+  if (deletes.length === 0) {
+    return upload;
+  }
+
+  const names = deletes.map(entry => entry.before.name);
+  const components = await Component.find({
+    $or: [{ tokens: { $in: names } }, { 'variants.tokens': { $in: names } }]
+  }, 'name tokens variants.tokens').lean();
+  const usedBy = (name) => components
+    .filter(component => (component.tokens || []).includes(name) ||
+      (component.variants || []).some(variant => (variant.tokens || []).includes(name)))
+    .map(component => component.name);
+
+  const kept = deletes.filter(entry => usedBy(entry.before.name).length > 0);
+  return {
+    ...upload,
+    changes: upload.changes.filter(entry => !kept.includes(entry)),
+    skipped: [...upload.skipped, ...kept.map(entry => ({
+      index: null,
+      data: { name: entry.before.name },
+      reason: `Still used by components ${usedBy(entry.before.name).join(', ')}`
+    }))]
+  };
+};
+
+// Validate the upload as one batch. Unless `atomic`, changes that fail are
+// dropped (and deletes of tokens still in use are skipped) until the rest can
+// be applied together. Errors left with a null `index` break tokens that are
+// not in the file.
+const settleUpload = (tokens, modes, upload, atomic) => {
+  let { changes } = upload;
+  const skipped = [...upload.skipped];
+  const errors = [...upload.errors];
+
+  for (;;) {
+    const plan = planChanges(tokens, modes, changes.map(entry => entry.change));
+    const rowError = ({ index, token, error }) => (index === null
+      ? { index: null, token, error }
+      : { index: changes[index].index, data: changes[index].data, token, error });
+
+    if (atomic || plan.errors.length === 0) {
+      return { changes, skipped, errors: [...errors, ...plan.errors.map(rowError)] };
+    }
+
+    const dropped = new Set();
+    plan.errors.filter(error => error.index !== null && !dropped.has(changes[error.index])).forEach(error => {
+      dropped.add(changes[error.index]);
+      errors.push(rowError(error));
+    });
+
+    if (dropped.size === 0) {
+      const deletes = changes.filter(entry => entry.change.action === 'delete');
+      const deletedNames = new Set(deletes.map(entry => entry.before.name));
+      const graph = buildDependencyGraph([...plan.tokens, ...deletes.map(entry => entry.before)], modes);
+      deletes.forEach(entry => {
+        const users = findDependents(entry.before.name, graph).direct
+          .filter(dependent => !deletedNames.has(dependent.name));
+        if (users.length > 0) {
+          dropped.add(entry);
+          skipped.push({
+            index: null,
+            data: { name: entry.before.name },
+            reason: `Still used by tokens ${users.map(dependent => dependent.name).join(', ')}`
+          });
+        }
+      });
+    }
+
+    if (dropped.size === 0) {
+      return { changes, skipped, errors: [...errors, ...plan.errors.map(rowError)] };
+    }
+    changes = changes.filter(entry => !dropped.has(entry));
+  }
+};
+
+// Load the current tokens and plan `rows` for the given mode. `modes` are
+// modes the file brings with it ({ name, description }); those that do not
+// exist yet are returned as `newModes` and count as existing for the plan.
+const planUpload = async (rows, { mode, atomic, user, modes: fileModes = [] }) => {
+  const tokens = await DesignToken.find().lean();
+  const existing = (await Mode.find({}, 'name').lean()).map(item => item.name);
+  const newModes = fileModes.filter(item => !existing.includes(item.name));
+  const modes = [...existing, ...newModes.map(item => item.name)];
+  const upload = await keepComponentTokens(buildUploadChanges(rows, tokens, mode, user));
+  return { ...settleUpload(tokens, modes, upload, atomic), newModes };
+};
+
+// Create the modes planUpload found missing, inside withTransaction
+const createModes = async (modes, { user, session, onRollback }) => {
+  const created = [];
+  for (const { name, description } of modes) {
+    const [mode] = await Mode.create([{ name, description, createdBy: user.id }], { session });
+    onRollback(() => Mode.deleteOne({ _id: mode._id }));
+    created.push(mode);
+  }
+  return created;
+};
+
+module.exports = {
+  UPLOAD_MODES,
+  readUploadBody,
+  buildUploadChanges,
+  settleUpload,
+  planUpload,
+  createModes
+};
@@ -0,0 +1,330 @@
+// Value schemas per token category. Each parser returns a structured value
+// that is stored next to the raw string (DesignToken.parsedValue), or throws
+// a TokenValueError describing what the category expects.
+const { parseColor } = require('./color');
+
+class TokenValueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenValueError';
+  }
+}
+
+const NUMBER = '[+-]?(?:\\d+\\.?\\d*|\\.\\d+)';
+const DIMENSION_UNITS = ['px', 'rem', 'em', '%', 'vh', 'vw', 'vmin', 'vmax', 'pt', 'dp', 'sp', 'ch', 'ex'];
+const DIMENSION_PATTERN = new RegExp(`^(${NUMBER})(${DIMENSION_UNITS.join('|')})?$`, 'i');
+const DURATION_PATTERN = new RegExp(`^(${NUMBER})(ms|s)$`, 'i');
+const FONT_WEIGHT_KEYWORDS = { thin: 100, light: 300, normal: 400, regular: 400, medium: 500, semibold: 600, bold: 700, black: 900 };
+const FONT_STYLES = ['normal', 'italic', 'oblique'];
+const BORDER_STYLES = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+const EASING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// DTCG composite values arrive as JSON strings
+const parseJson = (value) => {
+  const text = String(value).trim();
+  if (!/^[[{]/.test(text)) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Split on commas that are not inside parentheses
+const splitTopLevel = (value, separator = ',') => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+};
+
+// Split on whitespace that is not inside parentheses
+const splitWords = (value) => splitTopLevel(value.replace(/\s+/g, ' '), ' ');
+
+const tryParse = (parser, value) => {
+  try {
+    return parser(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseColorValue = (value) => {
+  const color = parseColor(String(value));
+  if (!color) {
+    throw new TokenValueError(`Invalid color '${value}'. Expected hex, rgb(), hsl() or oklch()`);
+  }
+  return color;
+};
+
+const parseDimension = (value) => {
+  const json = parseJson(value);
+  if (json && typeof json.value === 'number' && typeof json.unit === 'string') {
+    return parseDimension(`${json.value}${json.unit}`);
+  }
+
+  const match = DIMENSION_PATTERN.exec(String(value).trim());
+  if (!match || (!match[2] && Number(match[1]) !== 0)) {
+    throw new TokenValueError(`Invalid dimension '${value}'. Expected a number with a unit, e.g. 16px or 1.5rem`);
+  }
+  return { value: Number(match[1]), unit: (match[2] || 'px').toLowerCase() };
+};
+
+// DTCG composites hold dimensions as strings or { value, unit } objects
+const parseDimensionField = (value) => parseDimension(value && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+const parseDuration = (value) => {
+  const json = parseJson(value);
+  if (json && typeof json.value === 'number' && typeof json.unit === 'string') {
+    return parseDuration(`${json.value}${json.unit}`);
+  }
+
+  const match = DURATION_PATTERN.exec(String(value).trim());
+  if (!match || Number(match[1]) < 0) {
+    throw new TokenValueError(`Invalid duration '${value}'. Expected e.g. 200ms or 0.2s`);
+  }
+  return { value: Number(match[1]), unit: match[2].toLowerCase() };
+};
+
+const parseCubicBezier = (value) => {
+  const text = String(value).trim();
+  let points = parseJson(text);
+
+  if (EASING_KEYWORDS[text.toLowerCase()]) {
+    points = EASING_KEYWORDS[text.toLowerCase()];
+  } else if (!Array.isArray(points)) {
+    const match = /^cubic-bezier\(([^()]*)\)$/i.exec(text);
+    points = match ? match[1].split(',').map(point => (point.trim() === '' ? NaN : Number(point))) : null;
+  }
+
+  if (!Array.isArray(points) || points.length !== 4 || points.some(point => typeof point !== 'number' || isNaN(point)) ||
+    points[0] < 0 || points[0] > 1 || points[2] < 0 || points[2] > 1) {
+    throw new TokenValueError(`Invalid cubic-bezier '${value}'. Expected cubic-bezier(x1, y1, x2, y2) with x values between 0 and 1`);
+  }
+
+  const [x1, y1, x2, y2] = points;
+  return { x1, y1, x2, y2 };
+};
+
+const parseFontWeight = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (FONT_WEIGHT_KEYWORDS[text]) {
+    return FONT_WEIGHT_KEYWORDS[text];
+  }
+  const weight = Number(text);
+  if (/^\d+$/.test(text) && weight >= 1 && weight <= 1000) {
+    return weight;
+  }
+  throw new TokenValueError(`Invalid font weight '${value}'`);
+};
+
+const parseFontFamily = (value) => {
+  const families = Array.isArray(value) ? value : splitTopLevel(String(value));
+  const valid = families.length > 0 && families.every(family => typeof family === 'string' &&
+    /^(?:"[^"]+"|'[^']+'|[a-zA-Z][\w -]*)$/.test(family.trim()));
+  if (!valid) {
+    throw new TokenValueError(`Invalid font family '${value}'`);
+  }
+  return families.map(family => family.trim().replace(/^["']|["']$/g, ''));
+};
+
+const parseLineHeight = (value) => {
+  const text = String(value).trim();
+  if (new RegExp(`^${NUMBER}$`).test(text)) {
+    return Number(text);
+  }
+  return parseDimension(text);
+};
+
+// Typography tokens hold one property (font size, weight, line height or
+// family) or a composite: CSS font shorthand or a DTCG typography object.
+const SHORTHAND_PATTERN = new RegExp(
+  `^(?:(${FONT_STYLES.join('|')})\\s+)?(?:(\\d{3}|${Object.keys(FONT_WEIGHT_KEYWORDS).join('|')})\\s+)?` +
+  `(${NUMBER}(?:${DIMENSION_UNITS.join('|')}))(?:\\s*/\\s*(${NUMBER}(?:${DIMENSION_UNITS.join('|')})?))?\\s+(.+)$`,
+  'i'
+);
+
+const parseTypography = (value) => {
+  const json = parseJson(value);
+  if (Array.isArray(json)) {
+    return { fontFamily: parseFontFamily(json) };
+  }
+  if (json) {
+    const parsed = {};
+    if (json.fontFamily !== undefined) parsed.fontFamily = parseFontFamily(json.fontFamily);
+    if (json.fontSize !== undefined) parsed.fontSize = parseDimensionField(json.fontSize);
+    if (json.fontWeight !== undefined) parsed.fontWeight = parseFontWeight(json.fontWeight);
+    if (json.lineHeight !== undefined) parsed.lineHeight = parseLineHeight(json.lineHeight);
+    if (json.letterSpacing !== undefined) parsed.letterSpacing = parseDimensionField(json.letterSpacing);
+    if (Object.keys(parsed).length === 0) {
+      throw new TokenValueError(`Invalid typography '${value}'. Expected fontFamily, fontSize, fontWeight or lineHeight`);
+    }
+    return parsed;
+  }
+
+  const text = String(value).trim();
+  const fontSize = tryParse(parseDimension, text);
+  if (fontSize && fontSize.unit !== '%') {
+    return { fontSize };
+  }
+
+  if (/^\d+$/.test(text) && Number(text) % 100 === 0 || FONT_WEIGHT_KEYWORDS[text.toLowerCase()]) {
+    return { fontWeight: parseFontWeight(text) };
+  }
+
+  if (new RegExp(`^${NUMBER}$`).test(text)) {
+    return { lineHeight: Number(text) };
+  }
+
+  const shorthand = SHORTHAND_PATTERN.exec(text);
+  if (shorthand) {
+    const parsed = { fontSize: parseDimension(shorthand[3]), fontFamily: parseFontFamily(shorthand[5]) };
+    if (shorthand[1]) parsed.fontStyle = shorthand[1].toLowerCase();
+    if (shorthand[2]) parsed.fontWeight = parseFontWeight(shorthand[2]);
+    if (shorthand[4]) parsed.lineHeight = parseLineHeight(shorthand[4]);
+    return parsed;
+  }
+
+  try {
+    return { fontFamily: parseFontFamily(text) };
+  } catch (error) {
+    throw new TokenValueError(`Invalid typography '${value}'. Expected a font size, weight, line height, family or font shorthand`);
+  }
+};
+
+const parseSingleShadow = (value) => {
+  if (value && typeof value === 'object') {
+    return {
+      inset: Boolean(value.inset),
+      offsetX: parseDimensionField(value.offsetX),
+      offsetY: parseDimensionField(value.offsetY),
+      blur: parseDimensionField(value.blur !== undefined ? value.blur : 0),
+      spread: parseDimensionField(value.spread !== undefined ? value.spread : 0),
+      color: parseColorValue(value.color)
+    };
+  }
+
+  const words = splitWords(value);
+  const inset = words.includes('inset');
+  const lengths = [];
+  let color = null;
+
+  words.filter(word => word !== 'inset').forEach(word => {
+    const dimension = tryParse(parseDimension, word);
+    if (dimension) {
+      lengths.push(dimension);
+    } else if (!color && parseColor(word)) {
+      color = parseColor(word);
+    } else {
+      throw new TokenValueError(`Invalid shadow '${value}'`);
+    }
+  });
+
+  if (lengths.length < 2 || lengths.length > 4 || !color) {
+    throw new TokenValueError(`Invalid shadow '${value}'. Expected [inset] offset-x offset-y [blur [spread]] color`);
+  }
+
+  const zero = { value: 0, unit: 'px' };
+  return { inset, offsetX: lengths[0], offsetY: lengths[1], blur: lengths[2] || zero, spread: lengths[3] || zero, color };
+};
+
+// Shadows are always parsed to a list of layers
+const parseShadow = (value) => {
+  const json = parseJson(value);
+  if (json) {
+    return (Array.isArray(json) ? json : [json]).map(parseSingleShadow);
+  }
+  return splitTopLevel(String(value)).map(parseSingleShadow);
+};
+
+const parseBorder = (value) => {
+  const json = parseJson(value);
+  if (json && !Array.isArray(json)) {
+    return {
+      width: parseDimensionField(json.width),
+      style: typeof json.style === 'string' ? json.style : 'solid',
+      color: parseColorValue(json.color)
+    };
+  }
+
+  const border = {};
+  splitWords(String(value)).forEach(word => {
+    if (!border.width && tryParse(parseDimension, word)) {
+      border.width = parseDimension(word);
+    } else if (!border.style && BORDER_STYLES.includes(word.toLowerCase())) {
+      border.style = word.toLowerCase();
+    } else if (!border.color && parseColor(word)) {
+      border.color = parseColor(word);
+    } else {
+      throw new TokenValueError(`Invalid border '${value}'. Expected width style color, e.g. 1px solid #E5E7EB`);
+    }
+  });
+
+  if (!border.width || !border.style || !border.color) {
+    throw new TokenValueError(`Invalid border '${value}'. Expected width style color, e.g. 1px solid #E5E7EB`);
+  }
+  return border;
+};
+
+const SCHEMAS = {
+  color: parseColorValue,
+  spacing: parseDimension,
+  size: parseDimension,
+  typography: parseTypography,
+  shadow: parseShadow,
+  border: parseBorder,
+  duration: parseDuration,
+  'cubic-bezier': parseCubicBezier
+};
+
+// Categories outside SCHEMAS can still be validated through their DTCG $type
+const TYPE_SCHEMAS = {
+  color: 'color',
+  dimension: 'size',
+  fontFamily: 'typography',
+  fontWeight: 'typography',
+  typography: 'typography',
+  shadow: 'shadow',
+  border: 'border',
+  duration: 'duration',
+  cubicBezier: 'cubic-bezier'
+};
+
+const schemaFor = (category, type) => SCHEMAS[category] || SCHEMAS[TYPE_SCHEMAS[type]] || null;
+
+// Parsed value for a (resolved) token value, or null for categories without
+// a schema. Throws TokenValueError when the value does not fit the schema.
+const parseTokenValue = (category, value, type) => {
+  const schema = schemaFor(category, type);
+  // CSS custom properties are only known at runtime
+  if (!schema || /var\(\s*--/.test(value)) {
+    return null;
+  }
+  return schema(value);
+};
+
+module.exports = {
+  TokenValueError,
+  SCHEMAS,
+  parseTokenValue,
+  parseDimension
+};
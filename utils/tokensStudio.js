@@ -0,0 +1,433 @@
+// Tokens Studio for Figma (formerly Figma Tokens) JSON support.
+// A file holds token sets: top-level groups whose leaves are
+// { value, type, description } ($value/$type in newer files). `$themes` lists
+// the sets each theme turns on and `$metadata.tokenSetOrder` the order in which
+// sets override each other. References leave out the set name
+// (`{spacing.base}`), so a token's name is its dotted path inside its set.
+//
+// On import sets become tags, themes become modes and math such as
+// `{spacing.base} * 2` is evaluated. The expression is kept in the token's
+// extensions and exported again as long as the value has not been edited.
+const { REFERENCE_PATTERN, isAlias } = require('./tokenReferences');
+const { getModeValues } = require('./modes');
+
+// Key in DesignToken.extensions for what the import needs to export again
+const EXTENSION_KEY = 'tokensStudio';
+
+// Category and DTCG $type for each Tokens Studio type
+const STUDIO_TYPES = {
+  color: { category: 'color', type: 'color' },
+  spacing: { category: 'spacing', type: 'dimension' },
+  sizing: { category: 'size', type: 'dimension' },
+  dimension: { category: 'size', type: 'dimension' },
+  borderRadius: { category: 'size', type: 'dimension' },
+  borderWidth: { category: 'size', type: 'dimension' },
+  fontFamilies: { category: 'typography', type: 'fontFamily' },
+  fontWeights: { category: 'typography', type: 'fontWeight' },
+  fontSizes: { category: 'typography', type: 'dimension' },
+  lineHeights: { category: 'typography', type: 'number' },
+  letterSpacing: { category: 'typography', type: 'dimension' },
+  typography: { category: 'typography', type: 'typography' },
+  boxShadow: { category: 'shadow', type: 'shadow' },
+  border: { category: 'border', type: 'border' },
+  opacity: { category: 'opacity', type: 'number' }
+};
+
+// Tokens Studio type for tokens created here
+const CATEGORY_STUDIO_TYPES = {
+  color: 'color',
+  spacing: 'spacing',
+  size: 'sizing',
+  shadow: 'boxShadow',
+  border: 'border',
+  opacity: 'opacity'
+};
+const TYPOGRAPHY_STUDIO_TYPES = {
+  fontFamily: 'fontFamilies',
+  fontWeight: 'fontWeights',
+  dimension: 'fontSizes',
+  number: 'lineHeights'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isLeaf = (node) => isPlainObject(node) &&
+  ('$value' in node || ('value' in node && ('type' in node || !isPlainObject(node.value))));
+
+// True when `doc` looks like a Tokens Studio file: it has themes or metadata,
+// or tokens written as { value, type } rather than DTCG's { $value }
+const isTokensStudioDocument = (doc) => {
+  if (!isPlainObject(doc) || Array.isArray(doc.tokens)) {
+    return false;
+  }
+  if (Array.isArray(doc.$themes) || isPlainObject(doc.$metadata)) {
+    return true;
+  }
+
+  const hasStudioToken = (node) => isPlainObject(node) && (('value' in node && 'type' in node) ||
+    Object.keys(node).some(key => !key.startsWith('$') && hasStudioToken(node[key])));
+  return hasStudioToken(doc);
+};
+
+// Mode names only allow letters, numbers, dashes and underscores
+const modeName = (themeName) => String(themeName).trim().toLowerCase()
+  .replace(/[^a-z0-9_-]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'theme';
+
+const MATH_PART = /\s*(?:(\d+\.?\d*|\.\d+)([a-z%]*)|([-+*/()]))/iy;
+
+// Evaluate arithmetic on numbers with an optional unit, e.g. `8px * 2 + 4px`
+// -> `20px`. Returns null when `text` is not such an expression (a plain
+// number, `1px solid`, ...) or mixes units.
+const evaluateMath = (text) => {
+  const parts = [];
+  MATH_PART.lastIndex = 0;
+  while (MATH_PART.lastIndex < text.length) {
+    const start = MATH_PART.lastIndex;
+    const match = MATH_PART.exec(text);
+    if (!match) {
+      if (text.slice(start).trim() === '') {
+        break;
+      }
+      return null;
+    }
+    parts.push(match[3] ? { op: match[3] } : { value: Number(match[1]), unit: match[2].toLowerCase() });
+  }
+
+  let position = 0;
+  let operations = 0;
+  const peek = () => parts[position] && parts[position].op;
+
+  const combine = (op, left, right) => {
+    operations++;
+    if (op === '+' || op === '-') {
+      if (left.unit && right.unit && left.unit !== right.unit) {
+        throw new Error('Mixed units');
+      }
+      return { value: op === '+' ? left.value + right.value : left.value - right.value, unit: left.unit || right.unit };
+    }
+    if (op === '*') {
+      if (left.unit && right.unit) {
+        throw new Error('Mixed units');
+      }
+      return { value: left.value * right.value, unit: left.unit || right.unit };
+    }
+    if (right.unit && right.unit !== left.unit) {
+      throw new Error('Mixed units');
+    }
+    return { value: left.value / right.value, unit: right.unit ? '' : left.unit };
+  };
+
+  const factor = () => {
+    const part = parts[position++];
+    if (!part) {
+      throw new Error('Unexpected end');
+    }
+    if (part.op === '-') {
+      const operand = factor();
+      return { value: -operand.value, unit: operand.unit };
+    }
+    if (part.op === '(') {
+      const inner = expression();
+      if (peek() !== ')') {
+        throw new Error('Missing )');
+      }
+      position++;
+      return inner;
+    }
+    if (part.op) {
+      throw new Error(`Unexpected ${part.op}`);
+    }
+    return part;
+  };
+  const term = () => {
+    let result = factor();
+    while (peek() === '*' || peek() === '/') {
+      result = combine(parts[position++].op, result, factor());
+    }
+    return result;
+  };
+  const expression = () => {
+    let result = term();
+    while (peek() === '+' || peek() === '-') {
+      result = combine(parts[position++].op, result, term());
+    }
+    return result;
+  };
+
+  try {
+    const result = expression();
+    if (position < parts.length || operations === 0 || !isFinite(result.value)) {
+      return null;
+    }
+    return `${Number(result.value.toFixed(4))}${result.unit}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Value of `name` in `values` (name -> raw value) with references replaced
+// and math evaluated; throws on unknown names and cycles
+const resolveValue = (name, values, seen = []) => {
+  if (seen.includes(name) || !values.has(name)) {
+    throw new Error(`Cannot resolve '${name}'`);
+  }
+  const value = values.get(name);
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const substituted = value.replace(REFERENCE_PATTERN, (match, ref) => String(resolveValue(ref, values, [...seen, name])));
+  return evaluateMath(substituted) || substituted;
+};
+
+// Evaluated value of a math expression (which may use references), or null
+// when `value` contains no math or cannot be resolved
+const evaluateExpression = (value, values) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  try {
+    const substituted = value.replace(REFERENCE_PATTERN, (match, ref) => String(resolveValue(ref, values)));
+    return evaluateMath(substituted);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Tokens Studio dimensions may be bare numbers, meaning pixels
+const withPx = (value) => (typeof value === 'number' || /^-?\d+\.?\d*$/.test(String(value).trim()) ? `${value}px` : value);
+
+// Composite values are stored as JSON in DTCG shape
+const serializeValue = (value, studioType) => {
+  if (studioType === 'boxShadow' && (isPlainObject(value) || Array.isArray(value))) {
+    return JSON.stringify([].concat(value).map(shadow => ({
+      offsetX: withPx(shadow.x),
+      offsetY: withPx(shadow.y),
+      blur: withPx(shadow.blur),
+      spread: withPx(shadow.spread),
+      color: shadow.color,
+      inset: shadow.type === 'innerShadow'
+    })));
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// Composite JSON values back to Tokens Studio objects
+const exportValue = (value) => {
+  const text = String(value).trim();
+  if (!/^[[{]/.test(text) || isAlias(text)) {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed) && parsed.every(shadow => isPlainObject(shadow) && 'offsetX' in shadow)) {
+      const shadows = parsed.map(shadow => ({
+        x: shadow.offsetX,
+        y: shadow.offsetY,
+        blur: shadow.blur,
+        spread: shadow.spread,
+        color: shadow.color,
+        type: shadow.inset ? 'innerShadow' : 'dropShadow'
+      }));
+      return shadows.length === 1 ? shadows[0] : shadows;
+    }
+    return parsed;
+  } catch (error) {
+    return value;
+  }
+};
+
+// [{ name, leaf, set }] for every token in a set, inheriting group $type
+const flattenSet = (node, set, path = [], inheritedType) => {
+  const type = node.$type || node.type || inheritedType;
+  if (isLeaf(node)) {
+    return [{ name: path.join('.'), set, leaf: node, type: node.$type || node.type || inheritedType }];
+  }
+  return Object.keys(node)
+    .filter(key => !key.startsWith('$') && isPlainObject(node[key]))
+    .flatMap(key => flattenSet(node[key], set, [...path, key], typeof type === 'string' ? type : undefined));
+};
+
+// Convert a Tokens Studio file into upload rows and the modes its themes need:
+// { tokens: [...], modes: [{ name, description }] }
+const fromTokensStudio = (doc) => {
+  const hasSets = Array.isArray(doc.$themes) || isPlainObject(doc.$metadata);
+  const sets = hasSets ? {} : { global: doc };
+  if (hasSets) {
+    const order = (doc.$metadata && doc.$metadata.tokenSetOrder) || [];
+    [...order, ...Object.keys(doc)]
+      .filter(set => !set.startsWith('$') && isPlainObject(doc[set]) && !(set in sets))
+      .forEach(set => { sets[set] = doc[set]; });
+  }
+  const setNames = Object.keys(sets);
+  const entries = setNames.flatMap(set => flattenSet(sets[set], set));
+
+  const usedModes = new Set();
+  const themes = (doc.$themes || []).filter(theme => isPlainObject(theme) && theme.name).map(theme => {
+    let name = modeName(theme.name);
+    while (usedModes.has(name)) {
+      name = `${name}-2`;
+    }
+    usedModes.add(name);
+    const selected = theme.selectedTokenSets || {};
+    return {
+      mode: name,
+      title: theme.name,
+      sets: setNames.filter(set => selected[set] === 'enabled' || selected[set] === 'source')
+    };
+  });
+
+  // Sets every theme uses (or none does) hold the default values
+  const baseSets = setNames.filter(set => themes.every(theme => theme.sets.includes(set)) ||
+    themes.every(theme => !theme.sets.includes(set)));
+
+  // name -> entry for the given sets; later sets override earlier ones
+  const entriesFor = (activeSets) => new Map(entries
+    .filter(entry => activeSets.includes(entry.set))
+    .map(entry => [entry.name, entry]));
+  const rawValues = (map) => new Map([...map].map(([name, entry]) => [name, entry.leaf.$value !== undefined ? entry.leaf.$value : entry.leaf.value]));
+
+  const base = entriesFor(baseSets);
+  const themeEntries = themes.map(theme => entriesFor(setNames.filter(set => baseSets.includes(set) || theme.sets.includes(set))));
+  const defaults = themes.length > 0 ? new Map([...themeEntries[0], ...base]) : base;
+
+  // Value as stored, and the expression it came from when it used math
+  const convert = (entry, values) => {
+    const raw = entry.leaf.$value !== undefined ? entry.leaf.$value : entry.leaf.value;
+    const isDimension = (STUDIO_TYPES[entry.type] || {}).type === 'dimension';
+    const evaluated = evaluateExpression(raw, values);
+    if (evaluated) {
+      return { value: isDimension ? withPx(evaluated) : evaluated, expression: raw };
+    }
+    return { value: isDimension ? withPx(serializeValue(raw)) : serializeValue(raw, entry.type) };
+  };
+
+  const defaultValues = rawValues(defaults);
+  const themeValues = themeEntries.map(rawValues);
+
+  const tokens = [...defaults.values()].map(entry => {
+    const mapped = STUDIO_TYPES[entry.type] || { category: entry.type || 'other' };
+    const converted = convert(entry, defaultValues);
+    const meta = { type: entry.type };
+    if (base.has(entry.name)) {
+      meta.set = entry.set;
+    }
+    if (converted.expression) {
+      meta.expression = converted.expression;
+      meta.value = converted.value;
+    }
+
+    const modeValues = {};
+    themes.forEach((theme, i) => {
+      const themeEntry = themeEntries[i].get(entry.name);
+      if (!themeEntry) {
+        return;
+      }
+      const modeValue = convert(themeEntry, themeValues[i]);
+      if (modeValue.value === converted.value) {
+        return;
+      }
+      modeValues[theme.mode] = modeValue.value;
+      if (modeValue.expression) {
+        meta.modeExpressions = { ...meta.modeExpressions, [theme.mode]: { expression: modeValue.expression, value: modeValue.value } };
+      }
+    });
+
+    const token = {
+      name: entry.name,
+      category: mapped.category,
+      value: converted.value,
+      description: entry.leaf.$description || entry.leaf.description || '',
+      tags: setNames.filter(set => entries.some(other => other.set === set && other.name === entry.name)),
+      extensions: { ...(entry.leaf.$extensions || {}), [EXTENSION_KEY]: meta }
+    };
+    if (mapped.type) {
+      token.type = mapped.type;
+    }
+    if (Object.keys(modeValues).length > 0) {
+      token.modeValues = modeValues;
+    }
+    return token;
+  });
+
+  return {
+    tokens,
+    modes: themes.map(theme => ({ name: theme.mode, description: `Tokens Studio theme '${theme.title}'` }))
+  };
+};
+
+const studioType = (token) => {
+  const meta = (token.extensions || {})[EXTENSION_KEY];
+  if (meta && meta.type) {
+    return meta.type;
+  }
+  if (token.category === 'typography') {
+    return TYPOGRAPHY_STUDIO_TYPES[token.type] || 'typography';
+  }
+  return CATEGORY_STUDIO_TYPES[token.category] || 'other';
+};
+
+// Build a Tokens Studio file: default values in their original set (or
+// `global`), each mode's values in a set named after the mode and one theme
+// per mode turning on the shared sets plus its own
+const toTokensStudio = (tokens, modes = []) => {
+  const sets = {};
+  const place = (set, token, node) => {
+    const path = token.name.split('.');
+    sets[set] = sets[set] || {};
+    const group = path.slice(0, -1).reduce((parent, key) => {
+      if (!isPlainObject(parent[key]) || isLeaf(parent[key])) {
+        parent[key] = {};
+      }
+      return parent[key];
+    }, sets[set]);
+    group[path[path.length - 1]] = node;
+  };
+
+  tokens.forEach(token => {
+    const { [EXTENSION_KEY]: meta = {}, ...extensions } = token.extensions || {};
+    const type = studioType(token);
+    const build = (value, expression) => {
+      const node = { value: expression && expression.value === value ? expression.expression : exportValue(value), type };
+      if (token.description) {
+        node.description = token.description;
+      }
+      if (Object.keys(extensions).length > 0) {
+        node.$extensions = extensions;
+      }
+      return node;
+    };
+
+    place(meta.set || 'global', token, build(token.value, meta.expression && meta));
+    const modeValues = getModeValues(token);
+    modes.forEach(mode => {
+      if (modeValues[mode] !== undefined) {
+        place(mode, token, build(modeValues[mode], (meta.modeExpressions || {})[mode]));
+      }
+    });
+  });
+
+  const baseSets = Object.keys(sets).filter(set => !modes.includes(set));
+  return {
+    ...sets,
+    $themes: modes.map(mode => ({
+      id: mode,
+      name: mode,
+      selectedTokenSets: {
+        ...Object.fromEntries(baseSets.map(set => [set, 'source'])),
+        ...(sets[mode] ? { [mode]: 'enabled' } : {})
+      }
+    })),
+    $metadata: {
+      tokenSetOrder: [...baseSets, ...modes.filter(mode => sets[mode])]
+    }
+  };
+};
+
+module.exports = {
+  EXTENSION_KEY,
+  isTokensStudioDocument,
+  evaluateMath,
+  fromTokensStudio,
+  toTokensStudio
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+let transactionsSupported;
+
+// Transactions need a replica set or sharded cluster; a standalone mongod
+// (local development, the in-memory test server) rejects them
+const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+};
+
+// Run `work(session, onRollback)` so that either all of its writes happen or
+// none do. With transaction support the writes share `session`; without it
+// `session` is null and the undo steps registered with `onRollback(fn)` run,
+// newest first, when `work` throws.
+const withTransaction = async (work) => {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session, () => {});
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const undoSteps = [];
+  try {
+    return await work(null, (undo) => undoSteps.push(undo));
+  } catch (error) {
+    for (const undo of undoSteps.reverse()) {
+      try {
+        await undo();
+      } catch (undoError) {
+        console.error('Rollback step error:', undoError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  withTransaction
+};
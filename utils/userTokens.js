@@ -0,0 +1,91 @@
+// Password reset and email verification links. Each link carries a random
+// token that works once and expires: PASSWORD_RESET_TTL_MINUTES (default 60)
+// and EMAIL_VERIFICATION_TTL_HOURS (default 48). Asking for a new link
+// invalidates the previous one. Reset requests are limited per client IP
+// (PASSWORD_RESET_IP_LIMIT, default 10 per 15 minutes) and per email
+// (PASSWORD_RESET_EMAIL_LIMIT, default 3 per hour).
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { appUrl, sendMail } = require('./mailer');
+const { createRateLimiter } = require('./rateLimit');
+
+const PASSWORD_RESET = 'password_reset';
+const EMAIL_VERIFICATION = 'email_verification';
+
+const lifetimeMs = (purpose) => (purpose === PASSWORD_RESET
+  ? (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000
+  : (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000);
+
+// Throttles POST /forgot-password, keyed by IP and by lowercased email
+const passwordResetLimits = {
+  ip: createRateLimiter({ limit: Number(process.env.PASSWORD_RESET_IP_LIMIT) || 10, windowMs: 15 * 60 * 1000 }),
+  email: createRateLimiter({ limit: Number(process.env.PASSWORD_RESET_EMAIL_LIMIT) || 3, windowMs: 60 * 60 * 1000 })
+};
+
+const hashUserToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A new token for `user`; only its hash is stored
+const createUserToken = async (user, purpose) => {
+  await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const userToken = await UserToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashUserToken(token),
+    expiresAt: new Date(Date.now() + lifetimeMs(purpose))
+  });
+  return { token, userToken };
+};
+
+// Mark a token used and return it, or null when it is unknown, expired or
+// already used. Only one caller can use a token.
+const consumeUserToken = (token, purpose) => UserToken.findOneAndUpdate(
+  { tokenHash: hashUserToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+  { usedAt: new Date() },
+  { new: true }
+);
+
+const sendPasswordResetEmail = async (user) => {
+  const { token, userToken } = await createUserToken(user, PASSWORD_RESET);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Design Token Manager password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. To choose a new one, open:',
+      appUrl(`/?reset=${encodeURIComponent(token)}`),
+      '',
+      `The link expires on ${userToken.expiresAt.toUTCString()} and can only be used once.`,
+      'If you did not ask for this, you can ignore this email; your password has not changed.'
+    ].join('\n')
+  });
+};
+
+const sendVerificationEmail = async (user) => {
+  const { token, userToken } = await createUserToken(user, EMAIL_VERIFICATION);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email for Design Token Manager',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm this is your email address by opening:',
+      appUrl(`/?verify=${encodeURIComponent(token)}`),
+      '',
+      `The link expires on ${userToken.expiresAt.toUTCString()}.`
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  passwordResetLimits,
+  hashUserToken,
+  createUserToken,
+  consumeUserToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,49 @@
+// Account rules shared by registration and the admin users API
+const User = require('../models/User');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Self-registered accounts always start with this role; admins change it
+// from the Users screen
+const DEFAULT_ROLE = 'designer';
+
+// REGISTRATION_MODE=invite turns off self-registration
+const registrationMode = () => (process.env.REGISTRATION_MODE === 'invite' ? 'invite' : 'open');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// True when an account already uses `email`, ignoring case
+const emailInUse = async (email) => Boolean(await User.exists({ email: new RegExp(`^${escapeRegExp(email)}$`, 'i') }));
+
+// Accounts created before `active` existed have no value for it
+const ACTIVE_FILTER = { active: { $ne: false } };
+
+// True when removing `user` as an admin would leave no active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.active) {
+    return false;
+  }
+  return (await User.countDocuments({ role: 'admin', ...ACTIVE_FILTER })) <= 1;
+};
+
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  active: user.active,
+  deactivatedAt: user.deactivatedAt,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ACTIVE_FILTER,
+  escapeRegExp,
+  emailInUse,
+  registrationMode,
+  isLastActiveAdmin,
+  formatUser
+};
@@ -0,0 +1,151 @@
+// Delivery of published events (utils/events.js) to webhook subscriptions.
+// Each POST carries the event as JSON plus headers for verifying it:
+//   X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+//   X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)
+// Failed attempts (network errors, non-2xx) are retried with exponential backoff.
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('./events');
+
+const MAX_ATTEMPTS = 5;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+const signPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// Wait before retrying after failed attempt n: base, 2x base, 4x base, ...
+const backoffDelay = (attempt, base = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000) => base * 2 ** (attempt - 1);
+
+// POST a delivery once, record the attempt and schedule the next one on failure
+const attemptDelivery = async (webhook, delivery) => {
+  const attempt = delivery.attempts.length + 1;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+  const result = { attempt, at: new Date() };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'design-token-manager-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    result.statusCode = response.status;
+    if (!response.ok) {
+      result.error = `Receiver responded with ${response.status}`;
+    }
+  } catch (error) {
+    result.error = error.cause ? error.cause.message : error.message;
+  }
+  result.durationMs = Date.now() - started;
+
+  delivery.attempts.push(result);
+  delivery.nextAttemptAt = undefined;
+  if (!result.error) {
+    delivery.status = 'succeeded';
+  } else if (attempt >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    const delay = backoffDelay(attempt);
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+    scheduleRetry(delivery._id, delay);
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+const retryDelivery = async (deliveryId) => {
+  try {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.active) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      await delivery.save();
+      return;
+    }
+
+    await attemptDelivery(webhook, delivery);
+  } catch (error) {
+    console.error('Webhook retry error:', error);
+  }
+};
+
+// Retries live in memory; resumePendingDeliveries picks them up after a restart
+const scheduleRetry = (deliveryId, delay) => {
+  setTimeout(() => retryDelivery(deliveryId), Math.max(delay, 0)).unref();
+};
+
+// Record a delivery of `event` to `webhook` and make the first attempt
+const deliverEvent = async (webhook, event) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: event.type,
+    eventId: event.id,
+    payload: event
+  });
+  return attemptDelivery(webhook, delivery);
+};
+
+// Deliver an event to every active webhook subscribed to it
+const dispatchEvent = async (event) => {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: { $in: [event.type, '*'] } }).select('+secret');
+    return await Promise.all(webhooks.map(webhook => deliverEvent(webhook, event)));
+  } catch (error) {
+    console.error('Webhook dispatch error:', error);
+    return [];
+  }
+};
+
+const resumePendingDeliveries = async () => {
+  const pending = await WebhookDelivery.find({ status: 'pending' }, 'nextAttemptAt');
+  pending.forEach(delivery => scheduleRetry(delivery._id, (delivery.nextAttemptAt || new Date()) - Date.now()));
+  return pending.length;
+};
+
+let unsubscribe = null;
+
+// Send every published event to matching webhooks; returns a stop function
+const startWebhookDispatcher = () => {
+  if (!unsubscribe) {
+    unsubscribe = subscribe(event => {
+      dispatchEvent(event);
+    });
+  }
+  return () => {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  };
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  backoffDelay,
+  deliverEvent,
+  dispatchEvent,
+  resumePendingDeliveries,
+  startWebhookDispatcher
+};